@@ -3,6 +3,7 @@
 
 // Storage Manager - Centralized storage operations
 import { StorageManager } from './js/storage/storage-manager.js';
+import { updateStoredValue } from './js/storage/chrome-storage.js';
 let storageManager = null;
 let isInitializing = false;
 let isInitialized = false;
@@ -62,8 +63,9 @@ chrome.runtime.onStartup.addListener(async () => {
   await initializeStorage();
 });
 
-// Also initialize immediately when script loads
-initializeStorage();
+// Also initialize immediately when script loads, then pick up an unfinished
+// batch export where the stopped service worker left it
+initializeStorage().then(() => runBatchJob());
 
 // Test storage access and quota
 chrome.storage.local.get(["exportHistory"], (result) => {
@@ -124,6 +126,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.action === "searchExports") {
+    handleSearchExports(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === "updateExport") {
+    handleUpdateExport(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === "deleteExports") {
+    handleDeleteExports(request, sendResponse);
+    return true;
+  }
+
   if (request.action === "getStorageStats") {
     handleGetStorageStats(sendResponse);
     return true;
@@ -134,8 +151,79 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
-  if (request.action === "storePdfBlob") {
-    handleStorePdfBlob(request, sendResponse);
+  if (request.action === "beginFileTransfer") {
+    handleBeginFileTransfer(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === "storeFileChunk") {
+    handleStoreFileChunk(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === "finishFileTransfer") {
+    handleFinishFileTransfer(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === "abortFileTransfer") {
+    handleAbortFileTransfer(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === "generatePdf") {
+    handleGeneratePdf(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "cancelPdfRender") {
+    handleCancelPdfRender(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === "offscreenProgress") {
+    relayRenderProgress(request);
+    return false;
+  }
+
+  if (request.action === "startBatchExport") {
+    handleStartBatchExport(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === "cancelBatchExport") {
+    handleCancelBatchExport(sendResponse);
+    return true;
+  }
+
+  if (request.action === "watchThread") {
+    handleWatchThread(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === "unwatchThread") {
+    handleUnwatchThread(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === "checkWatchedThreads") {
+    checkWatchedThreads();
+    sendResponse({ success: true });
+    return false;
+  }
+
+  if (request.action === "markWatchlistSeen") {
+    handleMarkWatchlistSeen(sendResponse);
+    return true;
+  }
+
+  if (request.action === "getThreadCache") {
+    handleGetThreadCache(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === "storeThreadCache") {
+    handleStoreThreadCache(request, sendResponse);
     return true;
   }
 
@@ -144,6 +232,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       [
         "extensionEnabled",
         "exportTheme",
+        "exportFormat",
         "includeAttachments",
         "maxHistorySize",
         "enableConsoleLogging",
@@ -152,6 +241,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         sendResponse({
           extensionEnabled: result.extensionEnabled !== false,
           exportTheme: result.exportTheme || "british-racing-green",
+          exportFormat: result.exportFormat || "pdf",
           includeAttachments: result.includeAttachments !== false,
           maxHistorySize: result.maxHistorySize || 10,
           enableConsoleLogging: result.enableConsoleLogging !== false,
@@ -193,6 +283,88 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+// Offscreen PDF rendering
+
+const OFFSCREEN_DOCUMENT = "offscreen.html";
+let creatingOffscreenDocument = null;
+
+// Tab that requested each running render, for progress updates
+const renderTabs = new Map();
+
+// Create the offscreen document that renders PDFs, unless it already exists
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)],
+  });
+  if (contexts.length > 0) return;
+
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_DOCUMENT,
+        reasons: ["BLOBS"],
+        justification: "Render PDF exports without blocking the forum tab and download stored exports",
+      })
+      .finally(() => {
+        creatingOffscreenDocument = null;
+      });
+  }
+  await creatingOffscreenDocument;
+}
+
+// Render a PDF in the offscreen document; it stores and downloads the file itself
+async function handleGeneratePdf(request, sender, sendResponse) {
+  const { exportId, threadData, fileName, pdfSettings, theme } = request;
+  try {
+    await ensureOffscreenDocument();
+    if (sender.tab) renderTabs.set(exportId, sender.tab.id);
+
+    const result = await chrome.runtime.sendMessage({
+      target: "offscreen",
+      action: "renderPdf",
+      exportId,
+      threadData,
+      fileName,
+      pdfSettings,
+      theme,
+    });
+    sendResponse(result || { success: false, error: "No response from PDF renderer" });
+  } catch (error) {
+    console.error("Error generating PDF:", error);
+    sendResponse({ success: false, error: error.message });
+  } finally {
+    renderTabs.delete(exportId);
+  }
+}
+
+async function handleCancelPdfRender(request, sendResponse) {
+  try {
+    const result = await chrome.runtime.sendMessage({
+      target: "offscreen",
+      action: "cancelRender",
+      exportId: request.exportId,
+    });
+    sendResponse(result || { success: false });
+  } catch (error) {
+    // No offscreen document means nothing is rendering
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Forward render progress from the offscreen document to the exporting tab
+function relayRenderProgress(request) {
+  const tabId = renderTabs.get(request.exportId);
+  if (tabId === undefined) return;
+  chrome.tabs
+    .sendMessage(tabId, {
+      action: "pdfProgress",
+      exportId: request.exportId,
+      progress: request.progress,
+    })
+    .catch(() => {});
+}
+
 // Message handler functions routed through StorageManager
 
 async function handleStoreExport(request, sendResponse) {
@@ -205,24 +377,23 @@ async function handleStoreExport(request, sendResponse) {
   }
 }
 
+// Download a stored export through an object URL made by the offscreen document;
+// service workers cannot create object URLs and data URLs fail for large files
 async function handleDownloadPDF(request, sendResponse) {
   try {
-    const { success, pdfBlob, error } = await storageManager.getPdf(request.exportId);
-    if (!success || !pdfBlob) {
-      sendResponse({ success: false, error: error || 'PDF not found' });
-      return;
-    }
+    // Name the file after the stored export, keeping the original format
+    const history = await storageManager.getExportHistory();
+    const exportItem = history.find((item) => item.id === request.exportId);
+    const filename = (exportItem && exportItem.fileName) || `${request.exportId}.pdf`;
 
-    const dataUrl = await blobToDataUrl(pdfBlob);
-    const filename = `${request.exportId}.pdf`;
-
-    chrome.downloads.download({ url: dataUrl, filename, saveAs: false }, (downloadId) => {
-      if (chrome.runtime.lastError) {
-        sendResponse({ success: false, error: chrome.runtime.lastError.message });
-      } else {
-        sendResponse({ success: true, downloadId });
-      }
+    await ensureOffscreenDocument();
+    const result = await chrome.runtime.sendMessage({
+      target: "offscreen",
+      action: "downloadStoredFile",
+      exportId: request.exportId,
+      filename,
     });
+    sendResponse(result || { success: false, error: "No response from offscreen document" });
   } catch (error) {
     console.error("Error downloading PDF:", error);
     sendResponse({ success: false, error: error.message });
@@ -232,6 +403,7 @@ async function handleDownloadPDF(request, sendResponse) {
 async function handleClearExportHistory(sendResponse) {
   try {
     const result = await storageManager.clearAllStorage();
+    await updateWatchBadge();
     sendResponse(result);
   } catch (error) {
     console.error("Error clearing export history:", error);
@@ -249,6 +421,36 @@ async function handleGetExportHistory(sendResponse) {
   }
 }
 
+async function handleUpdateExport(request, sendResponse) {
+  try {
+    const result = await storageManager.updateExport(request.exportId, request.changes || {});
+    sendResponse(result);
+  } catch (error) {
+    console.error("Error updating export:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleDeleteExports(request, sendResponse) {
+  try {
+    const result = await storageManager.deleteExports(request.exportIds || []);
+    sendResponse(result);
+  } catch (error) {
+    console.error("Error deleting exports:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleSearchExports(request, sendResponse) {
+  try {
+    const result = await storageManager.searchExports(request.query, { limit: request.limit });
+    sendResponse(result);
+  } catch (error) {
+    console.error("Error searching exports:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 async function handleGetStorageStats(sendResponse) {
   try {
     const stats = await storageManager.getStorageStats();
@@ -261,11 +463,7 @@ async function handleGetStorageStats(sendResponse) {
 
 async function handleUpdateExportStats(sendResponse) {
   try {
-    const { exportStats = { totalExports: 0, lastExport: null } } = await chrome.storage.local.get(["exportStats"]);
-    exportStats.totalExports += 1;
-    exportStats.lastExport = new Date().toISOString();
-    
-    await chrome.storage.local.set({ exportStats });
+    await incrementExportStats();
     sendResponse({ success: true });
   } catch (error) {
     console.error("Error updating export stats:", error);
@@ -273,50 +471,590 @@ async function handleUpdateExportStats(sendResponse) {
   }
 }
 
-async function handleStorePdfBlob(request, sendResponse) {
+// Count one more export
+async function incrementExportStats() {
+  const { exportStats = { totalExports: 0, lastExport: null } } = await chrome.storage.local.get(["exportStats"]);
+  exportStats.totalExports += 1;
+  exportStats.lastExport = new Date().toISOString();
+  await chrome.storage.local.set({ exportStats });
+}
+
+async function handleGetThreadCache(request, sendResponse) {
   try {
-    const { exportId, pdfBase64, pdfSize } = request;
-    
-    console.log("🔍 Storing PDF blob:", exportId, "Size:", pdfSize);
-    
-    // Convert base64 back to blob
-    const response = await fetch(pdfBase64);
-    const pdfBlob = await response.blob();
-    
-    console.log("🔍 Converted to blob, size:", pdfBlob.size);
-    
-    // Store in IndexedDB using StorageManager
-    await storageManager.indexedDB.storePdf(exportId, pdfBlob);
-    
-    // Update metadata to mark PDF as stored
-    const { exportHistory = [] } = await chrome.storage.local.get(["exportHistory"]);
-    const exportIndex = exportHistory.findIndex(exp => exp.id === exportId);
-    if (exportIndex !== -1) {
-      exportHistory[exportIndex].pdfStored = true;
-      await chrome.storage.local.set({ exportHistory });
-      console.log("✅ Updated metadata to mark PDF as stored");
+    const result = await storageManager.getThreadCache(request.threadId);
+    sendResponse(result);
+  } catch (error) {
+    console.error("Error getting thread cache:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleStoreThreadCache(request, sendResponse) {
+  try {
+    const result = await storageManager.storeThreadCache(
+      request.threadId,
+      request.threadData,
+      request.lastPage
+    );
+    sendResponse(result);
+  } catch (error) {
+    console.error("Error storing thread cache:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Chunked file transfer from content scripts
+//
+// Messages can only carry JSON, so each chunk arrives as a base64 data URL and
+// is written to IndexedDB right away; the whole file is never held in one message.
+
+async function handleBeginFileTransfer(request, sendResponse) {
+  try {
+    const { exportId, mimeType, size, chunkSize } = request;
+    await storageManager.indexedDB.beginChunkedFile(exportId, { mimeType, size, chunkSize });
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error("Error starting file transfer:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleStoreFileChunk(request, sendResponse) {
+  try {
+    const { exportId, index, data, sha256 } = request;
+    const response = await fetch(data);
+    const chunk = await response.blob();
+    await storageManager.indexedDB.storeChunk(exportId, index, chunk, sha256);
+    sendResponse({ success: true, size: chunk.size });
+  } catch (error) {
+    console.error("Error storing file chunk:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleFinishFileTransfer(request, sendResponse) {
+  try {
+    const { exportId, chunkCount } = request;
+    const manifest = await storageManager.indexedDB.finishChunkedFile(exportId, { chunkCount });
+
+    // Update metadata to mark the file as stored
+    await updateStoredValue("exportHistory", (exportHistory) => {
+      const entry = exportHistory.find((exp) => exp.id === exportId);
+      if (!entry) return false;
+      entry.pdfStored = true;
+    });
+
+    console.log("✅ File stored in IndexedDB:", exportId, "Size:", manifest.size, "Chunks:", chunkCount);
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error("❌ Error finishing file transfer:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleAbortFileTransfer(request, sendResponse) {
+  try {
+    await storageManager.indexedDB.deleteFile(request.exportId);
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error("Error aborting file transfer:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Board batch export
+//
+// The job is kept in chrome.storage.local as `batchJob`, so it goes on when
+// the popup or the board tab is closed, and a stopped service worker picks it
+// up again at its next start. Threads are exported one at a time by the
+// offscreen document. A job looks like
+// `{ id, board: { title, url }, format, packaging: "files"|"zip", pdfSettings,
+//    theme, status: "running"|"done"|"cancelled", createdAt, finishedAt,
+//    threads: [{ url, title, threadId, status, exportId, postCount, error }], zip }`
+// with thread states "queued", "running", "done", "incomplete" and "failed".
+// `zip` is `{ fileName, fileNames, size, error }` once a ZIP job is packed;
+// `fileNames` has more than one entry when the files needed several archives.
+
+// Pause between threads, on top of the per-request throttling of FetchQueue
+const BATCH_THREAD_DELAY = 3000;
+
+let batchRunning = false;
+
+
+async function handleStartBatchExport(request, sendResponse) {
+  try {
+    const { batchJob } = await chrome.storage.local.get(["batchJob"]);
+    if (batchJob && batchJob.status === "running") {
+      throw new Error("A batch export is already running");
+    }
+    if (!Array.isArray(request.threads) || request.threads.length === 0) {
+      throw new Error("No threads selected");
+    }
+
+    const job = {
+      id: `batch_${Date.now()}`,
+      board: request.board,
+      format: request.format,
+      packaging: request.packaging === "zip" ? "zip" : "files",
+      pdfSettings: request.pdfSettings || {},
+      theme: request.theme || null,
+      status: "running",
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      threads: request.threads.map((thread) => ({
+        url: thread.url,
+        title: thread.title,
+        threadId: thread.threadId || "",
+        status: "queued",
+        exportId: null,
+        postCount: null,
+        error: null,
+      })),
+      zip: null,
+    };
+    await chrome.storage.local.set({ batchJob: job });
+    sendResponse({ success: true, jobId: job.id });
+    runBatchJob();
+  } catch (error) {
+    console.error("Error starting batch export:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleCancelBatchExport(sendResponse) {
+  try {
+    let cancelled = false;
+    let runningExportId = null;
+    await updateStoredValue("batchJob", (batchJob) => {
+      if (batchJob.status !== "running") return false;
+      cancelled = true;
+      batchJob.status = "cancelled";
+      batchJob.finishedAt = new Date().toISOString();
+      batchJob.threads.forEach((thread) => {
+        if (thread.status === "running") {
+          runningExportId = thread.exportId;
+          thread.status = "queued";
+        }
+      });
+    });
+    if (!cancelled) {
+      throw new Error("No batch export is running");
+    }
+
+    if (runningExportId) {
+      chrome.runtime
+        .sendMessage({ target: "offscreen", action: "cancelBatchThread", exportId: runningExportId })
+        .catch(() => {});
     }
-    
-    console.log("✅ PDF blob stored in IndexedDB:", exportId, "Size:", pdfSize);
     sendResponse({ success: true });
   } catch (error) {
-    console.error("❌ Error storing PDF blob:", error);
-    console.error("❌ Error details:", error.name, error.message);
+    console.error("Error cancelling batch export:", error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
-// Helper function for blob to data URL conversion
-async function blobToDataUrl(blob) {
-  const buffer = await blob.arrayBuffer();
-  const bytes = new Uint8Array(buffer);
-  let binary = "";
-  const chunkSize = 0x8000;
-  for (let i = 0; i < bytes.length; i += chunkSize) {
-    const chunk = bytes.subarray(i, i + chunkSize);
-    binary += String.fromCharCode.apply(null, chunk);
+// Work through the queued threads of the running job
+async function runBatchJob() {
+  if (batchRunning) return;
+  batchRunning = true;
+
+  try {
+    // Both drive the offscreen document; watch checks skip while a batch runs
+    if (watchCheck) await watchCheck;
+
+    for (;;) {
+      let thread = null;
+      const job = await updateStoredValue("batchJob", (batchJob) => {
+        if (batchJob.status !== "running") return false;
+        // A thread left running by a stopped service worker is exported again
+        thread = batchJob.threads.find((entry) => entry.status === "queued" || entry.status === "running");
+        if (!thread) return false;
+        thread.status = "running";
+        // Kept across restarts, so the offscreen document can join a running export
+        thread.exportId = thread.exportId || createExportId();
+      });
+      if (!job || job.status !== "running") return;
+      if (!thread) {
+        await finishBatchJob(job);
+        return;
+      }
+
+      const result = await exportBatchThread(job, thread);
+      const updated = await updateStoredValue("batchJob", (batchJob) => {
+        const entry = batchJob.id === job.id && batchJob.threads.find((item) => item.exportId === thread.exportId);
+        // Cancelled meanwhile
+        if (!entry || batchJob.status !== "running") return false;
+        Object.assign(entry, result);
+      });
+
+      if (updated && updated.threads.some((entry) => entry.status === "queued")) {
+        await new Promise((resolve) => setTimeout(resolve, BATCH_THREAD_DELAY));
+      }
+    }
+  } catch (error) {
+    console.error("Error running batch export:", error);
+  } finally {
+    batchRunning = false;
+  }
+}
+
+/**
+ * Exports one thread of a batch job and adds it to the export history
+ *
+ * @param {Object} job - Batch job
+ * @param {Object} thread - Thread entry of the job
+ * @returns {Promise<Object>} Fields to update on the thread entry
+ */
+async function exportBatchThread(job, thread) {
+  try {
+    await ensureOffscreenDocument();
+    const result = await chrome.runtime.sendMessage({
+      target: "offscreen",
+      action: "exportBatchThread",
+      exportId: thread.exportId,
+      url: thread.url,
+      format: job.format,
+      pdfSettings: job.pdfSettings,
+      theme: job.theme,
+      download: job.packaging === "files",
+    });
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || "No response from offscreen document");
+    }
+
+    await storageManager.storeExport(result.exportData);
+    await incrementExportStats();
+    return {
+      status: result.complete ? "done" : "incomplete",
+      title: result.exportData.threadTitle,
+      postCount: result.exportData.postCount,
+      fileName: result.exportData.fileName,
+      error: result.complete ? null : "Some pages could not be loaded",
+    };
+  } catch (error) {
+    console.error("Error exporting batch thread:", thread.url, error);
+    return { status: "failed", error: error.message };
+  }
+}
+
+// Mark the job done, after packing the exported threads into a ZIP if asked to
+async function finishBatchJob(job) {
+  let zip = null;
+  const exported = job.threads.filter((thread) => thread.status === "done" || thread.status === "incomplete");
+
+  if (job.packaging === "zip" && exported.length > 0) {
+    const boardTitle = (job.board && job.board.title) || "board";
+    const fileName = `${boardTitle.replace(/[^a-z0-9]/gi, "_")}.zip`;
+    try {
+      await ensureOffscreenDocument();
+      const result = await chrome.runtime.sendMessage({
+        target: "offscreen",
+        action: "buildBatchZip",
+        fileName,
+        files: exported.map((thread) => ({ exportId: thread.exportId, fileName: thread.fileName })),
+      });
+      if (!result || !result.success) {
+        throw new Error((result && result.error) || "No response from offscreen document");
+      }
+      zip = { fileName, fileNames: result.fileNames, size: result.size, error: null };
+    } catch (error) {
+      console.error("Error packing batch export:", error);
+      zip = { fileName, fileNames: [], size: null, error: error.message };
+    }
+  }
+
+  await updateStoredValue("batchJob", (batchJob) => {
+    if (batchJob.id !== job.id || batchJob.status !== "running") return false;
+    batchJob.status = "done";
+    batchJob.finishedAt = new Date().toISOString();
+    batchJob.zip = zip;
+  });
+}
+
+// Thread watchlist
+//
+// Watched threads are kept in chrome.storage.local as `watchedThreads`:
+// `{ key, url, title, threadId, format, addedAt, lastCheckedAt, lastPostId,
+//    lastPostNumber, version, lastExportId, newPosts, error }`, where `key` is
+// the thread ID (or the URL) and `newPosts` counts posts the user has not
+// seen in the popup yet. An alarm checks every thread's last post; threads
+// with new posts are exported again (only the new pages are fetched thanks to
+// the thread cache) and the export is added to the history as a new version.
+
+const WATCH_ALARM = "watchlist-check";
+
+// Minutes between checks unless the popup sets `watchIntervalMinutes`
+const WATCH_INTERVAL_DEFAULT = 60;
+
+// The running check, so a batch export can wait for it
+let watchCheck = null;
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCH_ALARM) checkWatchedThreads();
+});
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === "local" && changes.watchIntervalMinutes) scheduleWatchAlarm();
+});
+
+// Open the thread when its notification is clicked
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith("watch:")) return;
+  const { watchedThreads = [] } = await chrome.storage.local.get(["watchedThreads"]);
+  const entry = watchedThreads.find((thread) => `watch:${thread.key}` === notificationId);
+  if (entry) chrome.tabs.create({ url: entry.url });
+  chrome.notifications.clear(notificationId);
+});
+
+scheduleWatchAlarm();
+
+// (Re)create the check alarm with the configured interval
+async function scheduleWatchAlarm() {
+  try {
+    const { watchIntervalMinutes } = await chrome.storage.local.get(["watchIntervalMinutes"]);
+    const periodInMinutes = watchIntervalMinutes || WATCH_INTERVAL_DEFAULT;
+    const alarm = await chrome.alarms.get(WATCH_ALARM);
+    if (!alarm || alarm.periodInMinutes !== periodInMinutes) {
+      await chrome.alarms.create(WATCH_ALARM, { periodInMinutes });
+    }
+  } catch (error) {
+    console.error("Error scheduling watchlist checks:", error);
   }
-  const base64 = btoa(binary);
-  return `data:application/pdf;base64,${base64}`;
 }
 
+async function handleWatchThread(request, sendResponse) {
+  try {
+    const { thread, format } = request;
+    if (!thread || !thread.url) throw new Error("No thread to watch");
+    const key = thread.threadId || thread.url;
+
+    await updateStoredValue(
+      "watchedThreads",
+      (watchedThreads) => {
+        if (watchedThreads.some((entry) => entry.key === key)) return false;
+        watchedThreads.push({
+          key,
+          url: thread.url,
+          title: thread.title,
+          threadId: thread.threadId || "",
+          format,
+          addedAt: new Date().toISOString(),
+          lastCheckedAt: null,
+          lastPostId: null,
+          lastPostNumber: null,
+          version: 0,
+          lastExportId: null,
+          newPosts: 0,
+          error: null,
+        });
+      },
+      []
+    );
+    sendResponse({ success: true, key });
+
+    // The first check only notes the last post
+    checkWatchedThreads([key]);
+  } catch (error) {
+    console.error("Error watching thread:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleUnwatchThread(request, sendResponse) {
+  try {
+    await updateStoredValue("watchedThreads", (watchedThreads) => {
+      const index = watchedThreads.findIndex((entry) => entry.key === request.key);
+      if (index === -1) return false;
+      watchedThreads.splice(index, 1);
+    });
+    chrome.notifications.clear(`watch:${request.key}`);
+    await updateWatchBadge();
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error("Error unwatching thread:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// The popup has shown the new posts
+async function handleMarkWatchlistSeen(sendResponse) {
+  try {
+    await updateStoredValue("watchedThreads", (watchedThreads) => {
+      if (!watchedThreads.some((entry) => entry.newPosts > 0)) return false;
+      watchedThreads.forEach((entry) => (entry.newPosts = 0));
+    });
+    await updateWatchBadge();
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error("Error updating watchlist:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Checks watched threads for new posts, one at a time
+ *
+ * Checks are skipped while a batch export is running or another check is
+ * under way; the next alarm catches up. A batch export started during a
+ * check waits for it, see runBatchJob().
+ *
+ * @param {Array<string>|null} [keys=null] - Keys of the threads to check, all by default
+ */
+async function checkWatchedThreads(keys = null) {
+  if (watchCheck || batchRunning) return;
+  watchCheck = runWatchCheck(keys);
+  try {
+    await watchCheck;
+  } finally {
+    watchCheck = null;
+  }
+}
+
+async function runWatchCheck(keys) {
+  try {
+    const { watchedThreads = [] } = await chrome.storage.local.get(["watchedThreads"]);
+    const entries = watchedThreads.filter((entry) => !keys || keys.includes(entry.key));
+
+    for (const [index, entry] of entries.entries()) {
+      if (index > 0) await new Promise((resolve) => setTimeout(resolve, BATCH_THREAD_DELAY));
+      const changes = await checkWatchedThread(entry);
+      await updateStoredValue("watchedThreads", (current) => {
+        const stored = current.find((item) => item.key === entry.key);
+        // Unwatched meanwhile
+        if (!stored) return false;
+        Object.assign(stored, changes, { newPosts: stored.newPosts + (changes.newPosts || 0) });
+      });
+    }
+  } catch (error) {
+    console.error("Error checking watched threads:", error);
+  } finally {
+    await updateWatchBadge();
+  }
+}
+
+/**
+ * Checks one watched thread and exports it again if it has new posts
+ *
+ * @param {Object} entry - Watched thread
+ * @returns {Promise<Object>} Fields to update on the entry; `newPosts` is the
+ *   number of posts added since the last check
+ */
+async function checkWatchedThread(entry) {
+  const lastCheckedAt = new Date().toISOString();
+  try {
+    await ensureOffscreenDocument();
+    const status = await chrome.runtime.sendMessage({
+      target: "offscreen",
+      action: "checkThread",
+      url: entry.url,
+    });
+    if (!status || !status.success) {
+      throw new Error((status && status.error) || "No response from offscreen document");
+    }
+
+    const latest = {
+      title: status.title,
+      lastPostId: status.lastPostId,
+      lastPostNumber: status.lastPostNumber,
+    };
+    if (entry.lastPostId === null || status.lastPostId === entry.lastPostId) {
+      return { ...latest, lastCheckedAt, error: null };
+    }
+    const newPosts = await countNewPosts(entry, status);
+    if (newPosts === 0) {
+      return { ...latest, lastCheckedAt, error: null };
+    }
+
+    const { pdfSettings, exportTheme, customThemes } = await chrome.storage.local.get([
+      "pdfSettings",
+      "exportTheme",
+      "customThemes",
+    ]);
+    const resolved = await chrome.runtime.sendMessage({
+      target: "offscreen",
+      action: "resolveTheme",
+      exportTheme,
+      customThemes,
+    });
+    if (!resolved || !resolved.success) {
+      throw new Error((resolved && resolved.error) || "No response from offscreen document");
+    }
+
+    const exportId = createExportId();
+    const result = await chrome.runtime.sendMessage({
+      target: "offscreen",
+      action: "exportBatchThread",
+      exportId,
+      url: entry.url,
+      format: entry.format,
+      pdfSettings: pdfSettings || {},
+      theme: resolved.theme,
+      download: false,
+    });
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || "No response from offscreen document");
+    }
+
+    const version = entry.version + 1;
+    await storageManager.storeExport({ ...result.exportData, version });
+    await incrementExportStats();
+
+    notifyNewPosts(entry, status.title, newPosts);
+    return { ...latest, lastCheckedAt, version, lastExportId: exportId, newPosts, error: null };
+  } catch (error) {
+    console.error("Error checking watched thread:", entry.url, error);
+    // The last post stays as it was, so the next check tries again
+    return { lastCheckedAt, error: error.message };
+  }
+}
+
+/**
+ * Counts the posts added since the last check
+ *
+ * A different last post is not always a new one: when the last post is
+ * deleted, an older post takes its place.
+ *
+ * @param {Object} entry - Watched thread
+ * @param {Object} status - Result of the offscreen `checkThread`
+ * @returns {Promise<number>} Number of new posts, 0 if there are none
+ */
+async function countNewPosts(entry, status) {
+  // Post numbers count up through the thread
+  const numbered = Boolean(entry.lastPostNumber && status.lastPostNumber);
+  if (numbered && status.lastPostNumber > entry.lastPostNumber) {
+    return status.lastPostNumber - entry.lastPostNumber;
+  }
+
+  // Without a higher number, only a last post missing from the cached thread is new
+  const { cache } = entry.threadId ? await storageManager.getThreadCache(entry.threadId) : {};
+  if (cache) {
+    return cache.threadData.posts.some((post) => post.postId === status.lastPostId) ? 0 : 1;
+  }
+  return numbered ? 0 : 1;
+}
+
+function notifyNewPosts(entry, title, newPosts) {
+  chrome.notifications.create(`watch:${entry.key}`, {
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title: "New posts in a watched thread",
+    message: `${newPosts} new post${newPosts === 1 ? "" : "s"} in "${title}". The export has been updated.`,
+  });
+}
+
+// Show the number of unseen new posts on the toolbar icon
+async function updateWatchBadge() {
+  try {
+    const { watchedThreads = [] } = await chrome.storage.local.get(["watchedThreads"]);
+    const newPosts = watchedThreads.reduce((sum, entry) => sum + entry.newPosts, 0);
+    await chrome.action.setBadgeBackgroundColor({ color: "#003333" });
+    await chrome.action.setBadgeText({ text: newPosts > 0 ? String(Math.min(newPosts, 999)) : "" });
+  } catch (error) {
+    console.error("Error updating badge:", error);
+  }
+}
+
+// Same format as the export IDs made by content.js
+function createExportId() {
+  return `export_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+}
@@ -8,6 +8,7 @@ zip -r "$OUTPUT" . \
   -x "*.git*" \
   -x "*.DS_Store" \
   -x "README.md" \
+  -x "docs/*" \
   -x "store_listing/*" \
   -x "privacy-policy.html" \
   -x "build.sh"
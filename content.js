@@ -1,5 +1,5 @@
 // Lotus Forum Thread Exporter - Main Content Script
-// Orchestrates all components for thread detection, scraping, and PDF generation
+// Orchestrates all components for thread detection, scraping, and export generation
 
 (function () {
   "use strict";
@@ -13,35 +13,240 @@
   // Initialize components
   const detector = new ThreadDetector(CONFIG);
   const scraper = new ThreadScraper(CONFIG, detector);
-  const pdfGenerator = new PDFGenerator(CONFIG);
+  const boardScanner = new BoardScanner(CONFIG);
+  const markdownExporter = new MarkdownExporter(CONFIG);
+  const htmlExporter = new HtmlExporter(CONFIG);
+  const jsonExporter = new JsonExporter(CONFIG);
+  const epubExporter = new EpubExporter(CONFIG);
+  const postFilter = new PostFilter();
+  const exportProgress = new ExportProgress();
   const uiManager = new UIManager(CONFIG);
 
+  // Generators for each entry in CONFIG.exportFormats
+  // `options` carries `{ exportId, fileName, theme, onProgress, signal }`. Generators
+  // return a Blob for the page to download and store, or the result of a
+  // render that already did both (see renderPdfOffscreen).
+  const exporters = {
+    pdf: (threadData, options) => renderPdfOffscreen(threadData, options),
+    markdown: (threadData) => markdownExporter.generate(threadData),
+    html: (threadData, options) => htmlExporter.generate(threadData, options),
+    epub: (threadData, options) => epubExporter.generate(threadData, options),
+    json: (threadData) => jsonExporter.generate(threadData),
+    ndjson: (threadData) => jsonExporter.generateNdjson(threadData),
+  };
+
   // Initialize Chrome storage manager
 
   let isExporting = false;
   let isInitialized = false;
+  let exportController = null;
+  let progressSnapshot = null;
+  let progressSentAt = 0;
+
+  // Show a progress event in the page and mirror it to the popup
+  function reportProgress(event) {
+    progressSnapshot = exportProgress.update(event);
+    uiManager.updateProgress(progressSnapshot);
+
+    // The popup only needs a few updates per second
+    const now = Date.now();
+    if (now - progressSentAt >= 250 || progressSnapshot.fraction >= 1) {
+      progressSentAt = now;
+      chrome.runtime
+        .sendMessage({ action: "exportProgress", progress: progressSnapshot })
+        .catch(() => {});
+    }
+  }
+
+  // Abort the running export; in-flight requests and rendering stop at once
+  function cancelExport() {
+    if (!exportController || exportController.signal.aborted) return false;
+    logger.log("Export: cancel requested");
+    exportController.abort();
+    return true;
+  }
+
+  /**
+   * Stores the exported file (any format) in IndexedDB via the background
+   *
+   * Messages only carry JSON, so the file is sent as base64 chunks of
+   * `CONFIG.export.transferChunkSize`, one message each. The background
+   * verifies every stored chunk against the SHA-256 computed here.
+   *
+   * @param {string} exportId - Export ID
+   * @param {Blob} fileBlob - Exported file
+   * @param {string} [mimeType] - MIME type, defaults to the blob's own type
+   */
+  async function storeExportFile(exportId, fileBlob, mimeType) {
+    const chunkSize = CONFIG.export.transferChunkSize;
+    const chunkCount = Math.max(1, Math.ceil(fileBlob.size / chunkSize));
+
+    try {
+      await sendStorageMessage({
+        action: "beginFileTransfer",
+        exportId,
+        mimeType: mimeType || fileBlob.type,
+        size: fileBlob.size,
+        chunkSize,
+      });
+
+      for (let index = 0; index < chunkCount; index++) {
+        const chunk = fileBlob.slice(index * chunkSize, (index + 1) * chunkSize);
+        await sendStorageMessage({
+          action: "storeFileChunk",
+          exportId,
+          index,
+          data: await blobToBase64(chunk),
+          sha256: await computeSha256(chunk),
+        });
+      }
+
+      await sendStorageMessage({ action: "finishFileTransfer", exportId, chunkCount });
+      logger.log("✅ Export file stored successfully", { exportId, size: fileBlob.size, chunkCount });
+    } catch (error) {
+      logger.warn("Failed to store export file", { error: error.message });
+      // Do not leave a partial file behind
+      chrome.runtime.sendMessage({ action: "abortFileTransfer", exportId }).catch(() => {});
+    }
+  }
+
+  // Send a storage message and turn a failed result into an error
+  async function sendStorageMessage(message) {
+    const result = await chrome.runtime.sendMessage(message);
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || `${message.action} failed`);
+    }
+    return result;
+  }
+
+  // Hex SHA-256 of one chunk, matching IndexedDBManager.computeSha256
+  async function computeSha256(blob) {
+    const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  }
+
+  /**
+   * Renders the PDF in the extension's offscreen document
+   *
+   * jsPDF runs there instead of on the forum page, which stays responsive.
+   * The offscreen document stores the file in IndexedDB and starts the
+   * download itself, so the PDF never travels back through messaging.
+   *
+   * @param {Object} threadData - Filtered thread data
+   * @param {Object} options - `{ exportId, fileName, theme, signal }`; progress
+   *   arrives as `pdfProgress` messages
+   * @returns {Promise<Object>} `{ size, stored }`
+   */
+  async function renderPdfOffscreen(threadData, { exportId, fileName, theme, signal }) {
+    signal.throwIfAborted();
+    const cancel = () => {
+      chrome.runtime.sendMessage({ action: "cancelPdfRender", exportId }).catch(() => {});
+    };
+    signal.addEventListener("abort", cancel);
 
-  // Store PDF blob in IndexedDB
-  async function storePdfBlob(exportId, pdfBlob) {
     try {
-      // Convert blob to base64 for transmission
-      const base64 = await blobToBase64(pdfBlob);
-      
-      // Send to background script for storage
       const result = await chrome.runtime.sendMessage({
-        action: "storePdfBlob",
-        exportId: exportId,
-        pdfBase64: base64,
-        pdfSize: pdfBlob.size
+        action: "generatePdf",
+        exportId,
+        threadData,
+        fileName,
+        pdfSettings: await loadPdfSettings(),
+        theme,
       });
-      
-      if (result.success) {
-        logger.log("✅ PDF blob stored successfully", { exportId, size: pdfBlob.size });
-      } else {
-        logger.warn("⚠️ PDF blob storage failed", { error: result.error });
+      signal.throwIfAborted();
+      if (!result || !result.success) {
+        throw new Error((result && result.error) || "PDF rendering failed");
+      }
+      return { size: result.size, stored: result.stored };
+    } finally {
+      signal.removeEventListener("abort", cancel);
+    }
+  }
+
+  // Load the scrape cached by a previous export of this thread
+  async function loadThreadCache(threadId) {
+    if (!threadId || !(CONFIG.export && CONFIG.export.incremental)) return null;
+
+    try {
+      const result = await chrome.runtime.sendMessage({
+        action: "getThreadCache",
+        threadId,
+      });
+      if (result && result.success && result.cache) {
+        // Posts parsed into an older content tree would not match fresh ones
+        if (result.cache.threadData.contentVersion !== ContentParser.VERSION) {
+          logger.log("Export: ignoring thread cache from an older version", { threadId });
+          return null;
+        }
+        logger.log("Export: using cached thread data", {
+          threadId,
+          lastPage: result.cache.lastPage,
+          cachedPosts: result.cache.threadData.posts.length,
+        });
+        return result.cache;
+      }
+    } catch (error) {
+      logger.warn("Failed to load thread cache", { error: error.message });
+    }
+    return null;
+  }
+
+  // Cache the merged scrape so the next export only fetches new pages
+  async function saveThreadCache(threadData) {
+    const threadId = threadData.metadata && threadData.metadata.threadId;
+    if (!threadId || !(CONFIG.export && CONFIG.export.incremental)) return;
+    const { totalPages, failedPages } = threadData.pagination;
+
+    try {
+      const result = await chrome.runtime.sendMessage({
+        action: "storeThreadCache",
+        threadId,
+        threadData,
+        // Failed pages are fetched again by the next export
+        lastPage: failedPages.length > 0 ? Math.min(...failedPages) : totalPages,
+      });
+      if (!result || !result.success) {
+        logger.warn("⚠️ Thread cache storage failed", { error: result && result.error });
       }
     } catch (error) {
-      logger.warn("Failed to store PDF blob", { error: error.message });
+      logger.warn("Failed to store thread cache", { error: error.message });
+    }
+  }
+
+  // Filters set in the popup, applied to every export
+  async function loadExportFilters() {
+    try {
+      const { exportFilters } = await chrome.storage.local.get(["exportFilters"]);
+      return exportFilters || {};
+    } catch (error) {
+      logger.warn("Failed to load export filters", { error: error.message });
+      return {};
+    }
+  }
+
+  // PDF options set in the popup (see CONFIG.pdf). Sent along with every
+  // render request, the offscreen document has no storage access.
+  async function loadPdfSettings() {
+    try {
+      const { pdfSettings } = await chrome.storage.local.get(["pdfSettings"]);
+      return pdfSettings || {};
+    } catch (error) {
+      logger.warn("Failed to load PDF settings", { error: error.message });
+      return {};
+    }
+  }
+
+  // Theme selected in the popup, resolved with the imported custom themes
+  async function loadExportTheme() {
+    try {
+      const { exportTheme, customThemes } = await chrome.storage.local.get([
+        "exportTheme",
+        "customThemes",
+      ]);
+      return new ThemeRegistry(customThemes).get(exportTheme);
+    } catch (error) {
+      logger.warn("Failed to load export theme", { error: error.message });
+      return new ThemeRegistry().get();
     }
   }
 
@@ -55,6 +260,23 @@
     });
   }
 
+  // Resolve the format to export, falling back to the user's preferred one
+  async function resolveExportFormat(requestedFormat) {
+    if (requestedFormat && exporters[requestedFormat]) {
+      return requestedFormat;
+    }
+
+    try {
+      const { exportFormat } = await chrome.storage.local.get(["exportFormat"]);
+      if (exportFormat && exporters[exportFormat]) {
+        return exportFormat;
+      }
+    } catch (error) {
+      logger.warn("Failed to read preferred export format", { error: error.message });
+    }
+    return CONFIG.defaultExportFormat;
+  }
+
   // Initialize extension
   async function init() {
     if (isInitialized) {
@@ -69,6 +291,12 @@
       if (namespace === "local" && changes.extensionEnabled) {
         handleToggleExtension(changes.extensionEnabled.newValue);
       }
+      if (namespace === "local" && changes.watchedThreads) {
+        updateWatchState(changes.watchedThreads.newValue || []);
+      }
+      if (namespace === "local" && changes.batchJob) {
+        uiManager.updateBatchStatus(changes.batchJob.newValue || null);
+      }
     });
 
     // Wait for storage to be ready with retry logic
@@ -106,24 +334,150 @@
       if (detector.isWoltLabThread()) {
         uiManager.addExportButton();
         uiManager.setExportHandler(handleExportClick);
+        setupWatchToggle();
+      } else if (boardScanner.isBoardPage()) {
+        await setupBoardSelection();
       }
     }
 
     isInitialized = true;
   }
 
+  // Watchlist key of this thread, see background.js
+  function getWatchKey() {
+    return detector.getThreadMetadata().threadId || getWatchUrl();
+  }
+
+  // Thread URL without the page, post and anchor; kept as written, since
+  // URL.searchParams would percent-encode WoltLab's "?thread/…" path
+  function getWatchUrl() {
+    return window.location.href.replace(/#.*$/, "").replace(/&(pageNo|postID)=[^&]*/g, "");
+  }
+
+  // Offer watching the thread in the export format menu
+  async function setupWatchToggle() {
+    uiManager.setWatchHandler(toggleWatch);
+    try {
+      const { watchedThreads } = await chrome.storage.local.get(["watchedThreads"]);
+      updateWatchState(watchedThreads || []);
+    } catch (error) {
+      logger.warn("Failed to load watchlist", { error: error.message });
+    }
+  }
+
+  function updateWatchState(watchedThreads) {
+    const key = getWatchKey();
+    uiManager.setWatchState(watchedThreads.some((entry) => entry.key === key));
+  }
+
+  /**
+   * Adds the thread to the watchlist or removes it
+   *
+   * The background checks watched threads for new posts and exports them
+   * again in the format preferred when watching started.
+   *
+   * @returns {Promise<Object>} `{ success, watching, error }`
+   */
+  async function toggleWatch() {
+    try {
+      const { watchedThreads = [] } = await chrome.storage.local.get(["watchedThreads"]);
+      const key = getWatchKey();
+      const watching = watchedThreads.some((entry) => entry.key === key);
+
+      const result = await chrome.runtime.sendMessage(
+        watching
+          ? { action: "unwatchThread", key }
+          : {
+              action: "watchThread",
+              thread: {
+                url: getWatchUrl(),
+                title: detector.getThreadTitle(),
+                threadId: detector.getThreadMetadata().threadId,
+              },
+              format: await resolveExportFormat(),
+            }
+      );
+      if (!result || !result.success) {
+        throw new Error((result && result.error) || "No response from the extension");
+      }
+      logger.log(watching ? "Watch: thread removed" : "Watch: thread added", { key });
+      return { success: true, watching: !watching };
+    } catch (error) {
+      logger.warn("Failed to update the watchlist", { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Add the thread checkboxes and the batch export panel to a board page
+  async function setupBoardSelection() {
+    const entries = boardScanner
+      .getThreadLinks()
+      .map((link) => ({ link, thread: boardScanner.describeThread(link) }));
+
+    uiManager.addBoardSelection(entries, {
+      format: await resolveExportFormat(),
+      onSelectAllPages: (onProgress) => boardScanner.scanAllPages({ onProgress }),
+      onStart: startBatchExport,
+      onCancel: () => chrome.runtime.sendMessage({ action: "cancelBatchExport" }).catch(() => {}),
+    });
+
+    try {
+      const { batchJob } = await chrome.storage.local.get(["batchJob"]);
+      uiManager.updateBatchStatus(batchJob || null);
+    } catch (error) {
+      logger.warn("Failed to load batch export status", { error: error.message });
+    }
+  }
+
+  /**
+   * Hands the selected threads to the background's batch export queue
+   *
+   * The background works through the queue on its own, so the export goes on
+   * when this tab or the popup is closed.
+   *
+   * @param {Object} selection - `{ threads, format, packaging }` from the board panel
+   * @returns {Promise<Object>} `{ success, error }`
+   */
+  async function startBatchExport({ threads, format, packaging }) {
+    try {
+      const result = await chrome.runtime.sendMessage({
+        action: "startBatchExport",
+        board: { title: boardScanner.getBoardTitle(), url: window.location.href },
+        threads,
+        format,
+        packaging,
+        pdfSettings: await loadPdfSettings(),
+        theme: await loadExportTheme(),
+      });
+      return result || { success: false, error: "No response from the extension" };
+    } catch (error) {
+      logger.warn("Failed to start batch export", { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
   // Handle export button click
-  async function handleExportClick() {
+  async function handleExportClick(requestedFormat) {
     if (isExporting || !uiManager.isEnabled()) return;
 
+    // Restored in the finally block below
+    const originalErrorHandler = window.onerror;
+    const originalUnhandledRejection = window.onunhandledrejection;
+
     try {
       isExporting = true;
       uiManager.updateButtonState("exporting");
+
+      exportController = new AbortController();
+      const progressOptions = {
+        onProgress: reportProgress,
+        signal: exportController.signal,
+      };
+      exportProgress.reset();
+      progressSnapshot = null;
+      uiManager.showProgressPanel(cancelExport);
       
       // Add global error handler for this export
-      const originalErrorHandler = window.onerror;
-      const originalUnhandledRejection = window.onunhandledrejection;
-      
       window.onerror = (message, source, lineno, colno, error) => {
         logger.error("Export: global error caught", {
           message,
@@ -147,7 +501,7 @@
       // Generate unique export ID
       const exportId = `export_${Date.now()}_${Math.random()
         .toString(36)
-        .substr(2, 9)}`;
+        .slice(2, 11)}`;
 
       // Set export ID for logger
       logger.setExportId(exportId);
@@ -156,47 +510,90 @@
       logger.log("Export: starting scrape", { exportId });
       const scrapeStartTime = performance.now();
       
-      // Get thread data
-      const threadData = await scraper.scrapeThreadData();
+      // Get thread data, only fetching pages added since the last export
+      const cache = await loadThreadCache(detector.getThreadMetadata().threadId);
+      let scrapedThread = await scraper.scrapeThreadData(cache, progressOptions);
+
+      // Never drop missing pages silently: retry them or continue knowingly
+      while (!scrapedThread.completeness.complete) {
+        const choice = await uiManager.showIncompleteExportDialog(scrapedThread.completeness);
+        logger.log("Export: thread incomplete", {
+          choice,
+          failedPages: scrapedThread.completeness.failedPages.length,
+          postGaps: scrapedThread.completeness.postGaps.length,
+        });
+
+        if (choice === "retry") {
+          scrapedThread = await scraper.retryPages(
+            scrapedThread,
+            scrapedThread.completeness.retryPages,
+            progressOptions
+          );
+        } else if (choice === "cancel") {
+          logger.log("Export: cancelled because of missing pages", { exportId });
+          uiManager.updateButtonState("ready");
+          chrome.runtime.sendMessage({ action: "exportCancelled" }).catch(() => {});
+          return;
+        } else {
+          break;
+        }
+      }
+      await saveThreadCache(scrapedThread);
       
       const scrapeEndTime = performance.now();
       logger.log("Export: scrape complete", {
         exportId,
-        postCount: threadData.posts.length,
+        postCount: scrapedThread.posts.length,
         scrapeDuration: Math.round(scrapeEndTime - scrapeStartTime) + " ms"
       });
 
-      // Generate PDF
-      logger.log("Export: generating PDF", { exportId });
+      // Apply the export filters (page/post/date range, authors)
+      const threadData = postFilter.apply(scrapedThread, await loadExportFilters());
+      if (threadData.posts.length === 0) {
+        throw new Error("No posts match the export filters");
+      }
+
+      // Generate the output file in the selected format
+      const format = await resolveExportFormat(requestedFormat);
+      const formatInfo = CONFIG.exportFormats[format];
+      logger.log("Export: generating output", { exportId, format });
       const pdfStartTime = performance.now();
+      const fileName = `${threadData.title.replace(/[^a-z0-9]/gi, "_")}.${formatInfo.extension}`;
       
-      const pdfBlob = await pdfGenerator.generatePDF(threadData);
+      const output = await exporters[format](threadData, {
+        ...progressOptions,
+        exportId,
+        fileName,
+        theme: await loadExportTheme(),
+      });
+      // Nothing is downloaded or stored once the user cancelled
+      exportController.signal.throwIfAborted();
+
+      // Offscreen renders have already been stored and downloaded
+      const pdfBlob = output instanceof Blob ? output : null;
+      const fileSize = output.size;
       
       const pdfEndTime = performance.now();
       
-      logger.log("Export: PDF generated", {
+      logger.log("Export: output generated", {
         exportId,
-        pdfSize: pdfBlob && pdfBlob.size,
+        format,
+        pdfSize: fileSize,
+        offscreen: !pdfBlob,
         pdfGenerationDuration: Math.round(pdfEndTime - pdfStartTime) + " ms"
       });
 
-      // No page-level caching; background persists to IndexedDB
-
-      // Download PDF immediately (original behavior)
-      const url = URL.createObjectURL(pdfBlob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `${threadData.title.replace(/[^a-z0-9]/gi, "_")}.pdf`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-
-      // Background streaming removed - using direct download only
-      logger.log("Export: using direct download only (background streaming disabled)", { 
-        exportId, 
-        pdfSize: pdfBlob.size 
-      });
+      if (pdfBlob) {
+        // Download the file immediately (original behavior)
+        const url = URL.createObjectURL(pdfBlob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+      }
 
       // Store metadata in Chrome storage (no PDF data)
       const exportData = {
@@ -207,9 +604,16 @@
         timestamp: new Date().toISOString(), // Keep for backward compatibility
         postCount: threadData.posts.length,
         pageCount: threadData.posts.length, // Keep for backward compatibility
-        pdfSize: pdfBlob.size,
+        format,
+        mimeType: formatInfo.mimeType,
+        fileName,
+        fileSize,
+        pdfSize: fileSize, // Keep for backward compatibility
         pdfStored: false, // Will be updated after storage
         consoleLogs: logger.getCurrentLogs(),
+        boardId: threadData.metadata.boardId,
+        boardTitle: detector.getBoardTitle(),
+        searchPosts: scraper.getSearchPosts(threadData),
       };
 
       // Store export metadata first
@@ -222,8 +626,10 @@
         if (result.success) {
           logger.log("✅ Export metadata stored successfully", { exportId });
           
-          // Now store the PDF blob separately
-          await storePdfBlob(exportId, pdfBlob);
+          // Now store the file separately, unless the offscreen render already did
+          if (pdfBlob) {
+            await storeExportFile(exportId, pdfBlob, formatInfo.mimeType);
+          }
         } else {
           logger.warn("⚠️ Export storage failed", { error: result.error });
         }
@@ -239,27 +645,34 @@
       }, 100);
       uiManager.updateButtonState("success");
 
-      // Notify popup of successful export
+      // Update export statistics before notifying the popup, which reloads them
       try {
-        await chrome.runtime.sendMessage({ action: "exportComplete" });
+        await chrome.runtime.sendMessage({ action: "updateExportStats" });
       } catch (error) {
-        logger.warn("Failed to notify popup of export completion", { error: error.message });
+        logger.warn("Failed to update export statistics", { error: error.message });
       }
 
-      // Update export statistics
+      // Notify popup of successful export
       try {
-        await chrome.runtime.sendMessage({ action: "updateExportStats" });
+        await chrome.runtime.sendMessage({ action: "exportComplete" });
       } catch (error) {
-        logger.warn("Failed to update export statistics", { error: error.message });
+        logger.warn("Failed to notify popup of export completion", { error: error.message });
       }
 
       // Final success log
       logger.log("Export: all operations completed successfully", {
         exportId,
-        pdfSize: pdfBlob.size,
+        pdfSize: fileSize,
         totalPosts: threadData.posts.length
       });
     } catch (error) {
+      if (error && error.name === "AbortError") {
+        logger.log("Export: cancelled by user");
+        uiManager.updateButtonState("ready");
+        chrome.runtime.sendMessage({ action: "exportCancelled" }).catch(() => {});
+        return;
+      }
+
       logger.error("❌ Export failed", {
         error: error.message,
         stack: error.stack,
@@ -278,6 +691,8 @@
       }
     } finally {
       isExporting = false;
+      exportController = null;
+      uiManager.hideProgressPanel();
       
       // Restore original error handlers
       window.onerror = originalErrorHandler;
@@ -302,7 +717,7 @@
         break;
       case "exportThread":
         if (detector.isWoltLabThread() && uiManager.isEnabled()) {
-          handleExportClick();
+          handleExportClick(request.format);
           sendResponse({ success: true });
         } else {
           sendResponse({
@@ -311,6 +726,25 @@
           });
         }
         break;
+      case "toggleWatch":
+        if (detector.isWoltLabThread()) {
+          toggleWatch().then(sendResponse);
+        } else {
+          sendResponse({ success: false, error: "Not a valid thread" });
+        }
+        break;
+      case "pdfProgress":
+        // Relayed by the background from the offscreen PDF renderer
+        if (isExporting) reportProgress(request.progress);
+        sendResponse({ success: true });
+        break;
+      case "cancelExport":
+        sendResponse({ success: cancelExport() });
+        break;
+      case "getExportProgress":
+        // Lets a popup opened mid-export show the current state
+        sendResponse({ exporting: isExporting, progress: progressSnapshot });
+        break;
       case "reStreamLastPDF":
         // Deprecated; background now persists PDFs in IndexedDB
         sendResponse({ success: false, error: "not_supported" });
@@ -342,10 +776,14 @@
       if (detector.isWoltLabThread()) {
         uiManager.addExportButton();
         uiManager.setExportHandler(handleExportClick);
+        setupWatchToggle();
+      } else if (boardScanner.isBoardPage()) {
+        setupBoardSelection();
       }
     } else {
-      // Extension disabled - remove export button
+      // Extension disabled - remove export button and board controls
       uiManager.removeExportButton();
+      uiManager.removeBoardSelection();
     }
   }
 
@@ -0,0 +1,141 @@
+// Lotus Forum Thread Exporter - Board Scanner
+// Finds the threads listed on WoltLab board pages for batch exports
+
+/**
+ * BoardScanner lists the threads of a board (`index.php?board/…`), on the
+ * page the script runs on or on the board's other pages, which are fetched
+ * through the rate-limited FetchQueue like thread pages.
+ *
+ * @class BoardScanner
+ * @since 1.1.0
+ */
+class BoardScanner {
+  /**
+   * @param {Object} config - Configuration with `selectors`, `urlPatterns` and `export`
+   */
+  constructor(config) {
+    this.config = config;
+    this.fetchQueue = new FetchQueue(config.export);
+  }
+
+  /**
+   * Checks if the current page is a board page with a thread list
+   *
+   * @returns {boolean} True on board pages
+   */
+  isBoardPage() {
+    const url = window.location.href;
+    const hasUrlPattern = this.config.urlPatterns.some((pattern) => pattern.test(url));
+    return (
+      hasUrlPattern &&
+      /[?&]board\//.test(url) &&
+      Boolean(document.querySelector(this.config.selectors.boardContainer)) &&
+      this.getThreadLinks().length > 0
+    );
+  }
+
+  // Board name from the page heading
+  getBoardTitle(doc = document) {
+    const titleEl = doc.querySelector(this.config.selectors.threadTitle);
+    return titleEl ? titleEl.textContent.trim() : "Board";
+  }
+
+  /**
+   * Finds the thread links of a board page
+   *
+   * @param {Document} [doc=document] - Board page
+   * @returns {Array<HTMLAnchorElement>} One link per thread, in list order
+   */
+  getThreadLinks(doc = document) {
+    const links = [];
+    doc.querySelectorAll(this.config.selectors.boardThread).forEach((threadEl) => {
+      const link = threadEl.querySelector(this.config.selectors.boardThreadLink);
+      if (link && link.href) links.push(link);
+    });
+    return links;
+  }
+
+  /**
+   * Describes a thread for the batch queue
+   *
+   * @param {HTMLAnchorElement} link - Link from getThreadLinks()
+   * @returns {{url: string, title: string, threadId: string}} Thread
+   */
+  describeThread(link) {
+    const threadEl = link.closest(this.config.selectors.boardThread);
+    const url = new URL(link.href);
+    url.hash = "";
+    return {
+      url: url.toString(),
+      title: link.textContent.trim() || "Untitled Thread",
+      threadId: threadEl ? threadEl.getAttribute("data-thread-id") || "" : "",
+    };
+  }
+
+  // Number of pages of the board
+  getTotalPages(doc = document) {
+    const paginationEl = doc.querySelector(this.config.selectors.pagination);
+    const count = paginationEl ? parseInt(paginationEl.getAttribute("count")) : 1;
+    return count > 0 ? count : 1;
+  }
+
+  // URL of a page of the current board
+  getPageUrl(pageNumber) {
+    const url = new URL(window.location.href);
+    url.searchParams.set("pageNo", String(pageNumber));
+    url.hash = "";
+    return url.toString();
+  }
+
+  /**
+   * Lists the threads on every page of the current board
+   *
+   * Pages beyond `config.export.maxPages` are left out. A page that cannot be
+   * fetched fails the whole scan rather than silently missing threads.
+   *
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with `{ pagesDone, pagesTotal }`
+   * @param {AbortSignal} [options.signal] - Aborts pending requests
+   * @returns {Promise<Array<Object>>} Threads from describeThread(), without duplicates
+   * @throws {Error} When a board page cannot be fetched or has no thread list
+   */
+  async scanAllPages({ onProgress, signal } = {}) {
+    const currentPage = parseInt(new URL(window.location.href).searchParams.get("pageNo")) || 1;
+    const pagesTotal = Math.min(this.getTotalPages(), this.config.export.maxPages);
+    const threadsByPage = new Map([[currentPage, this.getThreadLinks().map((link) => this.describeThread(link))]]);
+    let pagesDone = 1;
+    if (onProgress) onProgress({ pagesDone, pagesTotal });
+
+    const otherPages = [];
+    for (let page = 1; page <= pagesTotal; page++) {
+      if (page !== currentPage) otherPages.push(page);
+    }
+
+    await Promise.all(
+      otherPages.map(async (page) => {
+        const pageUrl = this.getPageUrl(page);
+        const html = await this.fetchQueue.fetchText(pageUrl, { signal });
+        const links = this.getThreadLinks(ThreadScraper.parseDocument(html, pageUrl));
+        if (links.length === 0) {
+          throw new Error(`Board page ${page} lists no threads`);
+        }
+        threadsByPage.set(page, links.map((link) => this.describeThread(link)));
+        pagesDone++;
+        if (onProgress) onProgress({ pagesDone, pagesTotal });
+      })
+    );
+
+    // Sticky threads are repeated on every page
+    const threads = new Map();
+    [...threadsByPage.keys()]
+      .sort((a, b) => a - b)
+      .forEach((page) => {
+        threadsByPage.get(page).forEach((thread) => {
+          const key = thread.threadId || thread.url;
+          if (!threads.has(key)) threads.set(key, thread);
+        });
+      });
+    logger.log("Board: scanned pages", { pagesTotal, threads: threads.size });
+    return [...threads.values()];
+  }
+}
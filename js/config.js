@@ -2,15 +2,6 @@
 // Centralized configuration for the extension
 
 const CONFIG = {
-  // British Racing Green color scheme
-  colors: {
-    primary: "rgba(0, 51, 51, 1)",
-    secondary: "#f0f8f0",
-    accent: "#c0d0c0",
-    text: "#2c3e50",
-    border: "#e0e0e0",
-  },
-
   // WoltLab thread detection patterns
   urlPatterns: [
     /lotus-forum\.de\/WBB\/index\.php\?thread\//,
@@ -23,6 +14,8 @@ const CONFIG = {
     threadContainer: 'body[data-template="thread"][data-application="wbb"]',
     threadTitle: "h1.contentTitle",
     threadMeta: ".woltlab-core-statistics",
+    // The last breadcrumb of a thread is its board
+    breadcrumbName: ".breadcrumbs li [itemprop=\"name\"]",
 
     // Posts - Updated based on example.html
     messageList: "ul.wbbThreadPostList",
@@ -31,6 +24,11 @@ const CONFIG = {
     messageAuthor: ".messageAuthor .username",
     messageDate: ".messagePublicationTime",
 
+    // Board pages (thread lists)
+    boardContainer: 'body[data-template="board"][data-application="wbb"]',
+    boardThread: ".wbbThread[data-thread-id]",
+    boardThreadLink: "a.wbbTopicLink",
+
     // Pagination
     pagination: "woltlab-core-pagination",
     nextPage: 'link[rel="next"]',
@@ -45,10 +43,73 @@ const CONFIG = {
     quoteContent: ".quoteBoxContent",
   },
 
+  // Available export formats, keyed by the format id stored in history
+  exportFormats: {
+    pdf: { label: "PDF", extension: "pdf", mimeType: "application/pdf" },
+    markdown: { label: "Markdown", extension: "md", mimeType: "text/markdown" },
+    html: { label: "HTML archive", extension: "html", mimeType: "text/html" },
+    epub: { label: "EPUB", extension: "epub", mimeType: "application/epub+zip" },
+    json: { label: "JSON data", extension: "json", mimeType: "application/json" },
+    ndjson: { label: "NDJSON data", extension: "ndjson", mimeType: "application/x-ndjson" },
+  },
+
+  // Format used by the export button unless another one is picked
+  defaultExportFormat: "pdf",
+
   // Export settings
   export: {
     maxPages: 50,
+    // Per request attempt, in milliseconds
     timeout: 30000,
+    // Retries after a failed attempt (exponential backoff, honours Retry-After)
     retryAttempts: 3,
+    retryBaseDelay: 1000,
+    maxRetryDelay: 60000,
+    // Pages fetched in parallel, and minimum ms between requests to the forum
+    concurrency: 3,
+    minRequestInterval: 500,
+    // Reuse the cached scrape of a thread and only fetch pages added since
+    incremental: true,
+    // Exported files are sent to the background for storage in chunks of this size
+    transferChunkSize: 4 * 1024 * 1024,
+  },
+
+  // Embedded images (inline post images and image attachments)
+  images: {
+    enabled: true,
+    maxWidth: 1200,
+    maxHeight: 1200,
+    jpegQuality: 0.75,
+    maxTotalBytes: 50 * 1024 * 1024,
+    fetchTimeout: 20000,
+    concurrency: 3,
+  },
+
+  // PDF text rendering defaults; the popup's PDF options (pdfSettings) override them
+  pdf: {
+    // "unicode" embeds the bundled DejaVu fonts, "standard" uses the built-in
+    // PDF fonts and writes emojis and unsupported symbols as text
+    textMode: "unicode",
+    // Draw emojis as colour images (unicode mode only)
+    colorEmoji: true,
+    // Table of contents of the forum pages on the first page (the outline is always added)
+    tableOfContents: true,
+    // Page layout: "a4", "a5" or "letter", "portrait" or "landscape", margins in mm
+    paperSize: "a4",
+    orientation: "portrait",
+    margin: 15,
+    // Body text size in points; headings scale along
+    fontSize: 12,
+    // Line height as a multiple of the font size
+    lineSpacing: 1.2,
+    // 2 sets the posts in two columns
+    columns: 1,
+    // Ink saver for printing: no header blocks or shading, hairline rules,
+    // mirrored margins with a binding gutter for duplex printing
+    printMode: false,
+    // Thread title and forum pages on top of every page, page number, export
+    // date and thread URL below; either widens the margins to at least 12 mm
+    runningHeader: true,
+    runningFooter: true,
   },
 };
@@ -0,0 +1,527 @@
+// Lotus Forum Thread Exporter - Content Parser
+// Converts WoltLab message HTML into a structured content tree
+
+/**
+ * ContentParser turns the HTML of a `.messageText` element into a small,
+ * format-neutral content tree that every exporter consumes.
+ *
+ * Block nodes:
+ * - `{ type: "paragraph", children: Inline[] }`
+ * - `{ type: "heading", level: 1-6, children: Inline[] }`
+ * - `{ type: "list", ordered: boolean, start: number, items: [{ children: Block[] }] }`
+ * - `{ type: "code", text: string, language: string }`
+ * - `{ type: "table", rows: [{ cells: [{ header: boolean, children: Block[] }] }] }`
+ * - `{ type: "blockquote", children: Block[] }`
+ * - `{ type: "quote", author: string, title: string, url: string, postId: string, children: Block[] }`
+ *   for a forum quote box at its position in the post; quotes nest
+ * - `{ type: "rule" }`
+ * - `{ type: "image", src: string, alt: string, href?: string }`
+ *
+ * Inline nodes:
+ * - `{ type: "text", text: string, marks: string[], href?: string }` where
+ *   marks is a subset of `bold`, `italic`, `underline`, `strike`, `code`
+ * - `{ type: "break" }`
+ *
+ * @class ContentParser
+ * @since 1.1.0
+ */
+class ContentParser {
+  constructor() {
+    /** @type {Object<string, string>} Inline tags mapped to the mark they apply */
+    this.markTags = {
+      b: "bold",
+      strong: "bold",
+      i: "italic",
+      em: "italic",
+      u: "underline",
+      ins: "underline",
+      s: "strike",
+      strike: "strike",
+      del: "strike",
+      code: "code",
+      kbd: "code",
+      tt: "code",
+    };
+
+    /** @type {Array<string>} Tags that are dropped entirely */
+    this.ignoredTags = ["script", "style", "noscript", "template", "button"];
+  }
+
+  /**
+   * Parses an element's children into a list of block nodes
+   *
+   * @param {Element} element - Cleaned message content element
+   * @returns {Array<Object>} Block nodes
+   */
+  parse(element) {
+    if (!element) return [];
+
+    const state = { blocks: [], inline: [] };
+    this.walkChildren(element, state, [], null);
+    this.flushParagraph(state);
+    return state.blocks;
+  }
+
+  // Walk all child nodes of an element
+  walkChildren(element, state, marks, href) {
+    Array.from(element.childNodes).forEach((node) => {
+      this.walkNode(node, state, marks, href);
+    });
+  }
+
+  // Dispatch a single DOM node to the matching handler
+  walkNode(node, state, marks, href) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      this.pushText(state, node.textContent, marks, href);
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tagName = node.tagName.toLowerCase();
+    if (this.ignoredTags.includes(tagName)) return;
+
+    if (this.markTags[tagName]) {
+      const mark = this.markTags[tagName];
+      const nextMarks = marks.includes(mark) ? marks : [...marks, mark];
+      this.walkChildren(node, state, nextMarks, href);
+      return;
+    }
+
+    if (this.isQuoteBox(node)) {
+      this.flushParagraph(state);
+      state.blocks.push(this.parseQuote(node));
+      return;
+    }
+
+    if (this.isCodeBox(node)) {
+      this.flushParagraph(state);
+      state.blocks.push(this.parseCodeBlock(node));
+      return;
+    }
+
+    switch (tagName) {
+      case "br":
+        state.inline.push({ type: "break" });
+        return;
+      case "a":
+        this.walkChildren(node, state, marks, this.getLinkHref(node) || href);
+        return;
+      case "img":
+        this.pushImage(state, node, marks, href);
+        return;
+      case "p":
+      case "div":
+      case "section":
+      case "article":
+      case "header":
+      case "footer":
+      case "figure":
+      case "figcaption":
+        this.flushParagraph(state);
+        this.walkChildren(node, state, marks, href);
+        this.flushParagraph(state);
+        return;
+      case "h1":
+      case "h2":
+      case "h3":
+      case "h4":
+      case "h5":
+      case "h6":
+        this.flushParagraph(state);
+        this.pushHeading(state, node, parseInt(tagName.charAt(1), 10));
+        return;
+      case "ul":
+      case "ol":
+        this.flushParagraph(state);
+        state.blocks.push(this.parseList(node));
+        return;
+      case "table":
+        this.flushParagraph(state);
+        state.blocks.push(this.parseTable(node));
+        return;
+      case "blockquote":
+        this.flushParagraph(state);
+        state.blocks.push({ type: "blockquote", children: this.parse(node) });
+        return;
+      case "hr":
+        this.flushParagraph(state);
+        state.blocks.push({ type: "rule" });
+        return;
+      default:
+        // Unknown inline wrappers (span, font, sub, sup, ...) keep their text
+        this.walkChildren(node, state, marks, href);
+    }
+  }
+
+  // Append a text run, collapsing HTML whitespace
+  pushText(state, rawText, marks, href) {
+    const text = (rawText || "").replace(/\s+/g, " ");
+    if (!text) return;
+
+    const run = { type: "text", text, marks: [...marks] };
+    if (href) run.href = href;
+
+    const last = state.inline[state.inline.length - 1];
+    if (last && last.type === "text" && this.sameStyle(last, run)) {
+      last.text += text;
+    } else {
+      state.inline.push(run);
+    }
+  }
+
+  // Smilies stay inline as their alt text, real images become image blocks
+  pushImage(state, imgEl, marks, href) {
+    const alt = (imgEl.getAttribute("alt") || "").trim();
+    const src = imgEl.src || imgEl.getAttribute("src") || "";
+
+    if (this.isSmiley(imgEl) || !/^https?:/i.test(src)) {
+      if (alt) this.pushText(state, alt, marks, href);
+      return;
+    }
+
+    this.flushParagraph(state);
+    // Embedded WoltLab attachments show a thumbnail linking to the full image
+    const fullSrc = href && /[?/]attachment\//.test(href) ? href : src;
+    const block = { type: "image", src: fullSrc, alt };
+    if (href) block.href = href;
+    state.blocks.push(block);
+  }
+
+  isSmiley(imgEl) {
+    return (
+      imgEl.classList.contains("smiley") ||
+      imgEl.classList.contains("emoji") ||
+      /\/smilies\//i.test(imgEl.getAttribute("src") || "")
+    );
+  }
+
+  // Turn the collected inline runs into a paragraph block
+  flushParagraph(state) {
+    const runs = this.trimInline(state.inline);
+    state.inline = [];
+    if (runs.length > 0) {
+      state.blocks.push({ type: "paragraph", children: runs });
+    }
+  }
+
+  pushHeading(state, headingEl, level) {
+    const children = this.parseInline(headingEl);
+    if (children.length > 0) {
+      state.blocks.push({ type: "heading", level, children });
+    }
+  }
+
+  parseList(listEl) {
+    const ordered = listEl.tagName.toLowerCase() === "ol";
+    const start = parseInt(listEl.getAttribute("start"), 10);
+    const items = Array.from(listEl.children)
+      .filter((child) => child.tagName.toLowerCase() === "li")
+      .map((li) => ({ children: this.parse(li) }))
+      .filter((item) => item.children.length > 0);
+
+    return {
+      type: "list",
+      ordered,
+      start: Number.isFinite(start) ? start : 1,
+      items,
+    };
+  }
+
+  parseTable(tableEl) {
+    const rows = Array.from(tableEl.querySelectorAll("tr"))
+      // Skip rows of tables nested inside cells
+      .filter((tr) => tr.closest("table") === tableEl)
+      .map((tr) => ({
+        cells: Array.from(tr.children)
+          .filter((cell) => /^(td|th)$/i.test(cell.tagName))
+          .map((cell) => ({
+            header: cell.tagName.toLowerCase() === "th",
+            children: this.parse(cell),
+          })),
+      }))
+      .filter((row) => row.cells.length > 0);
+
+    return { type: "table", rows };
+  }
+
+  // WoltLab renders [quote] as blockquote.quoteBox with a title and a content div
+  isQuoteBox(element) {
+    return element.tagName.toLowerCase() === "blockquote" && element.classList.contains("quoteBox");
+  }
+
+  parseQuote(quoteEl) {
+    const titleEl = this.findOwn(quoteEl, ".quoteBoxTitle");
+    const linkEl = titleEl && (titleEl.matches("a") ? titleEl : titleEl.querySelector("a"));
+    const contentEl = this.findOwn(quoteEl, ".quoteBoxContent");
+    const title = titleEl ? titleEl.textContent.trim() : "";
+    const url = this.getQuoteUrl(quoteEl, linkEl);
+
+    return {
+      type: "quote",
+      author: this.getQuoteAuthor(title),
+      title,
+      url,
+      // WoltLab postID of the quoted post, empty for quotes without a source
+      postId: this.getPostIdFromUrl(url),
+      children: this.parse(contentEl || quoteEl),
+    };
+  }
+
+  // First match that belongs to this quote box rather than to a quote nested in it
+  findOwn(quoteEl, selector) {
+    return (
+      Array.from(quoteEl.querySelectorAll(selector)).find(
+        (el) => el.closest("blockquote.quoteBox") === quoteEl
+      ) || null
+    );
+  }
+
+  // Link to the quoted post: the quote title, or the blockquote's cite attribute
+  getQuoteUrl(quoteEl, linkEl) {
+    const href = linkEl ? this.getLinkHref(linkEl) : "";
+    if (href) return href;
+
+    const cite = quoteEl.getAttribute("cite");
+    if (!cite) return "";
+    try {
+      return new URL(cite, quoteEl.baseURI).href;
+    } catch (error) {
+      return "";
+    }
+  }
+
+  // "Quote from rasehase" -> "rasehase"
+  getQuoteAuthor(title) {
+    const match = title.match(/(?:Quote from|Zitat von) (.+)/);
+    return match ? match[1].trim() : "";
+  }
+
+  /**
+   * Extracts the WoltLab post ID from a post link
+   *
+   * @param {string} url - Link like `.../thread/123/?postID=456#post456`
+   * @returns {string} Post ID, or "" if the link does not point to a post
+   */
+  getPostIdFromUrl(url) {
+    const match = (url || "").match(/[?&]postID=(\d+)/) || (url || "").match(/#post(\d+)/);
+    return match ? match[1] : "";
+  }
+
+  /**
+   * Finds the quotes of a post, without the quotes nested inside them
+   *
+   * @param {Array<Object>} blocks - Block nodes
+   * @returns {Array<Object>} Quote blocks in document order
+   */
+  findQuotes(blocks) {
+    const quotes = [];
+    (blocks || []).forEach((block) => {
+      if (block.type === "quote") {
+        quotes.push(block);
+        return;
+      }
+      if (block.type === "blockquote") quotes.push(...this.findQuotes(block.children));
+      if (block.items) block.items.forEach((item) => quotes.push(...this.findQuotes(item.children)));
+      if (block.rows) {
+        block.rows.forEach((row) =>
+          row.cells.forEach((cell) => quotes.push(...this.findQuotes(cell.children)))
+        );
+      }
+    });
+    return quotes;
+  }
+
+  // WoltLab renders [code] as div.codeBox with one list item per line
+  isCodeBox(element) {
+    const tagName = element.tagName.toLowerCase();
+    return (
+      tagName === "pre" ||
+      (element.classList && element.classList.contains("codeBox"))
+    );
+  }
+
+  parseCodeBlock(element) {
+    const lineEls = element.querySelectorAll("ol > li, .codeBoxCode li");
+    let text;
+    if (lineEls.length > 0) {
+      text = Array.from(lineEls)
+        .map((li) => li.textContent.replace(/\n$/, ""))
+        .join("\n");
+    } else {
+      const pre = element.tagName.toLowerCase() === "pre"
+        ? element
+        : element.querySelector("pre");
+      text = (pre || element).textContent;
+    }
+
+    const headerEl = element.querySelector(".codeBoxHeadline, .codeBoxHeader h3");
+    const language =
+      element.getAttribute("data-highlighter") ||
+      (headerEl ? headerEl.textContent.trim() : "");
+
+    return {
+      type: "code",
+      text: text.replace(/^\n+|\s+$/g, ""),
+      language,
+    };
+  }
+
+  // Parse an element that may only contain inline content
+  parseInline(element) {
+    const state = { blocks: [], inline: [] };
+    this.walkChildren(element, state, [], null);
+    this.flushParagraph(state);
+    return this.flattenInline(state.blocks);
+  }
+
+  getLinkHref(linkEl) {
+    const href = linkEl.href || linkEl.getAttribute("href") || "";
+    return /^(https?:|mailto:)/i.test(href) ? href : "";
+  }
+
+  // Remove leading/trailing whitespace at paragraph and line-break edges
+  trimInline(runs) {
+    const result = runs.map((run) => ({ ...run }));
+
+    for (let i = 0; i < result.length; i++) {
+      const run = result[i];
+      if (run.type !== "text") continue;
+      const prev = result[i - 1];
+      const next = result[i + 1];
+      if (!prev || prev.type === "break" || /\s$/.test(prev.text)) {
+        run.text = run.text.replace(/^\s+/, "");
+      }
+      if (!next || next.type === "break") {
+        run.text = run.text.replace(/\s+$/, "");
+      }
+    }
+
+    const cleaned = result.filter(
+      (run) => run.type === "break" || run.text.length > 0
+    );
+
+    // Drop breaks at the paragraph edges
+    while (cleaned.length && cleaned[0].type === "break") cleaned.shift();
+    while (cleaned.length && cleaned[cleaned.length - 1].type === "break") {
+      cleaned.pop();
+    }
+    return cleaned;
+  }
+
+  sameStyle(a, b) {
+    return (
+      a.href === b.href &&
+      a.marks.length === b.marks.length &&
+      a.marks.every((mark) => b.marks.includes(mark))
+    );
+  }
+
+  /**
+   * Flattens blocks into a single inline run list separated by line breaks
+   *
+   * Used where only inline content fits, e.g. table cells or headings.
+   *
+   * @param {Array<Object>} blocks - Block nodes
+   * @returns {Array<Object>} Inline nodes
+   */
+  flattenInline(blocks) {
+    const runs = [];
+    const pushBreak = () => {
+      if (runs.length > 0) runs.push({ type: "break" });
+    };
+
+    (blocks || []).forEach((block) => {
+      switch (block.type) {
+        case "paragraph":
+        case "heading":
+          pushBreak();
+          runs.push(...block.children);
+          break;
+        case "list":
+          block.items.forEach((item, index) => {
+            pushBreak();
+            const marker = block.ordered ? `${block.start + index}. ` : "• ";
+            runs.push({ type: "text", text: marker, marks: [] });
+            runs.push(...this.flattenInline(item.children));
+          });
+          break;
+        case "code":
+          block.text.split("\n").forEach((line) => {
+            pushBreak();
+            runs.push({ type: "text", text: line, marks: ["code"] });
+          });
+          break;
+        case "table":
+          block.rows.forEach((row) => {
+            pushBreak();
+            row.cells.forEach((cell, index) => {
+              if (index > 0) runs.push({ type: "text", text: " | ", marks: [] });
+              runs.push(...this.flattenInline(cell.children));
+            });
+          });
+          break;
+        case "blockquote":
+          pushBreak();
+          runs.push(...this.flattenInline(block.children));
+          break;
+        case "quote":
+          pushBreak();
+          runs.push({ type: "text", text: this.getQuoteLabel(block), marks: ["italic"] });
+          runs.push({ type: "break" });
+          runs.push(...this.flattenInline(block.children));
+          break;
+        case "image":
+          pushBreak();
+          runs.push({
+            type: "text",
+            text: `[Image${block.alt ? `: ${block.alt}` : ""}]`,
+            marks: [],
+            href: block.href || block.src,
+          });
+          break;
+      }
+    });
+
+    return runs;
+  }
+
+  /**
+   * Introduces a quote in text formats, e.g. "rasehase wrote:"
+   *
+   * @param {Object} quote - Quote block
+   * @returns {string} Label
+   */
+  getQuoteLabel(quote) {
+    return quote.author ? `${quote.author} wrote:` : "Quote:";
+  }
+
+  /**
+   * Converts blocks to plain text, e.g. for previews and search
+   *
+   * @param {Array<Object>} blocks - Block nodes
+   * @returns {string} Plain text with paragraphs separated by blank lines and
+   *   quotes as "> " prefixed lines below their label
+   */
+  toPlainText(blocks) {
+    return (blocks || [])
+      .map((block) => {
+        if (block.type === "code") return block.text;
+        if (block.type === "rule") return "";
+        if (block.type === "quote") {
+          const lines = this.toPlainText(block.children).split("\n");
+          return [this.getQuoteLabel(block), ...lines.map((line) => `> ${line}`.trimEnd())].join("\n");
+        }
+        return this.flattenInline([block])
+          .map((run) => (run.type === "break" ? "\n" : run.text))
+          .join("");
+      })
+      .filter((text) => text.trim().length > 0)
+      .join("\n\n");
+  }
+}
+
+/**
+ * @type {number} Version of the content tree; scrapes cached with an older
+ * version are not merged into new ones (2: quotes kept inline)
+ */
+ContentParser.VERSION = 2;
@@ -0,0 +1,139 @@
+// Lotus Forum Thread Exporter - Emoji Renderer
+// Draws emojis as colour images for embedding in PDFs
+
+/**
+ * An emoji as the reader sees it: a pictograph shown as emoji by default or
+ * via U+FE0F, with an optional skin tone, ZWJ sequences (families etc.) and flags.
+ * Plain symbols like ©, ™ or ☺ without U+FE0F are left to the text font.
+ * The outer group makes String.split() return the emojis too.
+ */
+const EMOJI_SEQUENCE =
+  /(\p{Regional_Indicator}{2}|(?:\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F)\p{Emoji_Modifier}?(?:\u200D\p{Extended_Pictographic}\uFE0F?\p{Emoji_Modifier}?)*)/u;
+
+/**
+ * EmojiRenderer draws emojis with the system's colour emoji font onto a
+ * canvas and returns them as PNG images, which PDFGenerator places inline
+ * where the text font has no glyph.
+ *
+ * Emojis that do not come out in colour (no emoji font installed, or an
+ * emoji the font does not know) yield null, so the caller can fall back to
+ * a text description instead of embedding a monochrome placeholder box.
+ *
+ * @class EmojiRenderer
+ * @since 1.1.0
+ */
+class EmojiRenderer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size=64] - Image size in pixels
+   */
+  constructor(options = {}) {
+    this.size = options.size || 64;
+
+    /** @type {Map<string, Object|null>} Rendered images by emoji */
+    this.cache = new Map();
+
+    /** @type {CanvasRenderingContext2D|null} Lazily created drawing context */
+    this.context = null;
+  }
+
+  /**
+   * Whether emojis can be drawn here (needs a DOM canvas)
+   *
+   * @returns {boolean} True if a 2D canvas is available
+   */
+  isAvailable() {
+    return Boolean(this.getContext());
+  }
+
+  /**
+   * Splits text into plain text and emojis
+   *
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Alternating plain text (even indexes) and emojis (odd indexes)
+   */
+  split(text) {
+    return (text || "").split(EMOJI_SEQUENCE);
+  }
+
+  /**
+   * Replaces every emoji in a text
+   *
+   * @param {string} text - Text that may contain emojis
+   * @param {Function} replacer - Called with each emoji, returns its replacement
+   * @returns {string} Text with emojis replaced
+   */
+  replace(text, replacer) {
+    return this.split(text)
+      .map((part, index) => (index % 2 === 1 ? replacer(part) : part))
+      .join("");
+  }
+
+  /**
+   * Draws an emoji
+   *
+   * @param {string} emoji - Emoji sequence, see split()
+   * @returns {{dataUrl: string, alias: string}|null} PNG data URL and an alias
+   *   that lets jsPDF embed repeated emojis once, or null if the emoji cannot
+   *   be drawn in colour
+   */
+  render(emoji) {
+    if (!this.cache.has(emoji)) {
+      this.cache.set(emoji, this.draw(emoji));
+    }
+    return this.cache.get(emoji);
+  }
+
+  draw(emoji) {
+    const context = this.getContext();
+    if (!context) return null;
+
+    try {
+      const size = this.size;
+      context.clearRect(0, 0, size, size);
+      context.fillText(emoji, size / 2, size / 2);
+
+      if (!this.hasColour(context.getImageData(0, 0, size, size).data)) {
+        return null;
+      }
+
+      const codePoints = Array.from(emoji, (char) => char.codePointAt(0).toString(16));
+      return {
+        dataUrl: context.canvas.toDataURL("image/png"),
+        alias: `emoji-${codePoints.join("-")}`,
+      };
+    } catch (error) {
+      logger.warn("Emoji: failed to draw", { emoji, error: error.message });
+      return null;
+    }
+  }
+
+  // Colour emoji fonts draw coloured pixels; fallback glyphs and boxes are grey
+  hasColour(pixels) {
+    for (let i = 0; i < pixels.length; i += 4) {
+      if (pixels[i + 3] < 64) continue;
+      const r = pixels[i];
+      const g = pixels[i + 1];
+      const b = pixels[i + 2];
+      if (Math.max(r, g, b) - Math.min(r, g, b) > 48) return true;
+    }
+    return false;
+  }
+
+  getContext() {
+    if (this.context) return this.context;
+    if (typeof document === "undefined") return null;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = this.size;
+    canvas.height = this.size;
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+    if (!context) return null;
+
+    context.font = `${Math.round(this.size * 0.85)}px "Noto Color Emoji", "Apple Color Emoji", "Segoe UI Emoji", "Twemoji Mozilla", sans-serif`;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    this.context = context;
+    return context;
+  }
+}
@@ -0,0 +1,488 @@
+// Lotus Forum Thread Exporter - EPUB Exporter
+// Builds a reflowable EPUB 3 book from a thread for e-readers
+
+/**
+ * EpubExporter packages `threadData` as an EPUB 3 file. Every forum page
+ * becomes one XHTML chapter (based on the `page` field of each post), the
+ * navigation document lists chapters and their posts, and images are stored
+ * inside the book so it works offline on Kindle/Kobo devices.
+ *
+ * A legacy `toc.ncx` is included as well for older EPUB 2 readers.
+ *
+ * @class EpubExporter
+ * @since 1.1.0
+ */
+class EpubExporter {
+  constructor(config = {}) {
+    this.config = config;
+    this.contentParser = new ContentParser();
+    this.imageLoader = new ImageLoader(config.images);
+
+    /** @type {Map<string, string>} Image URL to path inside OEBPS/ */
+    this.imagePaths = new Map();
+  }
+
+  /**
+   * Generates the EPUB book
+   *
+   * @param {Object} threadData - Thread data from ThreadScraper
+   * @param {Object} [options] - `{ onProgress, signal }` for image loading and the
+   *   `theme` from ThemeRegistry.get()
+   * @returns {Promise<Blob>} EPUB file as a Blob
+   */
+  async generate(threadData, options = {}) {
+    logger.log("EPUB: generate called", {
+      title: threadData?.title,
+      postCount: threadData?.posts?.length || 0,
+    });
+
+    this.imageLoader.reset();
+    this.imagePaths.clear();
+    await this.imageLoader.loadAll(
+      this.imageLoader.collectImageUrls(threadData.posts),
+      options
+    );
+
+    const book = this.buildBook(threadData);
+    const zip = new ZipWriter();
+    // The mimetype entry must come first and be stored uncompressed
+    zip.addFile("mimetype", "application/epub+zip");
+    zip.addFile("META-INF/container.xml", this.renderContainer());
+    zip.addFile("OEBPS/content.opf", this.renderPackage(book));
+    zip.addFile("OEBPS/nav.xhtml", this.renderNav(book));
+    zip.addFile("OEBPS/toc.ncx", this.renderNcx(book));
+    zip.addFile("OEBPS/style.css", this.buildStyles(options.theme || new ThemeRegistry().get()));
+    zip.addFile("OEBPS/title.xhtml", this.renderTitlePage(book));
+    book.chapters.forEach((chapter) => {
+      zip.addFile(`OEBPS/${chapter.fileName}`, chapter.xhtml);
+    });
+    book.images.forEach((image) => {
+      zip.addFile(`OEBPS/${image.path}`, this.dataUrlToBytes(image.dataUrl));
+    });
+
+    const blob = zip.generate("application/epub+zip");
+    logger.log("EPUB: generation successful", {
+      size: blob.size,
+      chapters: book.chapters.length,
+      images: book.images.length,
+    });
+    return blob;
+  }
+
+  /**
+   * Groups posts into chapters and renders their XHTML
+   *
+   * @param {Object} threadData - Thread data from ThreadScraper
+   * @returns {Object} Book description used by the package renderers
+   */
+  buildBook(threadData) {
+    const metadata = threadData.metadata || {};
+    const posts = threadData.posts || [];
+    const sourceUrl = UrlUtils.getCanonicalThreadUrl(threadData.url);
+
+    const pages = new Map();
+    posts.forEach((post) => {
+      const page = post.page || 1;
+      if (!pages.has(page)) pages.set(page, []);
+      pages.get(page).push(post);
+    });
+
+    const chapters = Array.from(pages.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([page, pagePosts]) => {
+        const fileName = `page-${String(page).padStart(4, "0")}.xhtml`;
+        const title = `Page ${page}`;
+        return {
+          id: `page-${page}`,
+          fileName,
+          title,
+          posts: pagePosts.map((post, index) => ({
+            anchor: this.getPostAnchor(post, index),
+            label: [post.postNumber, post.author].filter(Boolean).join(" · "),
+          })),
+          xhtml: this.renderChapter(title, pagePosts),
+        };
+      });
+
+    return {
+      title: threadData.title || "Forum thread",
+      // The thread starter is the author of the first post
+      author: (posts[0] && posts[0].author) || "Lotus Forum",
+      identifier: metadata.threadId
+        ? `urn:lotus-forum:thread:${metadata.threadId}`
+        : sourceUrl,
+      sourceUrl,
+      scrapedAt: threadData.scrapedAt,
+      postCount: posts.length,
+      incomplete:
+        threadData.completeness && !threadData.completeness.complete
+          ? ThreadScraper.describeCompleteness(threadData.completeness)
+          : [],
+      chapters,
+      // Collected while rendering chapters
+      images: Array.from(this.imagePaths.entries()).map(([url, path], index) => ({
+        id: `img-${index + 1}`,
+        path,
+        dataUrl: this.imageLoader.get(url).dataUrl,
+      })),
+    };
+  }
+
+  renderContainer() {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+  }
+
+  renderPackage(book) {
+    // dcterms:modified must be UTC without milliseconds
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+    const manifest = [
+      `<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>`,
+      `<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>`,
+      `<item id="css" href="style.css" media-type="text/css"/>`,
+      `<item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>`,
+      ...book.chapters.map(
+        (chapter) =>
+          `<item id="${chapter.id}" href="${chapter.fileName}" media-type="application/xhtml+xml"/>`
+      ),
+      ...book.images.map(
+        (image) => `<item id="${image.id}" href="${image.path}" media-type="image/jpeg"/>`
+      ),
+    ];
+    const spine = [
+      `<itemref idref="title"/>`,
+      ...book.chapters.map((chapter) => `<itemref idref="${chapter.id}"/>`),
+    ];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="de">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${this.escapeXml(book.identifier)}</dc:identifier>
+    <dc:title>${this.escapeXml(book.title)}</dc:title>
+    <dc:creator>${this.escapeXml(book.author)}</dc:creator>
+    <dc:language>de</dc:language>
+    <dc:source>${this.escapeXml(book.sourceUrl)}</dc:source>
+    <dc:publisher>Lotus Forum</dc:publisher>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    ${manifest.join("\n    ")}
+  </manifest>
+  <spine toc="ncx">
+    ${spine.join("\n    ")}
+  </spine>
+</package>
+`;
+  }
+
+  renderNav(book) {
+    const entries = book.chapters
+      .map((chapter) => {
+        const posts = chapter.posts
+          .map(
+            (post) =>
+              `<li><a href="${chapter.fileName}#${post.anchor}">${this.escapeXml(post.label || post.anchor)}</a></li>`
+          )
+          .join("\n          ");
+        return `<li><a href="${chapter.fileName}">${this.escapeXml(chapter.title)}</a>
+        <ol>
+          ${posts}
+        </ol>
+      </li>`;
+      })
+      .join("\n      ");
+
+    return this.wrapXhtml(
+      "Contents",
+      `<nav epub:type="toc" id="toc">
+    <h1>Contents</h1>
+    <ol>
+      <li><a href="title.xhtml">${this.escapeXml(book.title)}</a></li>
+      ${entries}
+    </ol>
+  </nav>`
+    );
+  }
+
+  renderNcx(book) {
+    const points = [
+      { title: book.title, src: "title.xhtml" },
+      ...book.chapters.map((chapter) => ({ title: chapter.title, src: chapter.fileName })),
+    ]
+      .map(
+        (point, index) => `<navPoint id="nav-${index + 1}" playOrder="${index + 1}">
+      <navLabel><text>${this.escapeXml(point.title)}</text></navLabel>
+      <content src="${point.src}"/>
+    </navPoint>`
+      )
+      .join("\n    ");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${this.escapeXml(book.identifier)}"/>
+  </head>
+  <docTitle><text>${this.escapeXml(book.title)}</text></docTitle>
+  <navMap>
+    ${points}
+  </navMap>
+</ncx>
+`;
+  }
+
+  renderTitlePage(book) {
+    const exportDate = new Date(book.scrapedAt).toLocaleString();
+    return this.wrapXhtml(
+      book.title,
+      `<section class="title-page" epub:type="titlepage">
+    <h1>${this.escapeXml(book.title)}</h1>
+    <p class="thread-starter">${this.escapeXml(book.author)}</p>
+    <p class="thread-meta">${book.postCount} posts • Exported ${this.escapeXml(exportDate)}</p>
+    <p class="thread-meta">Source: <a href="${this.escapeXml(book.sourceUrl)}">${this.escapeXml(book.sourceUrl)}</a></p>${this.renderIncompleteNotice(book.incomplete)}
+  </section>`
+    );
+  }
+
+  renderIncompleteNotice(lines) {
+    if (lines.length === 0) return "";
+    const items = lines.map((line) => `<li>${this.escapeXml(line)}</li>`).join("");
+    return `
+    <div class="incomplete-notice"><p><strong>Incomplete export</strong></p><ul>${items}</ul></div>`;
+  }
+
+  renderChapter(title, posts) {
+    const body = posts.map((post, index) => this.renderPost(post, index)).join("\n");
+    return this.wrapXhtml(
+      title,
+      `<section epub:type="chapter">
+  <h1 class="chapter-title">${this.escapeXml(title)}</h1>
+${body}
+  </section>`
+    );
+  }
+
+  renderPost(post, index) {
+    const anchor = this.getPostAnchor(post, index);
+    const permalink = post.postUrl
+      ? ` · <a href="${this.escapeXml(post.postUrl)}">${this.escapeXml(post.postNumber || "Permalink")}</a>`
+      : post.postNumber
+        ? ` · ${this.escapeXml(post.postNumber)}`
+        : "";
+    const attachments = post.attachments && post.attachments.length > 0
+      ? this.renderAttachments(post.attachments)
+      : "";
+
+    return `<article class="post" id="${anchor}">
+    <h2 class="post-header">${this.escapeXml(post.author)}</h2>
+    <p class="post-meta">${this.escapeXml(post.date)}${permalink}</p>
+    ${this.renderBlocks(post.content)}
+    ${attachments}
+  </article>`;
+  }
+
+  renderQuote(quote) {
+    const attribution = quote.author
+      ? `${this.escapeXml(quote.author)} wrote:`
+      : this.escapeXml(quote.title || "Quote");
+
+    return `<blockquote class="quote">
+      <p class="quote-title">${attribution}</p>
+      ${this.renderBlocks(quote.children)}
+    </blockquote>`;
+  }
+
+  renderAttachments(attachments) {
+    const images = attachments.filter(
+      (attachment) => attachment.type === "image" && this.imageLoader.get(attachment.url)
+    );
+    const files = attachments.filter((attachment) => !images.includes(attachment));
+
+    const figures = images
+      .map((attachment) =>
+        this.renderImage({ src: attachment.url, caption: attachment.filename })
+      )
+      .join("\n");
+    const links = files.length > 0
+      ? `<p class="attachments-title">Attachments</p><ul class="attachments">${files
+          .map(
+            (attachment) =>
+              `<li><a href="${this.escapeXml(attachment.url)}">${this.escapeXml(attachment.filename)}</a> (${this.escapeXml(attachment.type)})</li>`
+          )
+          .join("")}</ul>`
+      : "";
+
+    return `${figures}${links}`;
+  }
+
+  /**
+   * Renders content blocks from ContentParser as XHTML
+   *
+   * @param {Array<Object>} blocks - Content blocks
+   * @returns {string} XHTML source
+   */
+  renderBlocks(blocks) {
+    return (blocks || []).map((block) => this.renderBlock(block)).join("\n");
+  }
+
+  renderBlock(block) {
+    switch (block.type) {
+      case "paragraph":
+        return `<p>${this.renderInline(block.children)}</p>`;
+      case "heading": {
+        const level = Math.min(6, block.level + 2);
+        return `<h${level}>${this.renderInline(block.children)}</h${level}>`;
+      }
+      case "list": {
+        const items = block.items
+          .map((item) => `<li>${this.renderBlocks(item.children)}</li>`)
+          .join("");
+        return block.ordered
+          ? `<ol start="${block.start}">${items}</ol>`
+          : `<ul>${items}</ul>`;
+      }
+      case "code":
+        return `<pre class="code"><code>${this.escapeXml(block.text)}</code></pre>`;
+      case "table": {
+        const rows = block.rows
+          .map((row) => {
+            const cells = row.cells
+              .map((cell) => {
+                const tag = cell.header ? "th" : "td";
+                return `<${tag}>${this.renderBlocks(cell.children)}</${tag}>`;
+              })
+              .join("");
+            return `<tr>${cells}</tr>`;
+          })
+          .join("");
+        return `<table>${rows}</table>`;
+      }
+      case "blockquote":
+        return `<blockquote>${this.renderBlocks(block.children)}</blockquote>`;
+      case "quote":
+        return this.renderQuote(block);
+      case "rule":
+        return "<hr/>";
+      case "image":
+        return this.renderImage(block);
+      default:
+        return "";
+    }
+  }
+
+  // Loaded images are stored in the book; failed loads fall back to a link
+  renderImage(block) {
+    const image = this.imageLoader.get(block.src);
+    const caption = block.caption || block.alt || "";
+    const linkUrl = block.href || block.src;
+
+    if (!image) {
+      return `<p><a href="${this.escapeXml(linkUrl)}">[Image${caption ? `: ${this.escapeXml(caption)}` : ""}]</a></p>`;
+    }
+
+    if (!this.imagePaths.has(block.src)) {
+      this.imagePaths.set(
+        block.src,
+        `images/img-${String(this.imagePaths.size + 1).padStart(4, "0")}.jpg`
+      );
+    }
+
+    const figcaption = caption
+      ? `<figcaption>${this.escapeXml(caption)}</figcaption>`
+      : "";
+    return `<figure><img src="${this.imagePaths.get(block.src)}" alt="${this.escapeXml(block.alt || caption)}"/>${figcaption}</figure>`;
+  }
+
+  renderInline(runs) {
+    return (runs || [])
+      .map((run) => {
+        if (run.type === "break") return "<br/>";
+
+        let xhtml = this.escapeXml(run.text);
+        const marks = run.marks || [];
+        if (marks.includes("code")) xhtml = `<code>${xhtml}</code>`;
+        if (marks.includes("strike")) xhtml = `<s>${xhtml}</s>`;
+        if (marks.includes("underline")) xhtml = `<u>${xhtml}</u>`;
+        if (marks.includes("italic")) xhtml = `<em>${xhtml}</em>`;
+        if (marks.includes("bold")) xhtml = `<strong>${xhtml}</strong>`;
+        if (run.href) xhtml = `<a href="${this.escapeXml(run.href)}">${xhtml}</a>`;
+        return xhtml;
+      })
+      .join("");
+  }
+
+  wrapXhtml(title, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="de" lang="de">
+<head>
+  <meta charset="utf-8"/>
+  <title>${this.escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+  ${body}
+</body>
+</html>
+`;
+  }
+
+  // Relative units only so readers can reflow and resize text. Page and text
+  // colours are left to the reader (night modes etc.), the theme only colours
+  // headings, quote bars and rules.
+  buildStyles(theme) {
+    const { primary, meta, border } = theme.colors;
+    return `body { margin: 0 0.5em; line-height: 1.4; }
+h1.chapter-title { font-size: 1.4em; text-align: center; margin: 1em 0; color: ${primary}; }
+.title-page { text-align: center; margin-top: 20%; }
+.thread-starter { font-weight: bold; }
+.incomplete-notice { margin: 1em 0; padding: 0.3em 0.6em; text-align: left; font-size: 0.9em; border: 1px solid ${primary}; }
+.incomplete-notice ul { margin: 0.2em 0; }
+.thread-meta, .post-meta { font-size: 0.8em; color: ${meta}; }
+.post { margin: 0 0 1.5em; padding-bottom: 0.5em; border-bottom: 1px solid ${border}; }
+.post-header { font-size: 1.1em; margin: 0.5em 0 0; color: ${primary}; }
+.post-meta { margin: 0 0 0.5em; }
+.quote { margin: 0.5em 0 0.5em 1em; padding-left: 0.5em; border-left: 3px solid ${primary}; font-style: italic; }
+.quote-title { font-weight: bold; font-style: normal; }
+blockquote { margin: 0.5em 0 0.5em 1em; }
+pre.code { font-size: 0.85em; white-space: pre-wrap; word-wrap: break-word; }
+code { font-family: monospace; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid ${border}; padding: 0.2em 0.4em; vertical-align: top; }
+figure { margin: 0.5em 0; text-align: center; }
+figure img { max-width: 100%; height: auto; }
+figcaption { font-size: 0.8em; font-style: italic; }
+.attachments-title { font-weight: bold; margin-bottom: 0; }
+`;
+  }
+
+  // Anchor derived from the forum post number, matching the HTML archive
+  getPostAnchor(post, index) {
+    const number = (post.postNumber || "").replace(/[^0-9]/g, "");
+    return `post-${number || index + 1}`;
+  }
+
+  dataUrlToBytes(dataUrl) {
+    const binary = atob(dataUrl.split(",")[1] || "");
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  escapeXml(text) {
+    return String(text == null ? "" : text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;")
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+  }
+}
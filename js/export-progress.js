@@ -0,0 +1,122 @@
+// Lotus Forum Thread Exporter - Export Progress
+// Turns scraper and generator progress events into displayable status
+
+/**
+ * ExportProgress collects the progress events emitted while an export runs
+ * (`fetch` from ThreadScraper, `images` from ImageLoader, `render` from
+ * PDFGenerator) and turns them into a snapshot that the in-page panel and
+ * the popup both render.
+ *
+ * The ETA covers the current phase only and is extrapolated from the time
+ * the phase has taken so far.
+ *
+ * @class ExportProgress
+ * @since 1.1.0
+ */
+class ExportProgress {
+  constructor() {
+    this.reset();
+  }
+
+  // Forget the previous export
+  reset() {
+    this.phase = null;
+    this.phaseStartedAt = 0;
+    this.counts = {};
+  }
+
+  /**
+   * Records a progress event
+   *
+   * @param {Object} event - Progress event, e.g. `{ phase: "fetch", pagesDone, pagesTotal, postsParsed }`
+   * @returns {Object} Snapshot, see getSnapshot
+   */
+  update(event) {
+    const done = this.getDone(event);
+    // A new phase, or a phase starting over (retry of missing pages), restarts the ETA
+    if (event.phase !== this.phase || done === 0) {
+      this.phase = event.phase;
+      this.phaseStartedAt = Date.now();
+    }
+    this.counts = { ...this.counts, ...event };
+    return this.getSnapshot();
+  }
+
+  /**
+   * Current status
+   *
+   * @returns {Object} `{ phase, title, lines, fraction, etaSeconds }` where
+   *   `fraction` (0–1) is the progress of the current phase and `etaSeconds`
+   *   is null while no estimate is possible
+   */
+  getSnapshot() {
+    const counts = this.counts;
+    const titles = {
+      fetch: "Fetching pages",
+      images: "Loading images",
+      render: "Rendering PDF",
+    };
+    const lines = [];
+
+    if (counts.pagesTotal !== undefined) {
+      lines.push(`Pages fetched: ${counts.pagesDone} of ${counts.pagesTotal}`);
+      lines.push(`Posts parsed: ${counts.postsParsed}`);
+    }
+    if (counts.imagesTotal) {
+      lines.push(`Images loaded: ${counts.imagesDone} of ${counts.imagesTotal}`);
+    }
+    if (counts.postsTotal !== undefined) {
+      lines.push(`Posts rendered: ${counts.postsRendered} of ${counts.postsTotal}`);
+      lines.push(`PDF pages: ${counts.pdfPages}`);
+    }
+
+    const fraction = this.getFraction(counts);
+    return {
+      phase: this.phase,
+      title: titles[this.phase] || "Exporting",
+      lines,
+      fraction,
+      etaSeconds: this.getEtaSeconds(fraction),
+    };
+  }
+
+  /**
+   * Formats an ETA for display
+   *
+   * @param {number|null} seconds - Remaining seconds
+   * @returns {string} e.g. "About 1 min 20 s left", empty without an estimate
+   */
+  static formatEta(seconds) {
+    if (seconds === null || seconds === undefined) return "";
+    if (seconds < 60) return `About ${Math.max(1, seconds)} s left`;
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    return rest > 0 ? `About ${minutes} min ${rest} s left` : `About ${minutes} min left`;
+  }
+
+  getDone(event) {
+    if (event.phase === "fetch") return event.pagesDone;
+    if (event.phase === "images") return event.imagesDone;
+    if (event.phase === "render") return event.postsRendered;
+    return null;
+  }
+
+  getFraction(counts) {
+    const [done, total] =
+      this.phase === "fetch"
+        ? [counts.pagesDone, counts.pagesTotal]
+        : this.phase === "images"
+        ? [counts.imagesDone, counts.imagesTotal]
+        : this.phase === "render"
+        ? [counts.postsRendered, counts.postsTotal]
+        : [0, 0];
+    return total > 0 ? Math.min(1, done / total) : 0;
+  }
+
+  getEtaSeconds(fraction) {
+    const elapsed = Date.now() - this.phaseStartedAt;
+    // Too little progress yet for a meaningful estimate
+    if (fraction <= 0 || fraction >= 1 || elapsed < 1000) return null;
+    return Math.round((elapsed * (1 - fraction)) / fraction / 1000);
+  }
+}
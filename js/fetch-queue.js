@@ -0,0 +1,243 @@
+// Lotus Forum Thread Exporter - Fetch Queue
+// Concurrent, rate-limited HTTP fetching with timeouts and retries
+
+/**
+ * FetchQueue runs HTTP requests with bounded concurrency while keeping a
+ * minimum interval between request starts to the same host, so large
+ * threads load quickly without hammering the forum.
+ *
+ * Every attempt is aborted after `timeout` ms. Network errors, timeouts and
+ * transient HTTP statuses (408, 425, 429, 5xx) are retried with exponential
+ * backoff; a `Retry-After` header on 429/503 responses takes precedence and
+ * also pauses all other requests to that host.
+ *
+ * An `init.signal` cancels the request at any stage: while it waits for a
+ * slot, is in flight or waits for a retry. Cancelled requests reject with
+ * the signal's AbortError and are never retried.
+ *
+ * @class FetchQueue
+ * @since 1.1.0
+ */
+class FetchQueue {
+  /**
+   * @param {Object} [options] - Queue settings (see CONFIG.export)
+   * @param {number} [options.concurrency=3] - Requests in flight at once
+   * @param {number} [options.minRequestInterval=500] - Minimum ms between request starts per host
+   * @param {number} [options.timeout=30000] - Timeout per attempt in milliseconds
+   * @param {number} [options.retryAttempts=3] - Retries after the first attempt
+   * @param {number} [options.retryBaseDelay=1000] - Backoff delay of the first retry in milliseconds
+   * @param {number} [options.maxRetryDelay=60000] - Upper bound for any retry delay in milliseconds
+   */
+  constructor(options = {}) {
+    this.options = {
+      concurrency: 3,
+      minRequestInterval: 500,
+      timeout: 30000,
+      retryAttempts: 3,
+      retryBaseDelay: 1000,
+      maxRetryDelay: 60000,
+      ...options,
+    };
+
+    /** @type {Array<number>} HTTP statuses worth retrying */
+    this.retryStatuses = [408, 425, 429, 500, 502, 503, 504];
+
+    /** @type {number} Requests currently in flight */
+    this.active = 0;
+
+    /** @type {Array<Function>} Callers waiting for a free slot */
+    this.waiting = [];
+
+    /** @type {Map<string, number>} Earliest start time of the next request per host */
+    this.hostSlots = new Map();
+  }
+
+  /**
+   * Fetches a URL through the queue
+   *
+   * @param {string} url - URL to fetch
+   * @param {Object} [init] - fetch() options
+   * @param {AbortSignal} [init.signal] - Cancels the request including retries
+   * @returns {Promise<Response>} Successful (2xx) response
+   * @throws {Error} When all attempts failed or the status is not retryable;
+   *   HTTP failures carry the response `status`
+   * @throws {DOMException} AbortError when `init.signal` is aborted
+   */
+  async fetch(url, init = {}) {
+    const maxAttempts = Math.max(1, this.options.retryAttempts + 1);
+    const signal = init.signal || null;
+
+    for (let attempt = 1; ; attempt++) {
+      let response = null;
+      let error = null;
+
+      await this.acquire();
+      try {
+        if (signal) signal.throwIfAborted();
+        await this.waitForHost(url, signal);
+        response = await this.fetchWithTimeout(url, init);
+      } catch (fetchError) {
+        error = fetchError;
+      } finally {
+        this.release();
+      }
+
+      if (signal && signal.aborted) throw signal.reason;
+      if (response && response.ok) return response;
+
+      const retryable = error ? true : this.retryStatuses.includes(response.status);
+      if (!retryable || attempt >= maxAttempts) {
+        if (error) throw error;
+        const httpError = new Error(`HTTP ${response.status} for ${url}`);
+        httpError.status = response.status;
+        throw httpError;
+      }
+
+      const delay = this.getRetryDelay(attempt, response);
+      if (response && response.headers.get("Retry-After")) {
+        // The server asked everyone to back off, not just this request
+        this.deferHost(url, delay);
+      }
+
+      logger.warn("Fetch: retrying request", {
+        url,
+        attempt,
+        status: response ? response.status : null,
+        message: error && error.message,
+        delayMs: delay,
+      });
+      // The concurrency slot is released while waiting
+      await this.sleep(delay, signal);
+    }
+  }
+
+  /**
+   * Fetches a URL and returns the response body as text
+   *
+   * @param {string} url - URL to fetch
+   * @param {Object} [init] - fetch() options
+   * @returns {Promise<string>} Response body
+   */
+  async fetchText(url, init = {}) {
+    const response = await this.fetch(url, init);
+    return response.text();
+  }
+
+  // Wait until fewer than `concurrency` requests are in flight
+  acquire() {
+    if (this.active < this.options.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  // Hand the slot to the next waiting caller, if any
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  // Reserve the next start time for the URL's host and wait for it
+  async waitForHost(url, signal = null) {
+    const host = this.getHost(url);
+    const now = Date.now();
+    const slot = Math.max(now, this.hostSlots.get(host) || 0);
+    this.hostSlots.set(host, slot + this.options.minRequestInterval);
+
+    if (slot > now) {
+      await this.sleep(slot - now, signal);
+    }
+  }
+
+  // Push back every upcoming request to the URL's host
+  deferHost(url, delay) {
+    const host = this.getHost(url);
+    const until = Date.now() + delay;
+    this.hostSlots.set(host, Math.max(this.hostSlots.get(host) || 0, until));
+  }
+
+  // Fetch once, aborting on timeout or when the caller's signal fires
+  async fetchWithTimeout(url, init) {
+    const signal = init.signal || null;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeout);
+    const cancel = () => controller.abort();
+    if (signal) signal.addEventListener("abort", cancel);
+
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (signal && signal.aborted) throw signal.reason;
+      if (error && error.name === "AbortError") {
+        throw new Error(`Request timed out after ${this.options.timeout} ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", cancel);
+    }
+  }
+
+  /**
+   * Delay before the next attempt
+   *
+   * Uses `Retry-After` (seconds or HTTP date) when the server sent one,
+   * otherwise exponential backoff with jitter.
+   *
+   * @param {number} attempt - Number of the attempt that just failed (1-based)
+   * @param {Response|null} response - Failed response, null on network errors
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt, response) {
+    const retryAfter = response ? this.parseRetryAfter(response.headers.get("Retry-After")) : null;
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.options.maxRetryDelay);
+    }
+
+    const backoff = this.options.retryBaseDelay * 2 ** (attempt - 1);
+    const jitter = Math.random() * this.options.retryBaseDelay;
+    return Math.min(backoff + jitter, this.options.maxRetryDelay);
+  }
+
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url, window.location.href).host;
+    } catch (error) {
+      return "";
+    }
+  }
+
+  // Resolve after `ms`, or reject early when the signal is aborted
+  sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+}
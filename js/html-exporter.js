@@ -0,0 +1,335 @@
+// Lotus Forum Thread Exporter - HTML Exporter
+// Builds a single self-contained HTML archive of a thread
+
+/**
+ * HtmlExporter renders `threadData` as one offline HTML file: styles are
+ * inlined, images are embedded as base64 data URLs and a small inline script
+ * provides a search box. Quotes are collapsible and every post has an anchor
+ * named after its post number (e.g. `#post-12`).
+ *
+ * @class HtmlExporter
+ * @since 1.1.0
+ */
+class HtmlExporter {
+  constructor(config = {}) {
+    this.config = config;
+    this.contentParser = new ContentParser();
+    this.imageLoader = new ImageLoader(config.images);
+  }
+
+  /**
+   * Generates the HTML archive
+   *
+   * @param {Object} threadData - Thread data from ThreadScraper
+   * @param {Object} [options] - `{ onProgress, signal }` for image loading and the
+   *   `theme` from ThemeRegistry.get()
+   * @returns {Promise<Blob>} HTML file as a Blob
+   */
+  async generate(threadData, options = {}) {
+    logger.log("HTML: generate called", {
+      title: threadData?.title,
+      postCount: threadData?.posts?.length || 0,
+    });
+
+    this.imageLoader.reset();
+    await this.imageLoader.loadAll(
+      this.imageLoader.collectImageUrls(threadData.posts),
+      options
+    );
+
+    const html = this.render(threadData, options.theme);
+    const blob = new Blob([html], { type: "text/html;charset=utf-8" });
+
+    logger.log("HTML: generation successful", { size: blob.size });
+    return blob;
+  }
+
+  /**
+   * Renders the complete HTML document
+   *
+   * @param {Object} threadData - Thread data from ThreadScraper
+   * @param {Object} [theme] - Theme from ThemeRegistry.get(), the default theme if omitted
+   * @returns {string} HTML source
+   */
+  render(threadData, theme = new ThemeRegistry().get()) {
+    const sourceUrl = UrlUtils.getCanonicalThreadUrl(threadData.url);
+    const exportDate = new Date(threadData.scrapedAt).toLocaleString();
+    const posts = threadData.posts
+      .map((post, index) => this.renderPost(post, index))
+      .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escapeHtml(threadData.title)}</title>
+<style>${this.buildStyles(theme.colors)}</style>
+</head>
+<body>
+<header class="thread-header">
+  <h1>${this.escapeHtml(threadData.title)}</h1>
+  <p class="thread-meta">Source: <a href="${this.escapeAttr(sourceUrl)}">${this.escapeHtml(sourceUrl)}</a> • Exported: ${this.escapeHtml(exportDate)} • ${threadData.posts.length} posts</p>
+  ${this.renderIncompleteNotice(threadData.completeness)}<div class="search-bar">
+    <input type="search" id="post-search" placeholder="Search posts…" autocomplete="off">
+    <span id="search-count"></span>
+  </div>
+</header>
+<main class="post-list">
+${posts}
+</main>
+<footer class="archive-footer">Created by Lotus Forum Thread Exporter</footer>
+<script>${this.buildSearchScript()}</script>
+</body>
+</html>
+`;
+  }
+
+  // Warning box in the header of an incomplete export, empty otherwise
+  renderIncompleteNotice(report) {
+    if (!report || report.complete) return "";
+    const items = ThreadScraper.describeCompleteness(report)
+      .map((line) => `<li>${this.escapeHtml(line)}</li>`)
+      .join("");
+    return `<div class="incomplete-notice"><strong>Incomplete export</strong><ul>${items}</ul></div>
+  `;
+  }
+
+  renderPost(post, index) {
+    const anchor = this.getPostAnchor(post, index);
+    // The content includes the post's quotes
+    const searchText = [post.author, this.contentParser.toPlainText(post.content)]
+      .join(" ")
+      .toLowerCase();
+
+    const permalink = post.postUrl
+      ? ` <a class="permalink" href="${this.escapeAttr(post.postUrl)}" title="Open on lotus-forum.de">↗</a>`
+      : "";
+    const attachments = post.attachments && post.attachments.length > 0
+      ? this.renderAttachments(post.attachments)
+      : "";
+
+    return `<article class="post" id="${anchor}" data-search="${this.escapeAttr(searchText)}">
+  <header class="post-header">
+    <span class="post-author">${this.escapeHtml(post.author)}</span>
+    <span class="post-date">${this.escapeHtml(post.date)}</span>
+    <span class="post-links"><a class="post-number" href="#${anchor}">${this.escapeHtml(post.postNumber || `#${index + 1}`)}</a>${permalink}</span>
+  </header>
+  <div class="post-body">${this.renderBlocks(post.content)}</div>
+  ${attachments}
+</article>`;
+  }
+
+  // Forum quote block, collapsible; nested quotes nest inside its body
+  renderQuote(quote) {
+    const attribution = quote.author
+      ? `${this.escapeHtml(quote.author)} wrote:`
+      : this.escapeHtml(quote.title || "Quote");
+
+    return `<details class="quote" open>
+    <summary>${attribution}</summary>
+    <div class="quote-body">${this.renderBlocks(quote.children)}</div>
+  </details>`;
+  }
+
+  renderAttachments(attachments) {
+    const images = attachments.filter(
+      (attachment) => attachment.type === "image" && this.imageLoader.get(attachment.url)
+    );
+    const files = attachments.filter((attachment) => !images.includes(attachment));
+
+    const figures = images
+      .map((attachment) =>
+        this.renderImage({ src: attachment.url, caption: attachment.filename })
+      )
+      .join("\n");
+    const links = files.length > 0
+      ? `<h4>Attachments</h4><ul>${files
+          .map(
+            (attachment) =>
+              `<li><a href="${this.escapeAttr(attachment.url)}">${this.escapeHtml(attachment.filename)}</a> (${this.escapeHtml(attachment.type)})</li>`
+          )
+          .join("")}</ul>`
+      : "";
+
+    return `<div class="attachments">${figures}${links}</div>`;
+  }
+
+  /**
+   * Renders content blocks from ContentParser as HTML
+   *
+   * @param {Array<Object>} blocks - Content blocks
+   * @returns {string} HTML source
+   */
+  renderBlocks(blocks) {
+    return (blocks || []).map((block) => this.renderBlock(block)).join("\n");
+  }
+
+  renderBlock(block) {
+    switch (block.type) {
+      case "paragraph":
+        return `<p>${this.renderInline(block.children)}</p>`;
+      case "heading": {
+        const level = Math.min(6, block.level + 2);
+        return `<h${level}>${this.renderInline(block.children)}</h${level}>`;
+      }
+      case "list": {
+        const items = block.items
+          .map((item) => `<li>${this.renderBlocks(item.children)}</li>`)
+          .join("");
+        return block.ordered
+          ? `<ol start="${block.start}">${items}</ol>`
+          : `<ul>${items}</ul>`;
+      }
+      case "code":
+        return `<pre class="code"><code>${this.escapeHtml(block.text)}</code></pre>`;
+      case "table": {
+        const rows = block.rows
+          .map((row) => {
+            const cells = row.cells
+              .map((cell) => {
+                const tag = cell.header ? "th" : "td";
+                return `<${tag}>${this.renderBlocks(cell.children)}</${tag}>`;
+              })
+              .join("");
+            return `<tr>${cells}</tr>`;
+          })
+          .join("");
+        return `<table>${rows}</table>`;
+      }
+      case "blockquote":
+        return `<blockquote>${this.renderBlocks(block.children)}</blockquote>`;
+      case "quote":
+        return this.renderQuote(block);
+      case "rule":
+        return "<hr>";
+      case "image":
+        return this.renderImage(block);
+      default:
+        return "";
+    }
+  }
+
+  // Embedded images use their data URL; failed loads fall back to a link
+  renderImage(block) {
+    const image = this.imageLoader.get(block.src);
+    const caption = block.caption || block.alt || "";
+    const linkUrl = block.href || block.src;
+
+    if (!image) {
+      return `<p><a href="${this.escapeAttr(linkUrl)}">[Image${caption ? `: ${this.escapeHtml(caption)}` : ""}]</a></p>`;
+    }
+
+    const figcaption = caption
+      ? `<figcaption>${this.escapeHtml(caption)}</figcaption>`
+      : "";
+    return `<figure><a href="${this.escapeAttr(linkUrl)}"><img src="${image.dataUrl}" width="${image.width}" height="${image.height}" alt="${this.escapeAttr(block.alt || caption)}" loading="lazy"></a>${figcaption}</figure>`;
+  }
+
+  renderInline(runs) {
+    return (runs || [])
+      .map((run) => {
+        if (run.type === "break") return "<br>";
+
+        let html = this.escapeHtml(run.text);
+        const marks = run.marks || [];
+        if (marks.includes("code")) html = `<code>${html}</code>`;
+        if (marks.includes("strike")) html = `<s>${html}</s>`;
+        if (marks.includes("underline")) html = `<u>${html}</u>`;
+        if (marks.includes("italic")) html = `<em>${html}</em>`;
+        if (marks.includes("bold")) html = `<strong>${html}</strong>`;
+        if (run.href) {
+          html = `<a href="${this.escapeAttr(run.href)}" rel="noopener noreferrer">${html}</a>`;
+        }
+        return html;
+      })
+      .join("");
+  }
+
+  // Anchor derived from the forum post number so links survive re-exports
+  getPostAnchor(post, index) {
+    const number = (post.postNumber || "").replace(/[^0-9]/g, "");
+    return `post-${number || index + 1}`;
+  }
+
+  /**
+   * Builds the inline stylesheet from a theme's colours
+   *
+   * @param {Object<string, string>} colors - Theme colours (see js/themes.js)
+   * @returns {string} CSS source
+   */
+  buildStyles(colors) {
+    return `
+* { box-sizing: border-box; }
+body { margin: 0; font-family: "Segoe UI", system-ui, -apple-system, sans-serif; color: ${colors.text}; background: ${colors.pageBackground}; line-height: 1.5; }
+a { color: ${colors.link}; }
+.thread-header { position: sticky; top: 0; z-index: 1; background: ${colors.headerBackground}; color: ${colors.headerText}; padding: 16px 24px; }
+.thread-header h1 { margin: 0 0 4px; font-size: 22px; }
+.thread-header a { color: ${colors.headerText}; }
+.thread-meta { margin: 0 0 8px; font-size: 12px; opacity: 0.85; }
+.incomplete-notice { margin: 0 0 8px; padding: 6px 10px; font-size: 13px; color: ${colors.warning}; background: ${colors.warningBackground}; border: 1px solid ${colors.warning}; border-radius: 6px; }
+.incomplete-notice ul { margin: 2px 0 0; padding-left: 20px; }
+.search-bar { display: flex; gap: 8px; align-items: center; }
+#post-search { flex: 1; max-width: 420px; padding: 6px 10px; border-radius: 6px; border: none; font-size: 14px; }
+#search-count { font-size: 12px; opacity: 0.85; }
+.post-list { max-width: 900px; margin: 0 auto; padding: 16px; }
+.post { background: ${colors.postBackground}; border: 1px solid ${colors.border}; border-radius: 8px; margin-bottom: 16px; overflow: hidden; }
+.post:nth-child(even) { background: ${colors.postBackgroundAlt}; }
+.post:target { box-shadow: 0 0 0 3px ${colors.accent}; }
+.post-header { display: flex; gap: 8px; align-items: baseline; background: ${colors.headerBackground}; color: ${colors.headerText}; padding: 8px 12px; }
+.post-author { font-weight: 600; }
+.post-date { font-size: 12px; opacity: 0.85; }
+.post-links { margin-left: auto; font-weight: 600; }
+.post-links a { color: ${colors.headerText}; text-decoration: none; margin-left: 6px; }
+.post-body, .attachments { padding: 4px 16px 8px; }
+.quote { margin: 8px 0; border-left: 4px solid ${colors.primary}; background: ${colors.quoteBackground}; border-radius: 4px; padding: 4px 12px; }
+.quote .quote { background: ${colors.quoteBackgroundNested}; }
+.quote summary { cursor: pointer; font-weight: 600; color: ${colors.primary}; }
+.quote-body { font-style: italic; }
+blockquote { margin: 8px 0; padding-left: 12px; border-left: 3px solid ${colors.border}; }
+pre.code { background: ${colors.codeBackground}; border: 1px solid ${colors.border}; border-radius: 4px; padding: 8px; overflow-x: auto; }
+code { font-family: "Courier New", monospace; }
+table { border-collapse: collapse; margin: 8px 0; }
+th, td { border: 1px solid ${colors.border}; padding: 4px 8px; vertical-align: top; }
+th { background: ${colors.codeBackground}; }
+figure { margin: 8px 0; }
+figure img { max-width: 100%; height: auto; }
+figcaption { font-size: 12px; font-style: italic; color: ${colors.meta}; }
+.archive-footer { text-align: center; font-size: 12px; color: ${colors.meta}; padding: 16px; }
+.hidden { display: none; }
+`;
+  }
+
+  // Inline search: hides posts that do not contain every search term
+  buildSearchScript() {
+    return `
+(function () {
+  var input = document.getElementById("post-search");
+  var count = document.getElementById("search-count");
+  var posts = Array.prototype.slice.call(document.querySelectorAll(".post"));
+  input.addEventListener("input", function () {
+    var terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    var shown = 0;
+    posts.forEach(function (post) {
+      var text = post.getAttribute("data-search");
+      var match = terms.every(function (term) { return text.indexOf(term) !== -1; });
+      post.classList.toggle("hidden", !match);
+      if (match) shown++;
+    });
+    count.textContent = terms.length ? shown + " of " + posts.length + " posts" : "";
+  });
+})();
+`;
+  }
+
+  escapeHtml(text) {
+    return String(text == null ? "" : text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
+  escapeAttr(text) {
+    return this.escapeHtml(text).replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+  }
+}
@@ -0,0 +1,246 @@
+// Lotus Forum Thread Exporter - Image Loader
+// Fetches post images, downscales them and keeps them within a size budget
+
+/**
+ * ImageLoader fetches images referenced by posts and re-encodes them as
+ * downscaled JPEG data URLs that exporters can embed directly.
+ *
+ * Every URL is fetched at most once per export. Images that fail to load or
+ * would exceed the per-export size budget resolve to `null`, and exporters
+ * fall back to rendering a plain link instead.
+ *
+ * @class ImageLoader
+ * @since 1.1.0
+ */
+class ImageLoader {
+  /**
+   * @param {Object} [options] - Image settings (see CONFIG.images)
+   * @param {boolean} [options.enabled=true] - Whether images are embedded at all
+   * @param {number} [options.maxWidth=1200] - Maximum width in pixels
+   * @param {number} [options.maxHeight=1200] - Maximum height in pixels
+   * @param {number} [options.jpegQuality=0.75] - JPEG quality between 0 and 1
+   * @param {number} [options.maxTotalBytes] - Size budget for all images of one export
+   * @param {number} [options.fetchTimeout=20000] - Timeout per image in milliseconds
+   * @param {number} [options.concurrency=3] - Parallel image downloads
+   */
+  constructor(options = {}) {
+    this.options = {
+      enabled: true,
+      maxWidth: 1200,
+      maxHeight: 1200,
+      jpegQuality: 0.75,
+      maxTotalBytes: 50 * 1024 * 1024,
+      fetchTimeout: 20000,
+      concurrency: 3,
+      ...options,
+    };
+
+    /** @type {Map<string, Object|null>} Loaded images by source URL */
+    this.cache = new Map();
+
+    /** @type {number} Bytes of all images embedded in the current export */
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Forgets all images and resets the size budget for a new export
+   */
+  reset() {
+    this.cache.clear();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Collects every image URL used by the posts (inline images and image attachments)
+   *
+   * @param {Array<Object>} posts - Scraped posts
+   * @returns {Array<string>} Unique image URLs in document order
+   */
+  collectImageUrls(posts) {
+    const urls = [];
+    const visit = (blocks) => {
+      (blocks || []).forEach((block) => {
+        if (block.type === "image" && block.src) urls.push(block.src);
+        if (block.children && block.type !== "paragraph" && block.type !== "heading") {
+          visit(block.children);
+        }
+        if (block.items) block.items.forEach((item) => visit(item.children));
+        if (block.rows) {
+          block.rows.forEach((row) => row.cells.forEach((cell) => visit(cell.children)));
+        }
+      });
+    };
+
+    (posts || []).forEach((post) => {
+      visit(post.content);
+      (post.attachments || [])
+        .filter((attachment) => attachment.type === "image" && attachment.url)
+        .forEach((attachment) => urls.push(attachment.url));
+    });
+
+    return [...new Set(urls)];
+  }
+
+  /**
+   * Loads all given URLs with bounded concurrency
+   *
+   * @param {Array<string>} urls - Image URLs
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called after each image with
+   *   `{ phase: "images", imagesDone, imagesTotal }`
+   * @param {AbortSignal} [options.signal] - Stops loading further images
+   * @returns {Promise<Map<string, Object|null>>} The loader cache
+   * @throws {DOMException} AbortError when the signal is aborted
+   */
+  async loadAll(urls, { onProgress, signal } = {}) {
+    if (!this.options.enabled) return this.cache;
+
+    const queue = urls.filter((url) => !this.cache.has(url));
+    const imagesTotal = queue.length;
+    let imagesDone = 0;
+    const workers = Array.from(
+      { length: Math.min(this.options.concurrency, queue.length) },
+      async () => {
+        while (queue.length > 0 && !(signal && signal.aborted)) {
+          const url = queue.shift();
+          await this.load(url, signal);
+          imagesDone++;
+          if (onProgress) onProgress({ phase: "images", imagesDone, imagesTotal });
+        }
+      }
+    );
+    await Promise.all(workers);
+    if (signal) signal.throwIfAborted();
+
+    logger.log("Images: loaded", {
+      requested: urls.length,
+      embedded: Array.from(this.cache.values()).filter(Boolean).length,
+      totalBytes: this.totalBytes,
+    });
+    return this.cache;
+  }
+
+  /**
+   * Returns a previously loaded image
+   *
+   * @param {string} url - Image URL
+   * @returns {Object|null} `{ dataUrl, width, height, bytes }` or null
+   */
+  get(url) {
+    return this.cache.get(url) || null;
+  }
+
+  /**
+   * Fetches, downscales and caches a single image
+   *
+   * @param {string} url - Image URL
+   * @param {AbortSignal} [signal] - Cancels the download
+   * @returns {Promise<Object|null>} Loaded image or null on failure / budget exhaustion
+   */
+  async load(url, signal = null) {
+    if (this.cache.has(url)) return this.cache.get(url);
+
+    let result = null;
+    try {
+      if (this.totalBytes >= this.options.maxTotalBytes) {
+        throw new Error("image size budget exhausted");
+      }
+
+      const blob = await this.fetchImage(url, signal);
+      const image = await this.downscale(blob);
+
+      if (this.totalBytes + image.bytes > this.options.maxTotalBytes) {
+        throw new Error("image size budget exhausted");
+      }
+
+      this.totalBytes += image.bytes;
+      result = image;
+    } catch (error) {
+      // Cancelled downloads are not cached, so a later export can retry them
+      if (signal && signal.aborted) return null;
+      logger.warn("Images: falling back to link", {
+        url,
+        message: error && error.message,
+      });
+    }
+
+    this.cache.set(url, result);
+    return result;
+  }
+
+  // Fetch the raw image with a timeout
+  async fetchImage(url, signal = null) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.fetchTimeout);
+    const cancel = () => controller.abort();
+    if (signal) signal.addEventListener("abort", cancel);
+
+    try {
+      const response = await fetch(url, {
+        credentials: "include",
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const blob = await response.blob();
+      if (blob.type && !blob.type.startsWith("image/")) {
+        throw new Error(`unexpected content type ${blob.type}`);
+      }
+      return blob;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", cancel);
+    }
+  }
+
+  // Re-encode the image as JPEG within the configured resolution
+  async downscale(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(
+      1,
+      this.options.maxWidth / bitmap.width,
+      this.options.maxHeight / bitmap.height
+    );
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const canvas =
+      typeof OffscreenCanvas !== "undefined"
+        ? new OffscreenCanvas(width, height)
+        : Object.assign(document.createElement("canvas"), { width, height });
+    const context = canvas.getContext("2d");
+
+    // JPEG has no alpha channel; paint transparent areas white
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, width, height);
+    context.drawImage(bitmap, 0, 0, width, height);
+    if (bitmap.close) bitmap.close();
+
+    const jpegBlob = canvas.convertToBlob
+      ? await canvas.convertToBlob({
+          type: "image/jpeg",
+          quality: this.options.jpegQuality,
+        })
+      : await new Promise((resolve) =>
+          canvas.toBlob(resolve, "image/jpeg", this.options.jpegQuality)
+        );
+
+    return {
+      dataUrl: await this.blobToDataUrl(jpegBlob),
+      width,
+      height,
+      bytes: jpegBlob.size,
+    };
+  }
+
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = reject;
+      reader.readAsDataURL(blob);
+    });
+  }
+}
@@ -0,0 +1,158 @@
+// Lotus Forum Thread Exporter - JSON Exporter
+// Serializes scraped thread data as versioned JSON or NDJSON for scripts
+
+// Bump MAJOR for breaking changes, MINOR for added fields
+// (see docs/json-export-schema.md)
+const JSON_EXPORT_SCHEMA = {
+  NAME: "lotus-forum-thread-export",
+  VERSION: "2.1.0",
+};
+
+/**
+ * JsonExporter writes the `threadData` produced by
+ * `ThreadScraper.scrapeThreadData` in a documented, versioned schema.
+ *
+ * Every post is normalized to a fixed field order and keyed by its stable
+ * WoltLab post id, so two exports of the same thread can be diffed.
+ *
+ * @class JsonExporter
+ * @since 1.1.0
+ */
+class JsonExporter {
+  constructor(config = {}) {
+    this.config = config;
+    this.contentParser = new ContentParser();
+  }
+
+  /**
+   * Generates a single JSON document
+   *
+   * @param {Object} threadData - Thread data from ThreadScraper
+   * @returns {Promise<Blob>} JSON file as a Blob
+   */
+  async generate(threadData) {
+    logger.log("JSON: generate called", {
+      title: threadData?.title,
+      postCount: threadData?.posts?.length || 0,
+    });
+
+    const exportDocument = this.buildDocument(threadData);
+    const blob = new Blob([JSON.stringify(exportDocument, null, 2) + "\n"], {
+      type: "application/json",
+    });
+
+    logger.log("JSON: generation successful", { size: blob.size });
+    return blob;
+  }
+
+  /**
+   * Generates newline-delimited JSON: one thread record, then one record per post
+   *
+   * @param {Object} threadData - Thread data from ThreadScraper
+   * @returns {Promise<Blob>} NDJSON file as a Blob
+   */
+  async generateNdjson(threadData) {
+    logger.log("JSON: NDJSON generate called", {
+      title: threadData?.title,
+      postCount: threadData?.posts?.length || 0,
+    });
+
+    const { posts, ...header } = this.buildDocument(threadData);
+    const lines = [
+      JSON.stringify({ type: "thread", ...header }),
+      ...posts.map((post) => JSON.stringify({ type: "post", ...post })),
+    ];
+    const blob = new Blob([lines.join("\n") + "\n"], {
+      type: "application/x-ndjson",
+    });
+
+    logger.log("JSON: NDJSON generation successful", { size: blob.size });
+    return blob;
+  }
+
+  /**
+   * Builds the schema document for a thread
+   *
+   * @param {Object} threadData - Thread data from ThreadScraper
+   * @returns {Object} Plain object following JSON_EXPORT_SCHEMA
+   */
+  buildDocument(threadData) {
+    const metadata = threadData.metadata || {};
+    const posts = threadData.posts || [];
+
+    return {
+      schema: JSON_EXPORT_SCHEMA.NAME,
+      schemaVersion: JSON_EXPORT_SCHEMA.VERSION,
+      generator: {
+        name: "Lotus Forum Thread Exporter",
+        version: this.getExtensionVersion(),
+      },
+      thread: {
+        title: threadData.title || "",
+        url: UrlUtils.getCanonicalThreadUrl(threadData.url),
+        threadId: metadata.threadId || "",
+        boardId: metadata.boardId || "",
+        statistics: metadata.statistics || "",
+        scrapedAt: threadData.scrapedAt || "",
+        postCount: posts.length,
+        filters: threadData.filters
+          ? {
+              description: threadData.filters.description,
+              totalPosts: threadData.filters.totalPosts,
+              ...threadData.filters.options,
+            }
+          : null,
+        completeness: this.buildCompleteness(threadData.completeness),
+      },
+      posts: posts.map((post) => this.buildPost(post)),
+    };
+  }
+
+  // Pages that failed to load and post numbers missing between the loaded ones
+  buildCompleteness(report) {
+    if (!report) return null;
+    return {
+      complete: report.complete,
+      failedPages: report.failedPages.map(({ page, message }) => ({ page, message })),
+      postGaps: report.postGaps.map(({ from, to }) => ({ from, to })),
+    };
+  }
+
+  buildPost(post) {
+    const number = parseInt((post.postNumber || "").replace(/[^0-9]/g, ""), 10);
+
+    return {
+      id: post.id || "",
+      postId: post.postId || "",
+      number: Number.isFinite(number) ? number : null,
+      page: post.page || null,
+      url: post.postUrl || "",
+      author: post.author || "",
+      date: post.date || "",
+      dateTime: post.dateTime || "",
+      text: this.contentParser.toPlainText(post.content),
+      content: post.content || [],
+      quotes: (post.quotes || []).map((quote) => ({
+        author: quote.author || "",
+        title: quote.title || "",
+        postId: quote.postId || "",
+        url: quote.url || "",
+        text: this.contentParser.toPlainText(quote.content),
+        content: quote.content || [],
+      })),
+      attachments: (post.attachments || []).map((attachment) => ({
+        filename: attachment.filename || "",
+        url: attachment.url || "",
+        type: attachment.type || "file",
+      })),
+    };
+  }
+
+  getExtensionVersion() {
+    try {
+      return chrome.runtime.getManifest().version;
+    } catch (error) {
+      return "";
+    }
+  }
+}
@@ -0,0 +1,293 @@
+// Lotus Forum Thread Exporter - Markdown Exporter
+// Converts scraped thread data into a Markdown document with front matter
+
+/**
+ * MarkdownExporter renders the `threadData` produced by
+ * `ThreadScraper.scrapeThreadData` as a Markdown file suitable for
+ * Obsidian, Git repositories and other plain-text note systems.
+ *
+ * @class MarkdownExporter
+ * @since 1.1.0
+ */
+class MarkdownExporter {
+  constructor(config = {}) {
+    this.config = config;
+    this.contentParser = new ContentParser();
+  }
+
+  /**
+   * Generates the Markdown document
+   *
+   * @param {Object} threadData - Thread data from ThreadScraper
+   * @returns {Promise<Blob>} Markdown file as a Blob
+   */
+  async generate(threadData) {
+    logger.log("Markdown: generate called", {
+      title: threadData?.title,
+      postCount: threadData?.posts?.length || 0,
+    });
+
+    const markdown = this.render(threadData);
+    const blob = new Blob([markdown], { type: "text/markdown;charset=utf-8" });
+
+    logger.log("Markdown: generation successful", { size: blob.size });
+    return blob;
+  }
+
+  /**
+   * Renders thread data to a Markdown string
+   *
+   * @param {Object} threadData - Thread data from ThreadScraper
+   * @returns {string} Markdown source
+   */
+  render(threadData) {
+    const sections = [
+      this.renderFrontMatter(threadData),
+      `# ${this.escapeText(threadData.title)}`,
+      this.renderIncompleteNotice(threadData.completeness),
+      ...threadData.posts.map((post) => this.renderPost(post)),
+    ];
+
+    return sections.filter(Boolean).join("\n\n") + "\n";
+  }
+
+  renderFrontMatter(threadData) {
+    const metadata = threadData.metadata || {};
+    const fields = {
+      title: threadData.title,
+      threadId: metadata.threadId || "",
+      boardId: metadata.boardId || "",
+      sourceUrl: UrlUtils.getCanonicalThreadUrl(threadData.url),
+      scrapedAt: threadData.scrapedAt,
+      postCount: threadData.posts.length,
+    };
+    if (threadData.completeness) {
+      fields.complete = threadData.completeness.complete;
+    }
+
+    const lines = Object.entries(fields).map(
+      ([key, value]) =>
+        // JSON strings are valid YAML double-quoted scalars
+        `${key}: ${typeof value === "number" || typeof value === "boolean" ? value : JSON.stringify(String(value))}`
+    );
+
+    return ["---", ...lines, "---"].join("\n");
+  }
+
+  // Lists what is missing when pages failed to load; empty for complete threads
+  renderIncompleteNotice(report) {
+    if (!report || report.complete) return "";
+    const lines = ThreadScraper.describeCompleteness(report).map((line) => `> - ${this.escapeText(line)}`);
+    return ["> **Incomplete export**", ">", ...lines].join("\n");
+  }
+
+  renderPost(post) {
+    const heading = [post.postNumber, post.author].filter(Boolean).join(" · ");
+    const parts = [`## ${this.escapeText(heading)}`];
+
+    const meta = [];
+    if (post.date) meta.push(this.escapeText(post.date));
+    if (post.postUrl) meta.push(`[Permalink](${this.escapeUrl(post.postUrl)})`);
+    if (meta.length > 0) parts.push(`*${meta.join(" · ")}*`);
+
+    const body = this.renderBlocks(post.content);
+    if (body) parts.push(body);
+
+    if (post.attachments && post.attachments.length > 0) {
+      parts.push(this.renderAttachments(post.attachments));
+    }
+
+    parts.push("---");
+    return parts.join("\n\n");
+  }
+
+  // Forum quote block, nested quotes become nested "> " levels
+  renderQuote(quote, headingOffset) {
+    const label = quote.author
+      ? `**${this.escapeText(quote.author)} wrote:**`
+      : `**${this.escapeText(quote.title || "Quote")}**`;
+    const attribution = quote.url ? `[${label}](${this.escapeUrl(quote.url)})` : label;
+    const content = this.renderBlocks(quote.children, headingOffset);
+
+    return this.prefixLines(
+      content ? `${attribution}\n\n${content}` : attribution,
+      "> "
+    );
+  }
+
+  renderAttachments(attachments) {
+    const items = attachments.map((attachment) => {
+      const label = this.escapeText(attachment.filename || "Attachment");
+      const link = attachment.url
+        ? `[${label}](${this.escapeUrl(attachment.url)})`
+        : label;
+      return `- ${link} (${attachment.type})`;
+    });
+
+    return ["**Attachments**", "", ...items].join("\n");
+  }
+
+  /**
+   * Renders content blocks from ContentParser
+   *
+   * @param {Array<Object>} blocks - Content blocks
+   * @param {number} [headingOffset=2] - Levels to push content headings down
+   * @returns {string} Markdown source
+   */
+  renderBlocks(blocks, headingOffset = 2) {
+    return (blocks || [])
+      .map((block) => this.renderBlock(block, headingOffset))
+      .filter((text) => text.length > 0)
+      .join("\n\n");
+  }
+
+  renderBlock(block, headingOffset) {
+    switch (block.type) {
+      case "paragraph":
+        return this.renderInline(block.children);
+      case "heading": {
+        const level = Math.min(6, block.level + headingOffset);
+        return `${"#".repeat(level)} ${this.renderInline(block.children)}`;
+      }
+      case "list":
+        return this.renderList(block, headingOffset);
+      case "code": {
+        const language = (block.language || "").toLowerCase().replace(/[^a-z0-9+#-]/g, "");
+        const fence = block.text.includes("```") ? "````" : "```";
+        return `${fence}${language}\n${block.text}\n${fence}`;
+      }
+      case "table":
+        return this.renderTable(block);
+      case "blockquote":
+        return this.prefixLines(this.renderBlocks(block.children, headingOffset), "> ");
+      case "quote":
+        return this.renderQuote(block, headingOffset);
+      case "rule":
+        return "***";
+      case "image": {
+        const image = `![${this.escapeText(block.alt || "")}](${this.escapeUrl(block.src)})`;
+        return block.href && block.href !== block.src
+          ? `[${image}](${this.escapeUrl(block.href)})`
+          : image;
+      }
+      default:
+        return "";
+    }
+  }
+
+  renderList(block, headingOffset) {
+    return block.items
+      .map((item, index) => {
+        const marker = block.ordered ? `${block.start + index}.` : "-";
+        const indent = " ".repeat(marker.length + 1);
+        // Keep nested lists tight against their parent item's text
+        const body = item.children
+          .map((child, childIndex) => {
+            const text = this.renderBlock(child, headingOffset);
+            const separator = childIndex === 0 ? "" : child.type === "list" ? "\n" : "\n\n";
+            return text ? separator + text : "";
+          })
+          .join("");
+        const [first, ...rest] = body.split("\n");
+        const continuation = rest.map((line) => (line ? indent + line : line));
+        return [`${marker} ${first}`, ...continuation].join("\n");
+      })
+      .join("\n");
+  }
+
+  renderTable(block) {
+    if (block.rows.length === 0) return "";
+
+    const columnCount = Math.max(...block.rows.map((row) => row.cells.length));
+    const renderRow = (row) => {
+      const cells = Array.from({ length: columnCount }, (_, index) => {
+        const cell = row.cells[index];
+        if (!cell) return "";
+        return this.renderInline(this.contentParser.flattenInline(cell.children), "<br>")
+          .replace(/\|/g, "\\|");
+      });
+      return `| ${cells.join(" | ")} |`;
+    };
+
+    // GFM tables always need a header row; use the first row
+    const [header, ...body] = block.rows;
+    const separator = `|${" --- |".repeat(columnCount)}`;
+    return [renderRow(header), separator, ...body.map(renderRow)].join("\n");
+  }
+
+  /**
+   * Renders inline runs, grouping consecutive runs of one link
+   *
+   * @param {Array<Object>} runs - Inline nodes
+   * @param {string} [lineBreak] - Markup used for hard line breaks
+   * @returns {string} Markdown source
+   */
+  renderInline(runs, lineBreak = "  \n") {
+    let output = "";
+    let index = 0;
+
+    while (index < (runs || []).length) {
+      const run = runs[index];
+      if (run.type === "break") {
+        output += lineBreak;
+        index++;
+        continue;
+      }
+
+      if (run.href) {
+        const group = [];
+        while (index < runs.length && runs[index].href === run.href) {
+          group.push(runs[index]);
+          index++;
+        }
+        const label = group.map((item) => this.renderRun(item)).join("");
+        output += `[${label}](${this.escapeUrl(run.href)})`;
+        continue;
+      }
+
+      output += this.renderRun(run);
+      index++;
+    }
+
+    return output;
+  }
+
+  renderRun(run) {
+    const marks = run.marks || [];
+    if (marks.includes("code")) {
+      const tick = run.text.includes("`") ? "``" : "`";
+      return `${tick}${run.text}${tick}`;
+    }
+
+    // Emphasis markers must hug the text, so keep surrounding spaces outside
+    const match = run.text.match(/^(\s*)(.*?)(\s*)$/);
+    let [, leading, text, trailing] = match;
+    if (!text) return run.text;
+
+    text = this.escapeText(text);
+    if (marks.includes("strike")) text = `~~${text}~~`;
+    if (marks.includes("underline")) text = `<u>${text}</u>`;
+    if (marks.includes("italic")) text = `_${text}_`;
+    if (marks.includes("bold")) text = `**${text}**`;
+
+    return `${leading}${text}${trailing}`;
+  }
+
+  prefixLines(text, prefix) {
+    return text
+      .split("\n")
+      .map((line) => (line ? prefix + line : prefix.trimEnd()))
+      .join("\n");
+  }
+
+  // Escape characters that would otherwise be read as Markdown syntax
+  escapeText(text) {
+    return String(text || "")
+      .replace(/([\\`*_[\]<>])/g, "\\$1")
+      .replace(/^([#+-]|\d+\.)(\s)/, "\\$1$2");
+  }
+
+  escapeUrl(url) {
+    return String(url || "").replace(/[()\s]/g, (char) => encodeURIComponent(char));
+  }
+}
@@ -0,0 +1,121 @@
+// Lotus Forum Thread Exporter - PDF Fonts
+// Embeds the bundled Unicode fonts into jsPDF documents
+
+/**
+ * Bundled fonts (DejaVu, see fonts/DejaVu-LICENSE.txt) by role. Styles
+ * without a file of their own use the `normal` file.
+ */
+const PDF_FONTS = {
+  body: {
+    family: "DejaVuSans",
+    files: {
+      normal: "DejaVuSans.ttf",
+      bold: "DejaVuSans-Bold.ttf",
+      italic: "DejaVuSans-Oblique.ttf",
+      bolditalic: "DejaVuSans-BoldOblique.ttf",
+    },
+  },
+  code: {
+    family: "DejaVuSansMono",
+    files: {
+      normal: "DejaVuSansMono.ttf",
+    },
+  },
+};
+
+/**
+ * PdfFontLoader embeds the bundled Unicode fonts in jsPDF documents, so
+ * umlauts, ß, typographic quotes, arrows and math symbols render as they
+ * are instead of being limited to the standard fonts' Latin-1 subset.
+ *
+ * Fonts are added with the Identity-H encoding, for which jsPDF embeds a
+ * subset containing only the glyphs the document uses. jsPDF embeds every
+ * font added to a document, used or not, so styles are added on first use
+ * (see ensure()). Each style used costs around 50 KB (compressed) plus its
+ * glyphs, instead of the 0.3–0.8 MB of a full font file.
+ *
+ * The font files are read once and shared by all loaders of the page.
+ *
+ * @class PdfFontLoader
+ * @since 1.1.0
+ */
+class PdfFontLoader {
+  /**
+   * @param {Object} [fonts=PDF_FONTS] - Font definitions by role
+   */
+  constructor(fonts = PDF_FONTS) {
+    this.fonts = fonts;
+  }
+
+  /**
+   * Reads all font files, so that ensure() can work synchronously
+   *
+   * @returns {Promise<Object<string, string>>} Font family by role, e.g. `{ body: "DejaVuSans", code: "DejaVuSansMono" }`
+   * @throws {Error} When a font file cannot be read
+   */
+  async load() {
+    const families = {};
+    for (const [role, font] of Object.entries(this.fonts)) {
+      await Promise.all(Object.values(font.files).map((file) => this.loadFile(file)));
+      families[role] = font.family;
+    }
+    return families;
+  }
+
+  /**
+   * Adds a font style to a document unless it is already there
+   *
+   * Families that are not bundled fonts (helvetica etc.) are ignored.
+   *
+   * @param {jsPDF} doc - Document about to use the font
+   * @param {string} family - Font family, see load()
+   * @param {string} style - "normal", "bold", "italic" or "bolditalic"
+   */
+  ensure(doc, family, style) {
+    const font = Object.values(this.fonts).find((entry) => entry.family === family);
+    if (!font) return;
+
+    const styles = doc.getFontList()[family] || [];
+    if (styles.includes(style)) return;
+
+    const file = font.files[style] || font.files.normal;
+    const data = PdfFontLoader.fileData.get(file);
+    if (!data) {
+      throw new Error(`Font ${file} is not loaded`);
+    }
+    // Several styles may share one file, which the VFS needs only once
+    if (!doc.existsFileInVFS(file)) {
+      doc.addFileToVFS(file, data);
+    }
+    doc.addFont(file, family, style, "Identity-H");
+  }
+
+  // Base64 content of a bundled font file
+  async loadFile(file) {
+    if (!PdfFontLoader.fileData.has(file)) {
+      PdfFontLoader.fileData.set(file, await this.fetchFile(file));
+    }
+    return PdfFontLoader.fileData.get(file);
+  }
+
+  async fetchFile(file) {
+    const response = await fetch(chrome.runtime.getURL(`fonts/${file}`));
+    if (!response.ok) {
+      throw new Error(`Font ${file} could not be loaded (HTTP ${response.status})`);
+    }
+    return this.toBase64(await response.arrayBuffer());
+  }
+
+  toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = "";
+    // Spread in slices to stay below the engine's argument limit
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+    }
+    return btoa(binary);
+  }
+}
+
+/** @type {Map<string, string>} Base64 font files by file name */
+PdfFontLoader.fileData = new Map();
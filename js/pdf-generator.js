@@ -1,18 +1,18 @@
 /**
  * @fileoverview Lotus Forum Thread Exporter - PDF Generator
  *
- * This module handles PDF generation using jsPDF directly with a British Racing Green theme.
+ * This module handles PDF generation using jsPDF directly with the selected export theme.
  * It provides comprehensive functionality for converting forum thread data into well-formatted PDF documents.
  *
  * Features:
  * - Direct jsPDF usage for better control and performance
  * - Preserves clickable links as PDF annotations
- * - British Racing Green color scheme
+ * - Colour themes (British Racing Green by default, see js/themes.js)
  * - Proper text formatting and layout
  * - Memory efficient for large threads
  * - Emoji support with text conversion
  * - Alternating post backgrounds for better readability
- * - Comprehensive HTML processing
+ * - Rich text rendering: bold/italic fonts, nested lists, code blocks and tables
  *
  * @author Lotus Forum Community
  * @version 1.0.0
@@ -40,43 +40,55 @@ const PDF_CONSTANTS = {
   /** @type {number} Post header font size in points */
   POST_HEADER_FONT_SIZE: 14,
 
-  /** @type {Array<number>} Primary color (British Racing Green) as RGB array */
-  PRIMARY_COLOR: [0, 51, 51],
+  /** @type {number} Post padding in millimeters */
+  POST_PADDING: 6,
 
-  /** @type {Array<number>} Secondary color (Cream/Off-white) as RGB array */
-  SECONDARY_COLOR: [250, 248, 245],
+  /** @type {number} Bottom margin between posts in millimeters */
+  POST_MARGIN_BOTTOM: 8,
 
-  /** @type {Array<number>} Border color (Light green) as RGB array */
-  BORDER_COLOR: [200, 220, 200],
+  /** @type {number} Line height multiplier applied to the font size */
+  LINE_SPACING: 1.2,
 
-  /** @type {Array<number>} Text color (Dark green) as RGB array */
-  TEXT_COLOR: [20, 40, 20],
+  /** @type {Array<string>} Paper sizes offered for the page layout (jsPDF format names) */
+  PAPER_SIZES: ["a4", "a5", "letter"],
 
-  /** @type {Array<number>} Meta text color (Medium green) as RGB array */
-  META_COLOR: [100, 120, 100],
+  /** @type {number} Gap between the columns of the two-column layout in millimeters */
+  COLUMN_GAP: 6,
 
-  /** @type {Array<number>} First post background color (White) as RGB array */
-  POST_BG_COLOR_1: [255, 255, 255],
+  /** @type {number} Extra inner margin for binding in print mode, in millimeters */
+  BINDING_GUTTER: 5,
 
-  /** @type {Array<number>} Second post background color (Very light green) as RGB array */
-  POST_BG_COLOR_2: [248, 252, 248],
+  /** @type {number} Width of rules and borders in print mode, in millimeters */
+  HAIRLINE_WIDTH: 0.1,
 
-  /** @type {Array<number>} Header background color (British Racing Green) as RGB array */
-  HEADER_BG_COLOR: [0, 51, 51],
+  /** @type {number} Smallest page margin that leaves room for the running header and footer, in millimeters */
+  RUNNING_MARGIN_MIN: 12,
 
-  /** @type {Array<number>} Header text color (Cream) as RGB array */
-  HEADER_TEXT_COLOR: [250, 248, 245],
+  /** @type {number} Indentation per list level in millimeters */
+  LIST_INDENT: 6,
 
-  /** @type {number} Post padding in millimeters */
-  POST_PADDING: 6,
+  /** @type {number} Indentation of block quotes in millimeters */
+  QUOTE_INDENT: 5,
 
-  /** @type {number} Bottom margin between posts in millimeters */
-  POST_MARGIN_BOTTOM: 8,
+  /** @type {string} Standard font family used for body text */
+  FONT_FAMILY: "helvetica",
+
+  /** @type {string} Standard font family used for code */
+  CODE_FONT_FAMILY: "courier",
+
+  /** @type {number} Inline emoji image size relative to the font size */
+  EMOJI_SCALE: 1.1,
+
+  /** @type {number} Millimeters per CSS pixel (96 dpi) for image sizing */
+  PX_TO_MM: 25.4 / 96,
+
+  /** @type {number} Maximum share of the usable page height an image may take */
+  MAX_IMAGE_PAGE_SHARE: 0.75,
 };
 
 /**
  * PDFGenerator class handles the generation of PDF documents from forum thread data
- * using jsPDF directly with a British Racing Green theme.
+ * using jsPDF directly with the selected export theme.
  *
  * This class provides a comprehensive solution for converting forum thread data into
  * well-formatted PDF documents with proper styling, clickable links, and emoji support.
@@ -84,12 +96,18 @@ const PDF_CONSTANTS = {
  * Features:
  * - Direct jsPDF usage for better control and performance
  * - Preserves clickable links as PDF annotations
- * - British Racing Green color scheme
+ * - Colour themes (British Racing Green by default, see js/themes.js)
  * - Proper text formatting and layout
  * - Memory efficient for large threads
  * - Alternating post backgrounds for better readability
- * - Comprehensive HTML processing and emoji support
+ * - Rich text rendering of the structured content tree and emoji support
+ * - Embedded Unicode fonts (subset per document) with inline colour emojis
+ * - PDF outline by forum page and post, and an optional table of contents
+ * - Quotes shaded in place within the reply, linked to the quoted post, with "Quoted by" references back
  * - Responsive layout with automatic page breaks
+ * - Ink saver print mode without header blocks or shading, hairline rules and
+ *   mirrored margins for duplex printing
+ * - Running header (title, forum pages) and footer (page X of Y, date, URL) on every page
  *
  * @class PDFGenerator
  * @example
@@ -97,14 +115,8 @@ const PDF_CONSTANTS = {
  * const pdfGenerator = new PDFGenerator();
  * const pdfBlob = await pdfGenerator.generatePDF(threadData);
  *
- * // With custom configuration
- * const config = {
- *   colors: {
- *     primary: '#003333',
- *     secondary: '#f0f8f8',
- *     border: '#c8c8c8'
- *   }
- * };
+ * // With another theme
+ * const config = { theme: new ThemeRegistry().get('dark') };
  * const pdfGenerator = new PDFGenerator(config);
  * const pdfBlob = await pdfGenerator.generatePDF(threadData);
  */
@@ -112,11 +124,22 @@ class PDFGenerator {
   /**
    * Creates an instance of PDFGenerator
    *
-   * @param {Object} [config] - Configuration object containing color scheme and other settings
-   * @param {Object} [config.colors] - Color configuration object
-   * @param {string} [config.colors.primary] - Primary color (British Racing Green)
-   * @param {string} [config.colors.secondary] - Secondary color
-   * @param {string} [config.colors.border] - Border color
+   * @param {Object} [config] - Configuration object containing the theme and other settings
+   * @param {Object} [config.theme] - Theme from ThemeRegistry.get(), the default theme if omitted
+   * @param {Object} [config.pdf] - Text rendering (see CONFIG.pdf)
+   * @param {string} [config.pdf.textMode="standard"] - "unicode" embeds the bundled
+   *   Unicode fonts, "standard" uses the built-in PDF fonts and replaces emojis
+   *   and other unsupported characters with text
+   * @param {boolean} [config.pdf.colorEmoji=false] - Draw emojis as colour images
+   *   (unicode mode only)
+   * @param {boolean} [config.pdf.tableOfContents=false] - Add a table of contents
+   *   of the forum pages below the thread header
+   * @param {boolean} [config.pdf.printMode=false] - Ink saver layout for printing,
+   *   see createLayout
+   * @param {boolean} [config.pdf.runningHeader=true] - Thread title and forum
+   *   pages at the top of every page
+   * @param {boolean} [config.pdf.runningFooter=true] - Page number, export date
+   *   and thread URL at the bottom of every page
    *
    * @example
    * // Default configuration
@@ -124,11 +147,8 @@ class PDFGenerator {
    *
    * // Custom configuration
    * const config = {
-   *   colors: {
-   *     primary: '#003333',
-   *     secondary: '#f0f8f8',
-   *     border: '#c8c8c8'
-   *   }
+   *   theme: new ThemeRegistry().get('grayscale'),
+   *   pdf: { paperSize: 'a5' }
    * };
    * const pdfGenerator = new PDFGenerator(config);
    */
@@ -148,8 +168,100 @@ class PDFGenerator {
     /** @type {number} Page height in millimeters */
     this.pageHeight = 0;
 
-    /** @type {number} Content width in millimeters (page width minus margins) */
+    /** @type {number} Content width in millimeters (page or column width minus margins) */
     this.contentWidth = 0;
+
+    /** @type {number} Left edge of the content (page or current column) in millimeters */
+    this.contentLeft = PDF_CONSTANTS.MARGIN;
+
+    /** @type {number} Columns of the current page, 1 outside the posts */
+    this.columnCount = 1;
+
+    /** @type {number} Index of the column being filled */
+    this.column = 0;
+
+    /** @type {number} Where the columns of the current page start, in millimeters */
+    this.columnTop = PDF_CONSTANTS.MARGIN;
+
+    /** @type {Array<Object>} Quote boxes being rendered, outermost first, see renderQuote */
+    this.openQuotes = [];
+
+    /** @type {ContentParser} Helper for flattening content blocks */
+    this.contentParser = new ContentParser();
+
+    /** @type {ImageLoader} Fetches and downscales embedded images */
+    this.imageLoader = new ImageLoader(config.images);
+
+    /** @type {Object} Text rendering and page layout options */
+    this.pdfOptions = {
+      textMode: "standard",
+      colorEmoji: false,
+      tableOfContents: false,
+      paperSize: "a4",
+      orientation: "portrait",
+      margin: PDF_CONSTANTS.MARGIN,
+      fontSize: PDF_CONSTANTS.FONT_SIZE,
+      lineSpacing: PDF_CONSTANTS.LINE_SPACING,
+      columns: 1,
+      printMode: false,
+      runningHeader: true,
+      runningFooter: true,
+      ...config.pdf,
+    };
+
+    /** @type {Object} Page layout in millimeters and points, see createLayout */
+    this.layout = this.createLayout(this.pdfOptions);
+
+    /** @type {Object} Theme the document is drawn in, see js/themes.js */
+    this.theme = config.theme || new ThemeRegistry().get();
+    // Print mode leaves pages white, where the light text of dark themes would vanish
+    if (this.layout.printMode && this.theme.colors.pageBackground !== "#ffffff") {
+      this.theme = new ThemeRegistry().get("grayscale");
+    }
+
+    /** @type {Object<string, Array<number>>} Theme colours as RGB arrays */
+    this.colors = Object.fromEntries(
+      Object.entries(this.theme.colors).map(([key, hex]) => [key, ThemeRegistry.toRgb(hex)])
+    );
+
+    /** @type {PdfFontLoader} Embeds the bundled Unicode fonts */
+    this.fontLoader = new PdfFontLoader();
+
+    /** @type {EmojiRenderer} Draws colour emoji images */
+    this.emojiRenderer = new EmojiRenderer();
+
+    /** @type {string} Font family of body text in the current document */
+    this.fontFamily = PDF_CONSTANTS.FONT_FAMILY;
+
+    /** @type {string} Font family of code in the current document */
+    this.codeFontFamily = PDF_CONSTANTS.CODE_FONT_FAMILY;
+
+    /** @type {boolean} Whether the current document uses the Unicode fonts */
+    this.unicodeText = false;
+
+    /** @type {boolean} Whether emojis are drawn as images in the current document */
+    this.emojiImages = false;
+
+    /** @type {Map<string, {pageNumber: number, top: number}>} Where each post starts, by post ID */
+    this.postAnchors = new Map();
+
+    /** @type {Array<Object>} Table of contents lines awaiting their page numbers */
+    this.tocEntries = [];
+
+    /** @type {Array<Object>} Links to posts, added once every post has its anchor */
+    this.postLinks = [];
+
+    /** @type {Map<string, Object>} Posts of the export by post ID */
+    this.postsById = new Map();
+
+    /** @type {Map<string, Array<Object>>} Posts quoting a post, by the quoted post's ID */
+    this.quotedBy = new Map();
+
+    /** @type {number|null} Forum page of the post being rendered */
+    this.currentForumPage = null;
+
+    /** @type {Map<number, {first: number, last: number}>} Forum pages shown on each PDF page */
+    this.forumPageRanges = new Map();
   }
 
   /**
@@ -173,15 +285,21 @@ class PDFGenerator {
    * @param {Array<Object>} threadData.posts - Array of post objects
    * @param {string} threadData.posts[].author - Post author
    * @param {string} threadData.posts[].date - Post date
-   * @param {string} threadData.posts[].content - Post content HTML
+   * @param {Array<Object>} threadData.posts[].content - Post content blocks (see ContentParser)
    * @param {string} threadData.posts[].postUrl - URL to the specific post
    * @param {string} threadData.posts[].postNumber - Post number
    * @param {Array<Object>} [threadData.posts[].quotes] - Array of quoted posts
    * @param {Array<Object>} [threadData.posts[].attachments] - Array of post attachments
+   * @param {Object} [options] - Progress reporting and cancellation
+   * @param {Function} [options.onProgress] - Called with `{ phase: "images", ... }`
+   *   while images load and `{ phase: "render", postsRendered, postsTotal, pdfPages }`
+   *   after each post
+   * @param {AbortSignal} [options.signal] - Cancels image loading and rendering
    *
    * @returns {Promise<Blob>} A Promise that resolves to a PDF Blob
    *
    * @throws {Error} When PDF generation fails or jsPDF is not available
+   * @throws {DOMException} AbortError when `options.signal` is aborted
    *
    * @example
    * // Basic usage
@@ -195,7 +313,7 @@ class PDFGenerator {
    * link.download = 'thread-export.pdf';
    * link.click();
    */
-  async generatePDF(threadData) {
+  async generatePDF(threadData, options = {}) {
     const startTime = Date.now();
 
     logger.log("PDF: generatePDF called", {
@@ -207,19 +325,42 @@ class PDFGenerator {
       // Initialize PDF document
       logger.log("PDF: initializing document");
       this.initializePDF();
+      await this.setupFonts();
+
+      // Fetch images up front so that layout can stay synchronous
+      logger.log("PDF: loading images");
+      this.imageLoader.reset();
+      await this.imageLoader.loadAll(
+        this.imageLoader.collectImageUrls(threadData.posts),
+        options
+      );
 
       // Add header
       logger.log("PDF: adding thread header");
       this.addThreadHeader(threadData);
+      if (this.pdfOptions.tableOfContents) {
+        this.addTableOfContents(threadData.posts);
+      }
 
       // Add posts - this is now properly awaited
       logger.log("PDF: starting post processing", {
         totalPosts: threadData.posts.length,
       });
-      await this.addPosts(threadData.posts);
+      this.indexQuotes(threadData.posts);
+      this.setColumns(this.layout.columns);
+      await this.addPosts(threadData.posts, options);
+      this.setColumns(1);
+      this.currentForumPage = null;
 
       // Add footer to the last page
       this.addFooter();
+      this.addRunningHeaders(threadData);
+      this.paintPageBackgrounds();
+
+      // Now that every post has its page, point the navigation at them
+      this.fillTableOfContents();
+      this.addPostLinks();
+      this.addOutline(threadData.posts);
 
       logger.log("PDF: all posts processed, generating final PDF blob");
 
@@ -242,6 +383,11 @@ class PDFGenerator {
       const endTime = Date.now();
       const duration = endTime - startTime;
 
+      if (error && error.name === "AbortError") {
+        logger.log("PDF: generation cancelled", { durationMs: duration });
+        throw error;
+      }
+
       logger.error("PDF: generation failed", {
         message: error?.message,
         stack: error?.stack,
@@ -256,8 +402,8 @@ class PDFGenerator {
   /**
    * Initializes the jsPDF document with proper settings
    *
-   * This method sets up the PDF document with A4 format, portrait orientation,
-   * and calculates page dimensions. It also handles jsPDF library detection
+   * This method sets up the PDF document with the configured paper size and
+   * orientation, and calculates page dimensions. It also handles jsPDF library detection
    * for both UMD and global versions.
    *
    * @private
@@ -279,25 +425,209 @@ class PDFGenerator {
 
     this.doc = new jsPDF({
       unit: "mm",
-      format: "a4",
-      orientation: "portrait",
+      format: this.layout.paperSize,
+      orientation: this.layout.orientation,
+      // Deflate streams; embedded font subsets are mostly uncompressed tables
+      compress: true,
     });
 
     // Get page dimensions
     this.pageWidth = this.doc.internal.pageSize.getWidth();
     this.pageHeight = this.doc.internal.pageSize.getHeight();
-    this.contentWidth = this.pageWidth - PDF_CONSTANTS.MARGIN * 2;
 
-    // Reset current Y position
-    this.currentY = PDF_CONSTANTS.MARGIN;
+    // Reset current Y position; the header and contents span the full width
+    this.currentY = this.layout.margin;
+    this.setColumns(1);
+    this.openQuotes = [];
+    this.postAnchors = new Map();
+    this.tocEntries = [];
+    this.postLinks = [];
+    this.currentForumPage = null;
+    this.forumPageRanges = new Map();
 
     logger.log("PDF: initialized", {
       pageWidth: this.pageWidth,
       pageHeight: this.pageHeight,
       contentWidth: this.contentWidth,
+      layout: this.layout,
+    });
+  }
+
+  /**
+   * Derives the page layout from the PDF options
+   *
+   * Invalid values fall back to the defaults. Heading sizes and the spacing
+   * unit scale with the base font size and line spacing.
+   *
+   * Print mode leaves out the post header blocks, quote shading, the page
+   * background and the footer joke, draws rules as hairlines and adds a
+   * binding gutter to the inner margin, i.e. left on odd and right on even
+   * pages for duplex printing.
+   *
+   * The running header and footer sit in the top and bottom margins, which
+   * are widened to RUNNING_MARGIN_MIN for them.
+   *
+   * @private
+   * @param {Object} options - `{ paperSize, orientation, margin, fontSize, lineSpacing,
+   *   columns, printMode, runningHeader, runningFooter }`
+   * @returns {Object} Layout with `margin`, `gutter` and `lineHeight` in mm and font sizes in points
+   */
+  createLayout(options) {
+    const number = (value, min, max, fallback) => {
+      const parsed = Number(value);
+      return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+    };
+    const fontSize = number(options.fontSize, 8, 18, PDF_CONSTANTS.FONT_SIZE);
+    const lineSpacing = number(options.lineSpacing, 1, 2, PDF_CONSTANTS.LINE_SPACING);
+    const runningHeader = options.runningHeader !== false;
+    const runningFooter = options.runningFooter !== false;
+    const minMargin = runningHeader || runningFooter ? PDF_CONSTANTS.RUNNING_MARGIN_MIN : 5;
+
+    return {
+      paperSize: PDF_CONSTANTS.PAPER_SIZES.includes(options.paperSize) ? options.paperSize : "a4",
+      orientation: options.orientation === "landscape" ? "landscape" : "portrait",
+      margin: Math.max(minMargin, number(options.margin, 5, 40, PDF_CONSTANTS.MARGIN)),
+      fontSize,
+      lineSpacing,
+      headerFontSize: fontSize + PDF_CONSTANTS.HEADER_FONT_SIZE - PDF_CONSTANTS.FONT_SIZE,
+      postHeaderFontSize: fontSize + PDF_CONSTANTS.POST_HEADER_FONT_SIZE - PDF_CONSTANTS.FONT_SIZE,
+      lineHeight:
+        PDF_CONSTANTS.LINE_HEIGHT *
+        (fontSize / PDF_CONSTANTS.FONT_SIZE) *
+        (lineSpacing / PDF_CONSTANTS.LINE_SPACING),
+      columns: Number(options.columns) === 2 ? 2 : 1,
+      printMode: Boolean(options.printMode),
+      gutter: options.printMode ? PDF_CONSTANTS.BINDING_GUTTER : 0,
+      runningHeader,
+      runningFooter,
+    };
+  }
+
+  /**
+   * Splits the rest of the current page into columns
+   *
+   * Following pages use the same number of columns from their top margin.
+   *
+   * @private
+   * @param {number} count - 1 for the full width, or 2
+   */
+  setColumns(count) {
+    // Leaving columns: continue below the fullest column, i.e. the first
+    if (this.columnCount > 1 && this.column > 0) {
+      this.currentY = this.pageHeight - this.layout.margin;
+    }
+    this.columnCount = count;
+    this.column = 0;
+    this.columnTop = this.currentY;
+    this.updateFrame();
+  }
+
+  // Left edge and width of the page or column being filled
+  updateFrame() {
+    const { left, width } = this.getPageFrame(this.getCurrentPageNumber());
+    const gap = PDF_CONSTANTS.COLUMN_GAP;
+    this.contentWidth = (width - gap * (this.columnCount - 1)) / this.columnCount;
+    this.contentLeft = left + this.column * (this.contentWidth + gap);
+  }
+
+  // Left edge and width of a page's text block; the gutter is the inner
+  // margin, i.e. left on odd pages and right on even ones
+  getPageFrame(pageNumber) {
+    const { margin, gutter } = this.layout;
+    return {
+      left: margin + (pageNumber % 2 === 1 ? gutter : 0),
+      width: this.pageWidth - margin * 2 - gutter,
+    };
+  }
+
+  // Rule and border width, thinner in print mode
+  getLineWidth(width) {
+    return this.layout.printMode ? PDF_CONSTANTS.HAIRLINE_WIDTH : width;
+  }
+
+  /**
+   * Continues in the next column, or at the top of a new page
+   *
+   * Quote boxes that are being rendered are shaded up to the bottom of the
+   * column they leave and continue in the next one.
+   *
+   * @private
+   */
+  nextFrame() {
+    const bottom = this.pageHeight - this.layout.margin;
+    // Innermost first, so outer shading ends up behind inner shading
+    [...this.openQuotes].reverse().forEach((box) => this.shadeQuoteSegment(box, bottom));
+
+    if (this.column < this.columnCount - 1) {
+      this.column++;
+    } else {
+      this.doc.addPage();
+      this.column = 0;
+      this.columnTop = this.layout.margin;
+      // The post being rendered continues on the new page
+      this.noteForumPage();
+    }
+    this.currentY = this.columnTop;
+    this.updateFrame();
+
+    // Below the "(continued...)" marker that ensureSpace writes next
+    this.openQuotes.forEach((box) => this.startQuoteSegment(box, this.currentY + 1.5));
+  }
+
+  /**
+   * Selects the fonts of the new document
+   *
+   * In unicode mode the bundled fonts are embedded; if they cannot be loaded
+   * the export continues with the standard fonts and emoji descriptions.
+   *
+   * @private
+   */
+  async setupFonts() {
+    this.fontFamily = PDF_CONSTANTS.FONT_FAMILY;
+    this.codeFontFamily = PDF_CONSTANTS.CODE_FONT_FAMILY;
+    this.unicodeText = false;
+    this.emojiImages = false;
+
+    if (this.pdfOptions.textMode === "unicode") {
+      try {
+        const families = await this.fontLoader.load();
+        this.fontFamily = families.body;
+        this.codeFontFamily = families.code;
+        this.unicodeText = true;
+        this.emojiImages =
+          Boolean(this.pdfOptions.colorEmoji) && this.emojiRenderer.isAvailable();
+      } catch (error) {
+        logger.warn("PDF: Unicode fonts unavailable, using standard fonts", {
+          error: error.message,
+        });
+      }
+    }
+
+    // Text drawn before any explicit setFont() uses the body font too
+    this.setFont(this.fontFamily, "normal");
+    logger.log("PDF: fonts selected", {
+      fontFamily: this.fontFamily,
+      emojiImages: this.emojiImages,
     });
   }
 
+  /**
+   * Selects the font for the following text
+   *
+   * Unicode font styles are embedded on first use, so a document only
+   * carries the styles it needs.
+   *
+   * @private
+   * @param {string} family - Font family, this.fontFamily or this.codeFontFamily
+   * @param {string} style - "normal", "bold", "italic" or "bolditalic"
+   */
+  setFont(family, style) {
+    if (this.unicodeText) {
+      this.fontLoader.ensure(this.doc, family, style);
+    }
+    this.doc.setFont(family, style);
+  }
+
   /**
    * Adds the thread header to the PDF
    * @private
@@ -305,43 +635,347 @@ class PDFGenerator {
    */
   addThreadHeader(threadData) {
     // Title with modern styling
-    this.doc.setFontSize(PDF_CONSTANTS.HEADER_FONT_SIZE + 2);
-    this.doc.setTextColor(...PDF_CONSTANTS.PRIMARY_COLOR);
-    this.doc.setFont(undefined, "bold");
+    this.doc.setFontSize(this.layout.headerFontSize + 2);
+    this.doc.setTextColor(...this.colors.primary);
+    this.setFont(this.fontFamily, "bold");
 
     const titleLines = this.doc.splitTextToSize(
       this.escapeText(threadData.title),
       this.contentWidth
     );
 
-    this.addTextLines(titleLines, PDF_CONSTANTS.HEADER_FONT_SIZE + 2);
-    this.addSpace(PDF_CONSTANTS.LINE_HEIGHT * 0.5);
+    this.addTextLines(titleLines, this.layout.headerFontSize + 2);
+    this.addSpace(this.layout.lineHeight * 0.5);
 
     // Meta information with subtle styling
-    this.doc.setFontSize(PDF_CONSTANTS.FONT_SIZE - 1);
-    this.doc.setTextColor(...PDF_CONSTANTS.META_COLOR);
-    this.doc.setFont(undefined, "normal");
+    this.doc.setFontSize(this.layout.fontSize - 1);
+    this.doc.setTextColor(...this.colors.meta);
+    this.setFont(this.fontFamily, "normal");
 
     // Source URL (clickable)
     const sourceText = `Source: ${this.getCanonicalThreadUrl(threadData.url)}`;
     this.addTextWithLink(
       sourceText,
       threadData.url,
-      PDF_CONSTANTS.MARGIN,
+      this.contentLeft,
       this.currentY
     );
-    this.currentY += PDF_CONSTANTS.LINE_HEIGHT * 0.8;
+    this.currentY += this.layout.lineHeight * 0.8;
 
     // Export date and post count on same line
     const exportDate = new Date(threadData.scrapedAt).toLocaleString();
-    const postCount = `${threadData.posts.length} posts`;
+    const postCount = threadData.filters
+      ? `${threadData.posts.length} of ${threadData.filters.totalPosts} posts`
+      : `${threadData.posts.length} posts`;
     const metaText = `Exported: ${exportDate} • ${postCount}`;
     this.addText(metaText);
 
+    // State which posts were left out by the export filters
+    if (threadData.filters) {
+      const filterLines = this.doc.splitTextToSize(
+        this.prepareText(`Filters: ${threadData.filters.description.join(" • ")}`),
+        this.contentWidth
+      );
+      this.addTextLines(filterLines, this.layout.fontSize + 2);
+    }
+
+    if (threadData.completeness && !threadData.completeness.complete) {
+      this.addIncompleteNotice(threadData.completeness);
+    }
+
     // Add separator
-    this.addSpace(PDF_CONSTANTS.LINE_HEIGHT * 0.5);
+    this.addSpace(this.layout.lineHeight * 0.5);
     this.addSeparator();
-    this.addSpace(PDF_CONSTANTS.LINE_HEIGHT * 0.5);
+    this.addSpace(this.layout.lineHeight * 0.5);
+  }
+
+  /**
+   * Adds a table of contents with one line per forum page
+   *
+   * The lines are laid out now, so the posts start after them, but the PDF
+   * page numbers and links are only known once all posts are rendered; see
+   * fillTableOfContents. Posts start on a new page after the contents.
+   *
+   * @private
+   * @param {Array<Object>} posts - Posts of the export
+   */
+  addTableOfContents(posts) {
+    const groups = this.groupPostsByPage(posts);
+    if (groups.length < 2) return;
+
+    const fontSize = this.layout.fontSize;
+    const lineHeight = this.getLineHeight(fontSize) * 1.2;
+
+    this.ensureSpace(lineHeight * 3);
+    this.doc.setFontSize(this.layout.headerFontSize - 2);
+    this.doc.setTextColor(...this.colors.primary);
+    this.setFont(this.fontFamily, "bold");
+    this.doc.text("Contents", this.contentLeft, this.currentY);
+    this.currentY += lineHeight * 1.5;
+
+    for (const group of groups) {
+      this.ensureSpace(lineHeight);
+      const first = group.posts[0];
+      const last = group.posts[group.posts.length - 1];
+      const range =
+        first.postNumber && last.postNumber && first !== last
+          ? `${first.postNumber}–${last.postNumber}`
+          : first.postNumber || "";
+      const count = group.posts.length === 1 ? "1 post" : `${group.posts.length} posts`;
+      const label = [`Forum page ${group.page}`, range, count].filter(Boolean).join(" · ");
+
+      this.doc.setFontSize(fontSize);
+      this.doc.setTextColor(...this.colors.text);
+      this.setFont(this.fontFamily, "normal");
+      this.doc.text(label, this.contentLeft, this.currentY);
+
+      this.tocEntries.push({
+        postId: first.id,
+        pageNumber: this.getCurrentPageNumber(),
+        x: this.contentLeft,
+        width: this.contentWidth,
+        y: this.currentY,
+        labelWidth: this.doc.getTextWidth(label),
+        lineHeight,
+      });
+      this.currentY += lineHeight;
+    }
+
+    this.nextFrame();
+  }
+
+  /**
+   * Writes the PDF page numbers into the table of contents and links each
+   * line to the first post of its forum page
+   * @private
+   */
+  fillTableOfContents() {
+    if (this.tocEntries.length === 0) return;
+
+    const lastPage = this.doc.getNumberOfPages();
+    this.doc.setFontSize(this.layout.fontSize);
+    this.doc.setTextColor(...this.colors.text);
+    this.setFont(this.fontFamily, "normal");
+    const dotWidth = this.doc.getTextWidth(".");
+
+    for (const entry of this.tocEntries) {
+      const target = this.postAnchors.get(entry.postId);
+      if (!target) continue;
+
+      this.doc.setPage(entry.pageNumber);
+      const rightX = entry.x + entry.width;
+      const pageText = String(target.pageNumber);
+      const pageWidth = this.doc.getTextWidth(pageText);
+      this.doc.text(pageText, rightX - pageWidth, entry.y);
+
+      // Dot leader between the label and the page number
+      const gap = rightX - pageWidth - (entry.x + entry.labelWidth) - dotWidth * 4;
+      if (gap > 0) {
+        this.doc.setTextColor(...this.colors.meta);
+        this.doc.text(
+          ".".repeat(Math.floor(gap / dotWidth)),
+          entry.x + entry.labelWidth + dotWidth * 2,
+          entry.y
+        );
+        this.doc.setTextColor(...this.colors.text);
+      }
+
+      this.doc.link(
+        entry.x,
+        entry.y - entry.lineHeight * 0.75,
+        entry.width,
+        entry.lineHeight,
+        { pageNumber: target.pageNumber, top: target.top }
+      );
+    }
+
+    this.doc.setPage(lastPage);
+  }
+
+  /**
+   * Adds the PDF outline (bookmarks): one entry per forum page with an
+   * entry per post below it
+   *
+   * @private
+   * @param {Array<Object>} posts - Posts of the export
+   */
+  addOutline(posts) {
+    if (!this.doc.outline) return;
+
+    if (this.tocEntries.length > 0) {
+      this.doc.outline.add(null, "Contents", { pageNumber: this.tocEntries[0].pageNumber });
+    }
+
+    for (const group of this.groupPostsByPage(posts)) {
+      const anchors = group.posts.map((post) => this.postAnchors.get(post.id));
+      const first = anchors.find(Boolean);
+      if (!first) continue;
+
+      const pageItem = this.doc.outline.add(null, `Forum page ${group.page}`, {
+        pageNumber: first.pageNumber,
+      });
+      group.posts.forEach((post, index) => {
+        if (!anchors[index]) return;
+        const title = [post.postNumber, post.author].filter(Boolean).join(" · ");
+        this.doc.outline.add(pageItem, this.toOutlineTitle(title), {
+          pageNumber: anchors[index].pageNumber,
+        });
+      });
+    }
+  }
+
+  /**
+   * Finds which posts of the export quote which others
+   * @private
+   * @param {Array<Object>} posts - Posts of the export
+   */
+  indexQuotes(posts) {
+    this.postsById = new Map((posts || []).map((post) => [post.id, post]));
+    this.quotedBy = new Map();
+
+    for (const post of posts || []) {
+      for (const quote of post.quotes || []) {
+        const quotedId = quote.postId ? `post-${quote.postId}` : null;
+        if (!quotedId || quotedId === post.id || !this.postsById.has(quotedId)) continue;
+
+        const quoting = this.quotedBy.get(quotedId) || [];
+        // A reply quoting the same post twice is listed once
+        if (!quoting.includes(post)) quoting.push(post);
+        this.quotedBy.set(quotedId, quoting);
+      }
+    }
+  }
+
+  /**
+   * Links an area of the current page to a post of the export
+   *
+   * The link is added by addPostLinks once every post has been placed, so
+   * the target may come later in the document.
+   *
+   * @private
+   * @param {string} postId - Target post ID
+   * @param {number} x - Left X position in mm
+   * @param {number} y - Top Y position in mm
+   * @param {number} width - Width in mm
+   * @param {number} height - Height in mm
+   */
+  linkToPost(postId, x, y, width, height) {
+    this.postLinks.push({ postId, pageNumber: this.getCurrentPageNumber(), x, y, width, height });
+  }
+
+  /**
+   * Adds the links collected by linkToPost
+   * @private
+   */
+  addPostLinks() {
+    if (this.postLinks.length === 0) return;
+
+    const lastPage = this.doc.getNumberOfPages();
+    for (const link of this.postLinks) {
+      const target = this.postAnchors.get(link.postId);
+      if (!target) continue;
+
+      this.doc.setPage(link.pageNumber);
+      this.doc.link(link.x, link.y, link.width, link.height, {
+        pageNumber: target.pageNumber,
+        top: target.top,
+      });
+    }
+    this.doc.setPage(lastPage);
+  }
+
+  /**
+   * Splits posts into runs of the same forum page, in export order
+   * @private
+   * @param {Array<Object>} posts - Posts of the export
+   * @returns {Array<{page: number, posts: Array<Object>}>} Groups
+   */
+  groupPostsByPage(posts) {
+    const groups = [];
+    for (const post of posts || []) {
+      const page = post.page || 1;
+      const last = groups[groups.length - 1];
+      if (last && last.page === page) {
+        last.posts.push(post);
+      } else {
+        groups.push({ page, posts: [post] });
+      }
+    }
+    return groups;
+  }
+
+  /**
+   * Encodes an outline title for jsPDF, which writes titles byte by byte
+   *
+   * Latin-1 text is passed through; anything else becomes UTF-16BE with a
+   * byte order mark, which PDF viewers accept in text strings.
+   *
+   * @private
+   * @param {string} text - Title
+   * @returns {string} Title as a PDF string
+   */
+  toOutlineTitle(text) {
+    const clean = (text || "").replace(/[\uFE0E\uFE0F\u200D]/g, "");
+    if (!/[^\u0000-\u00ff]/.test(clean)) return clean;
+
+    let encoded = "\u00fe\u00ff";
+    for (let i = 0; i < clean.length; i++) {
+      let code = clean.charCodeAt(i);
+      // A CR byte inside a PDF string would be read as a line feed
+      if ((code & 0xff) === 0x0d || code >> 8 === 0x0d) code = 0xfffd;
+      encoded += String.fromCharCode(code >> 8, code & 0xff);
+    }
+    return encoded;
+  }
+
+  // 1-based number of the page being drawn on
+  getCurrentPageNumber() {
+    return this.doc.getCurrentPageInfo().pageNumber;
+  }
+
+  /**
+   * Adds a highlighted notice listing the pages and posts missing from the export
+   *
+   * @private
+   * @param {Object} report - Completeness report from ThreadScraper
+   * @param {Array<Object>} report.failedPages - `{ page, message }` per page that failed
+   * @param {Array<Object>} report.postGaps - `{ from, to }` ranges of missing post numbers
+   */
+  addIncompleteNotice(report) {
+    const fontSize = this.layout.fontSize - 1;
+    const padding = 3;
+    const textWidth = this.contentWidth - padding * 2;
+    const lineHeight = this.getLineHeight(fontSize);
+
+    const details = ThreadScraper.describeCompleteness(report);
+
+    this.doc.setFontSize(fontSize);
+    this.setFont(this.fontFamily, "normal");
+    const lines = details.flatMap((detail) =>
+      this.doc.splitTextToSize(this.prepareText(`• ${detail}`), textWidth)
+    );
+    const boxHeight = padding * 2 + lineHeight * (lines.length + 1);
+
+    this.addSpace(this.layout.lineHeight * 0.3);
+    const boxTop = this.currentY - lineHeight * 0.8;
+    this.doc.setFillColor(...this.colors.warningBackground);
+    this.doc.setDrawColor(...this.colors.warning);
+    this.doc.setLineWidth(0.4);
+    this.doc.rect(this.contentLeft, boxTop, this.contentWidth, boxHeight, "FD");
+
+    this.currentY = boxTop + padding + lineHeight * 0.8;
+    this.doc.setTextColor(...this.colors.warning);
+    this.setFont(this.fontFamily, "bold");
+    this.doc.text("Incomplete export", this.contentLeft + padding, this.currentY);
+
+    this.setFont(this.fontFamily, "normal");
+    lines.forEach((line) => {
+      this.currentY += lineHeight;
+      this.doc.text(line, this.contentLeft + padding, this.currentY);
+    });
+
+    this.currentY = boxTop + boxHeight + lineHeight;
+    this.doc.setTextColor(...this.colors.meta);
   }
 
   /**
@@ -354,17 +988,20 @@ class PDFGenerator {
    * @param {Array<Object>} posts - Array of post objects to add
    * @param {string} posts[].author - Post author name
    * @param {string} posts[].date - Post date string
-   * @param {string} posts[].content - Post content HTML
+   * @param {Array<Object>} posts[].content - Post content blocks
    * @param {string} posts[].postUrl - URL to the specific post
    * @param {string} posts[].postNumber - Post number (e.g., "#1", "#2")
    * @param {Array<Object>} [posts[].quotes] - Array of quoted posts
    * @param {Array<Object>} [posts[].attachments] - Array of post attachments
+   * @param {Object} [options] - `{ onProgress, signal }`, see generatePDF
    * @throws {Error} When post processing fails
+   * @throws {DOMException} AbortError when `options.signal` is aborted
    * @since 1.0.0
    */
-  async addPosts(posts) {
+  async addPosts(posts, { onProgress, signal } = {}) {
     for (let i = 0; i < posts.length; i++) {
       const post = posts[i];
+      if (signal) signal.throwIfAborted();
 
       logger.log("PDF: adding post", {
         postIndex: i + 1,
@@ -374,10 +1011,7 @@ class PDFGenerator {
       });
 
       // Check if we need a new page
-      if (this.currentY > this.pageHeight - 50) {
-        this.doc.addPage();
-        this.currentY = PDF_CONSTANTS.MARGIN;
-      }
+      this.checkAndAddPageBreak();
 
       // Wait for this post to be completely processed before moving to the next
       await this.addSinglePost(post, i);
@@ -387,23 +1021,36 @@ class PDFGenerator {
         totalPosts: posts.length,
         postNumber: post.postNumber,
       });
+
+      if (onProgress) {
+        onProgress({
+          phase: "render",
+          postsRendered: i + 1,
+          postsTotal: posts.length,
+          pdfPages: this.doc.getNumberOfPages(),
+        });
+      }
+      if (onProgress || signal) {
+        // Let the page repaint the progress panel and handle a Cancel click
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
     }
   }
 
   /**
    * Adds a single post to the PDF with automatic page breaking
    * 
-   * This method renders a complete post including header, content, quotes,
-   * and attachments with proper background colors and page breaking.
+   * This method renders a complete post including header, content (with its
+   * quotes in place) and attachments with proper background colors and page breaking.
    * 
    * @private
    * @param {Object} post - Post object to render
    * @param {string} post.author - Post author name
    * @param {string} post.date - Post date string
-   * @param {string} post.content - Post content HTML
+   * @param {Array<Object>} post.content - Post content blocks
    * @param {string} post.postUrl - URL to the specific post
    * @param {string} post.postNumber - Post number (e.g., "#1", "#2")
-   * @param {Array<Object>} [post.quotes] - Array of quoted posts
+   * @param {Array<Object>} [post.quotes] - The post's quotes, used for back-references
    * @param {Array<Object>} [post.attachments] - Array of post attachments
    * @param {number} [postIndex=0] - Index of the post (0-based) for background color
    * @throws {Error} When post rendering fails
@@ -412,8 +1059,8 @@ class PDFGenerator {
   async addSinglePost(post, postIndex = 0) {
     const isEvenPost = postIndex % 2 === 0;
     const backgroundColor = isEvenPost
-      ? PDF_CONSTANTS.POST_BG_COLOR_1
-      : PDF_CONSTANTS.POST_BG_COLOR_2;
+      ? this.colors.postBackground
+      : this.colors.postBackgroundAlt;
 
     logger.log("PDF: processing post content", {
       postIndex: postIndex + 1,
@@ -425,9 +1072,12 @@ class PDFGenerator {
 
     // Check if we need a new page before starting the post
     this.checkAndAddPageBreak();
+    this.keepHeaderWithContent(post);
 
     // Start rendering the post
     const postStartPosition = this.currentY;
+    this.currentForumPage = post.page || null;
+    this.noteForumPage();
 
     // Add padding
     this.currentY += PDF_CONSTANTS.POST_PADDING;
@@ -435,12 +1085,7 @@ class PDFGenerator {
     // Post header with background
     this.addPostHeader(post, backgroundColor, postStartPosition);
 
-    // Post quotes
-    if (post.quotes && post.quotes.length > 0) {
-      await this.addPostQuotesWithPageBreaks(post.quotes);
-    }
-
-    // Post content with automatic page breaks
+    // Post content with automatic page breaks; quotes are part of it
     if (post.content) {
       await this.addPostContentWithPageBreaks(post.content);
     }
@@ -450,6 +1095,11 @@ class PDFGenerator {
       await this.addPostAttachmentsWithPageBreaks(post.attachments);
     }
 
+    // Later replies that quote this post
+    if (this.quotedBy.has(post.id)) {
+      this.addQuotedBy(this.quotedBy.get(post.id));
+    }
+
     // Add bottom padding
     this.currentY += PDF_CONSTANTS.POST_PADDING;
 
@@ -465,350 +1115,916 @@ class PDFGenerator {
 
   /**
    * Checks if a page break is needed and adds one if necessary
+   *
+   * A post starts in the next column or page when fewer than about six
+   * lines are left.
+   *
    * @private
    */
   checkAndAddPageBreak() {
-    if (this.currentY > this.pageHeight - 50) {
-      this.doc.addPage();
-      this.currentY = PDF_CONSTANTS.MARGIN;
-      logger.log("PDF: added page break", { newY: this.currentY });
+    const limit = this.pageHeight - this.layout.margin - this.layout.lineHeight * 6;
+    if (this.currentY > limit) {
+      this.nextFrame();
+      logger.log("PDF: added page break", { newY: this.currentY, column: this.column });
+    }
+  }
+
+  /**
+   * Moves to the next column or page when the post header would end up
+   * there alone, e.g. above a post that starts with a tall image
+   *
+   * @private
+   * @param {Object} post - Post about to be rendered
+   */
+  keepHeaderWithContent(post) {
+    const headerHeight = PDF_CONSTANTS.POST_PADDING + this.layout.lineHeight * 1.5;
+    const first = (post.content && post.content[0]) || null;
+    let leadHeight = this.layout.lineHeight;
+    if (first && first.type === "image" && this.imageLoader.get(first.src)) {
+      leadHeight = this.getImageSize(this.imageLoader.get(first.src), this.contentWidth).height;
+    } else if (first && first.type === "quote") {
+      // The quote's header and its first line
+      leadHeight = this.layout.lineHeight * 2;
+    }
+
+    const bottom = this.pageHeight - this.layout.margin;
+    const fitsOnFreshFrame = this.columnTop + headerHeight + leadHeight <= bottom;
+    if (this.currentY + headerHeight + leadHeight > bottom && fitsOnFreshFrame) {
+      this.nextFrame();
     }
   }
 
   /**
    * Adds post content with automatic page breaks
    * @private
-   * @param {string} content - Post content (pre-formatted text)
+   * @param {Array<Object>} content - Post content blocks from ContentParser
    */
   async addPostContentWithPageBreaks(content) {
-    if (!content || content.trim() === "") {
+    if (!Array.isArray(content) || content.length === 0) {
       return;
     }
 
-    this.doc.setFontSize(PDF_CONSTANTS.FONT_SIZE);
-    this.doc.setTextColor(...PDF_CONSTANTS.TEXT_COLOR);
-    this.doc.setFont(undefined, "normal");
+    this.renderContentBlocks(content);
+  }
 
-    // Content is already formatted text - use it directly
-    const contentLines = this.doc.splitTextToSize(
-      content,
-      this.contentWidth
-    );
+  /**
+   * Inline runs of a quote header
+   *
+   * Quotes of a post in this export link to it inside the PDF, quotes of
+   * other posts link to the forum.
+   *
+   * @private
+   * @param {Object} quote - Quote block from ContentParser
+   * @returns {Array<Object>} Inline runs
+   */
+  getQuoteHeaderRuns(quote) {
+    const target = quote.postId ? this.postsById.get(`post-${quote.postId}`) : null;
+    const author = quote.author || (target && target.author) || "";
+    const lead = author ? `${author} wrote in ` : "Quoted from ";
+    const text = (value) => ({ type: "text", text: value, color: this.colors.primary });
+
+    if (target) {
+      return [
+        text(lead),
+        { type: "text", text: target.postNumber || "an earlier post", postTarget: target.id },
+        text(":"),
+      ];
+    }
+    if (quote.url) {
+      return [
+        text(lead),
+        { type: "text", text: "the original post", href: quote.url },
+        text(":"),
+      ];
+    }
+    return [text(this.contentParser.getQuoteLabel({ author }))];
+  }
 
-    // Add lines with page break detection
-    for (const line of contentLines) {
-      // Check if we need a page break before adding this line
-      const lineHeight = PDF_CONSTANTS.FONT_SIZE * 0.35; // Convert pt to mm
-
-      if (this.currentY + lineHeight > this.pageHeight - PDF_CONSTANTS.MARGIN) {
-        // Add page break
-        this.doc.addPage();
-        this.currentY = PDF_CONSTANTS.MARGIN;
-
-        // Add continuation indicator
-        this.doc.setFontSize(PDF_CONSTANTS.FONT_SIZE - 2);
-        this.doc.setTextColor(...PDF_CONSTANTS.META_COLOR);
-        this.doc.setFont(undefined, "italic");
-        this.doc.text("(continued...)", PDF_CONSTANTS.MARGIN, this.currentY);
-        this.currentY += PDF_CONSTANTS.LINE_HEIGHT;
-
-        // Reset font for content
-        this.doc.setFontSize(PDF_CONSTANTS.FONT_SIZE);
-        this.doc.setTextColor(...PDF_CONSTANTS.TEXT_COLOR);
-        this.doc.setFont(undefined, "normal");
+  /**
+   * Lists the posts of the export that quote the current post
+   * @private
+   * @param {Array<Object>} posts - Quoting posts
+   */
+  addQuotedBy(posts) {
+    const runs = [{ type: "text", text: "Quoted by ", color: this.colors.meta }];
+    posts.forEach((post, index) => {
+      if (index > 0) {
+        runs.push({ type: "text", text: ", ", color: this.colors.meta });
       }
+      runs.push({
+        type: "text",
+        text: `${post.postNumber || "a reply"} (${post.author})`,
+        postTarget: post.id,
+      });
+    });
 
-      // Add the line
-      this.doc.text(line, PDF_CONSTANTS.MARGIN, this.currentY);
-      this.currentY += lineHeight;
-    }
+    this.addSpace(this.layout.lineHeight * 0.3);
+    this.renderParagraph(runs, {
+      indent: 0,
+      marks: ["italic"],
+      fontSize: this.layout.fontSize - 2,
+    });
   }
 
   /**
-   * Adds post quotes with automatic page breaks
+   * Renders a list of content blocks at the current position
+   *
    * @private
-   * @param {Array<Object>} quotes - Array of quoted posts
+   * @param {Array<Object>} blocks - Content blocks from ContentParser
+   * @param {Object} [context] - Rendering context
+   * @param {number} [context.indent=0] - Left indentation in mm
+   * @param {Array<string>} [context.marks=[]] - Marks applied to all text
+   * @param {number} [context.fontSize] - Base font size in points
+   * @param {number} [context.listDepth=0] - Current list nesting depth
+   * @param {number} [context.quoteDepth=0] - Current forum quote nesting depth
    */
-  async addPostQuotesWithPageBreaks(quotes) {
-    for (const quote of quotes) {
-      // Check if we need a page break before adding this quote
-      const quoteHeight = PDF_CONSTANTS.LINE_HEIGHT * 2; // Rough estimate for quote
-
-      if (
-        this.currentY + quoteHeight >
-        this.pageHeight - PDF_CONSTANTS.MARGIN
-      ) {
-        this.doc.addPage();
-        this.currentY = PDF_CONSTANTS.MARGIN;
+  renderContentBlocks(blocks, context = {}) {
+    const ctx = {
+      indent: 0,
+      marks: [],
+      fontSize: this.layout.fontSize,
+      listDepth: 0,
+      quoteDepth: 0,
+      ...context,
+    };
+
+    (blocks || []).forEach((block, index) => {
+      if (index > 0) {
+        this.addSpace(this.getLineHeight(ctx.fontSize) * 0.4);
       }
 
-      // Quote header
-      this.doc.setFontSize(PDF_CONSTANTS.FONT_SIZE - 1);
-      this.doc.setTextColor(...PDF_CONSTANTS.PRIMARY_COLOR);
-      this.doc.setFont(undefined, "bold");
-
-      const quoteHeader = `${this.escapeText(quote.author)} wrote:`;
-      this.addText(quoteHeader);
+      switch (block.type) {
+        case "paragraph":
+          this.renderParagraph(block.children, ctx);
+          break;
+        case "heading":
+          this.renderParagraph(block.children, {
+            ...ctx,
+            fontSize: ctx.fontSize + Math.max(1, 5 - block.level),
+            marks: [...ctx.marks, "bold"],
+          });
+          break;
+        case "list":
+          this.renderList(block, ctx);
+          break;
+        case "code":
+          this.renderCodeBlock(block, ctx);
+          break;
+        case "table":
+          this.renderTable(block, ctx);
+          break;
+        case "blockquote":
+          this.renderBlockquote(block, ctx);
+          break;
+        case "quote":
+          this.renderQuote(block, ctx);
+          break;
+        case "rule":
+          this.renderRule(ctx);
+          break;
+        case "image":
+          this.renderImage(block, ctx);
+          break;
+        default:
+          logger.warn("PDF: unknown content block", { type: block.type });
+      }
+    });
 
-      // Quote content - already formatted text
-      this.doc.setFont(undefined, "italic");
-      this.doc.setTextColor(...PDF_CONSTANTS.TEXT_COLOR);
+    // Leave the document in the default body font for following elements
+    this.applyRunFont([], this.layout.fontSize);
+    this.doc.setTextColor(...this.colors.text);
+  }
 
-      const quoteContent = this.escapeText(quote.content);
-      const quoteLines = this.doc.splitTextToSize(
-        quoteContent,
-        this.contentWidth - 10
-      );
+  /**
+   * Renders inline runs as wrapped lines with mixed font styles and links
+   * @private
+   * @param {Array<Object>} runs - Inline nodes; runs built by the generator may
+   *   also carry a text `color` or a `postTarget` (ID of a post to link to)
+   * @param {Object} ctx - Rendering context
+   */
+  renderParagraph(runs, ctx) {
+    const width = this.contentWidth - ctx.indent;
+    const lineHeight = this.getLineHeight(ctx.fontSize);
+    const lines = this.layoutInlineRuns(runs, width, ctx.fontSize, ctx.marks);
 
-      this.addSpace(PDF_CONSTANTS.LINE_HEIGHT * 0.3);
-      this.addIndentedTextLines(quoteLines, 5);
-      this.addSpace(PDF_CONSTANTS.LINE_HEIGHT * 0.5);
+    for (const line of lines) {
+      this.ensureSpace(lineHeight);
+      // Read after the break, which may have moved to the next column
+      const x = this.contentLeft + ctx.indent;
+      this.drawInlineLine(line, x, this.currentY, ctx.fontSize, ctx.marks);
+      this.currentY += lineHeight;
     }
   }
 
   /**
-   * Adds post attachments with automatic page breaks
+   * Breaks inline runs into lines that fit the given width
+   *
    * @private
-   * @param {Array<Object>} attachments - Array of post attachments
+   * @param {Array<Object>} runs - Inline nodes
+   * @param {number} maxWidth - Available width in mm
+   * @param {number} fontSize - Font size in points
+   * @param {Array<string>} [baseMarks=[]] - Marks applied to every run
+   * @returns {Array<{segments: Array<{text: string, run: Object, emoji?: Object}>}>} Lines;
+   *   emoji segments carry the image from EmojiRenderer and no text
    */
-  async addPostAttachmentsWithPageBreaks(attachments) {
-    // Check if we need a page break before adding attachments
-    const attachmentHeight =
-      PDF_CONSTANTS.LINE_HEIGHT * (attachments.length + 2);
+  layoutInlineRuns(runs, maxWidth, fontSize, baseMarks = []) {
+    const lines = [];
+    let current = { segments: [], width: 0 };
+    const emojiSize = fontSize * 0.35 * PDF_CONSTANTS.EMOJI_SCALE;
+
+    const append = (text, run, width) => {
+      const last = current.segments[current.segments.length - 1];
+      if (last && last.run === run && !last.emoji) {
+        last.text += text;
+      } else {
+        current.segments.push({ text, run });
+      }
+      current.width += width;
+    };
+
+    const pushLine = () => {
+      const last = current.segments[current.segments.length - 1];
+      if (last) last.text = last.text.replace(/\s+$/, "");
+      lines.push(current);
+      current = { segments: [], width: 0 };
+    };
+
+    const appendEmoji = (emoji, run) => {
+      if (current.width + emojiSize > maxWidth && current.segments.length > 0) {
+        pushLine();
+      }
+      current.segments.push({ text: "", run, emoji });
+      current.width += emojiSize;
+    };
+
+    const appendText = (text, run) => {
+      const tokens = this.prepareText(text).split(/(\s+)/).filter(Boolean);
+
+      for (let token of tokens) {
+        const isSpace = /^\s+$/.test(token);
+        if (isSpace) {
+          if (current.segments.length === 0) continue;
+          token = " ";
+        }
+
+        let tokenWidth = this.doc.getTextWidth(token);
+        if (!isSpace && current.width + tokenWidth > maxWidth && current.segments.length > 0) {
+          pushLine();
+        }
+
+        // Hard-break words that are wider than a whole line (long URLs etc.)
+        while (!isSpace && tokenWidth > maxWidth && token.length > 1) {
+          let cut = token.length - 1;
+          while (cut > 1 && this.doc.getTextWidth(token.slice(0, cut)) > maxWidth) {
+            cut--;
+          }
+          append(token.slice(0, cut), run, this.doc.getTextWidth(token.slice(0, cut)));
+          pushLine();
+          token = token.slice(cut);
+          tokenWidth = this.doc.getTextWidth(token);
+        }
+
+        append(token, run, tokenWidth);
+      }
+    };
 
-    if (
-      this.currentY + attachmentHeight >
-      this.pageHeight - PDF_CONSTANTS.MARGIN
-    ) {
-      this.doc.addPage();
-      this.currentY = PDF_CONSTANTS.MARGIN;
-    }
+    for (const run of runs || []) {
+      if (run.type === "break") {
+        pushLine();
+        continue;
+      }
 
-    this.addSpace(PDF_CONSTANTS.LINE_HEIGHT * 0.5);
+      this.applyRunFont([...baseMarks, ...(run.marks || [])], fontSize);
+      if (!this.emojiImages) {
+        appendText(run.text, run);
+        continue;
+      }
 
-    this.doc.setFontSize(PDF_CONSTANTS.FONT_SIZE - 1);
-    this.doc.setTextColor(...PDF_CONSTANTS.PRIMARY_COLOR);
-    this.doc.setFont(undefined, "bold");
+      // Odd parts are emojis; those that cannot be drawn are described in text
+      this.emojiRenderer.split(run.text).forEach((part, index) => {
+        const emoji = index % 2 === 1 ? this.emojiRenderer.render(part) : null;
+        if (emoji) {
+          appendEmoji(emoji, run);
+        } else if (part) {
+          appendText(part, run);
+        }
+      });
+    }
 
-    this.addText("Attachments:");
+    if (current.segments.length > 0) {
+      pushLine();
+    }
+    return lines;
+  }
 
-    this.doc.setFont(undefined, "normal");
-    this.doc.setTextColor(...PDF_CONSTANTS.TEXT_COLOR);
-
-    for (const attachment of attachments) {
-      this.addSpace(PDF_CONSTANTS.LINE_HEIGHT * 0.3);
+  /**
+   * Draws one laid-out line, adding link annotations and text decorations
+   * @private
+   * @param {Object} line - Line from layoutInlineRuns
+   * @param {number} x - Left X position in mm
+   * @param {number} y - Baseline Y position in mm
+   * @param {number} fontSize - Font size in points
+   * @param {Array<string>} [baseMarks=[]] - Marks applied to every run
+   */
+  drawInlineLine(line, x, y, fontSize, baseMarks = []) {
+    let cursorX = x;
+    const textHeight = fontSize * 0.35; // Convert pt to mm
+
+    for (const segment of line.segments) {
+      if (segment.emoji) {
+        cursorX += this.drawInlineEmoji(segment, cursorX, y, fontSize);
+        continue;
+      }
+      if (!segment.text) continue;
+
+      const run = segment.run;
+      const marks = [...baseMarks, ...(run.marks || [])];
+      const isLink = Boolean(run.href || run.postTarget);
+      const color = isLink ? this.colors.link : run.color || this.colors.text;
+
+      this.applyRunFont(marks, fontSize);
+      this.doc.setTextColor(...color);
+      this.doc.text(segment.text, cursorX, y);
+
+      const width = this.doc.getTextWidth(segment.text);
+
+      if (run.href) {
+        try {
+          this.doc.link(cursorX, y - textHeight, width, textHeight, {
+            url: run.href,
+          });
+        } catch (error) {
+          logger.warn("PDF: failed to add inline link", {
+            url: run.href,
+            error: error.message,
+          });
+        }
+      } else if (run.postTarget) {
+        this.linkToPost(run.postTarget, cursorX, y - textHeight, width, textHeight);
+      }
 
-      if (attachment.url) {
-        const attachmentText = `• ${this.escapeText(
-          attachment.filename
-        )} (${this.escapeText(attachment.type)})`;
-        this.addTextWithLink(
-          attachmentText,
-          attachment.url,
-          PDF_CONSTANTS.MARGIN,
-          this.currentY
-        );
-        this.currentY += PDF_CONSTANTS.LINE_HEIGHT;
-      } else {
-        this.addText(
-          `• ${this.escapeText(attachment.filename)} (${this.escapeText(
-            attachment.type
-          )})`
-        );
+      if (isLink || marks.includes("underline") || marks.includes("strike")) {
+        this.doc.setDrawColor(...color);
+        this.doc.setLineWidth(0.2);
+        if (isLink || marks.includes("underline")) {
+          this.doc.line(cursorX, y + 0.6, cursorX + width, y + 0.6);
+        }
+        if (marks.includes("strike")) {
+          const strikeY = y - textHeight * 0.3;
+          this.doc.line(cursorX, strikeY, cursorX + width, strikeY);
+        }
       }
+
+      cursorX += width;
     }
   }
 
   /**
-   * Adds post header (author, date, post number) with background
+   * Draws an emoji segment as an image sitting on the baseline
    * @private
-   * @param {Object} post - Post object
-   * @param {Array<number>} backgroundColor - Background color array
-   * @param {number} postStartPosition - Starting Y position of the post
+   * @param {Object} segment - Emoji segment from layoutInlineRuns
+   * @param {number} x - Left X position in mm
+   * @param {number} y - Baseline Y position in mm
+   * @param {number} fontSize - Font size in points
+   * @returns {number} Width taken in mm
    */
-  addPostHeader(post, backgroundColor, postStartPosition) {
-    const headerStartY = this.currentY;
+  drawInlineEmoji(segment, x, y, fontSize) {
+    const size = fontSize * 0.35 * PDF_CONSTANTS.EMOJI_SCALE;
+    // Descend a little below the baseline, like the glyphs around it
+    const top = y - size * 0.85;
 
-    // Calculate exact header height based on font size for perfect centering
-    const headerHeight = PDF_CONSTANTS.LINE_HEIGHT * 0.7;
+    try {
+      this.doc.addImage(segment.emoji.dataUrl, "PNG", x, top, size, size, segment.emoji.alias);
+      if (segment.run.href) {
+        this.doc.link(x, top, size, size, { url: segment.run.href });
+      }
+    } catch (error) {
+      logger.warn("PDF: failed to add emoji", { error: error.message });
+    }
+    return size;
+  }
 
-    // Draw rounded background for the header section FIRST
-    this.addRoundedHeaderBackground(
-      postStartPosition,
-      postStartPosition + PDF_CONSTANTS.POST_PADDING + headerHeight
-    );
+  /**
+   * Renders an ordered or unordered list, recursing into nested lists
+   * @private
+   * @param {Object} block - List block
+   * @param {Object} ctx - Rendering context
+   */
+  renderList(block, ctx) {
+    const bullets = ["•", "–", "·"];
+    const lineHeight = this.getLineHeight(ctx.fontSize);
+    const itemIndent = ctx.indent + PDF_CONSTANTS.LIST_INDENT;
+
+    block.items.forEach((item, index) => {
+      const marker = block.ordered
+        ? `${block.start + index}.`
+        : bullets[ctx.listDepth % bullets.length];
+
+      // Marker shares the baseline of the item's first line
+      this.ensureSpace(lineHeight);
+      this.applyRunFont(ctx.marks, ctx.fontSize);
+      this.doc.setTextColor(...this.colors.text);
+      const markerWidth = this.doc.getTextWidth(marker);
+      this.doc.text(
+        marker,
+        this.contentLeft + itemIndent - markerWidth - 1.5,
+        this.currentY
+      );
 
-    // Left side: Author name and timestamp
-    this.doc.setFontSize(PDF_CONSTANTS.POST_HEADER_FONT_SIZE - 2);
-    this.doc.setTextColor(...PDF_CONSTANTS.HEADER_TEXT_COLOR);
-    this.doc.setFont(undefined, "bold");
+      this.renderContentBlocks(item.children, {
+        ...ctx,
+        indent: itemIndent,
+        listDepth: ctx.listDepth + 1,
+      });
+    });
+  }
 
-    // Author name
-    this.doc.text(
-      this.escapeText(post.author),
-      PDF_CONSTANTS.MARGIN + 2,
-      this.currentY
-    );
+  /**
+   * Renders a code block in a monospace font on a shaded background
+   * @private
+   * @param {Object} block - Code block
+   * @param {Object} ctx - Rendering context
+   */
+  renderCodeBlock(block, ctx) {
+    const fontSize = ctx.fontSize - 2;
+    const lineHeight = this.getLineHeight(fontSize);
+    const width = this.contentWidth - ctx.indent;
+    const padding = 2;
+
+    if (block.language) {
+      this.ensureSpace(lineHeight * 2);
+      const x = this.contentLeft + ctx.indent;
+      this.setFont(this.fontFamily, "italic");
+      this.doc.setFontSize(fontSize - 1);
+      this.doc.setTextColor(...this.colors.meta);
+      this.doc.text(block.language, x, this.currentY);
+      this.currentY += lineHeight;
+    }
 
-    // Timestamp next to author name
-    if (post.date) {
-      // Calculate author width with the same font settings as used for author
-      const authorWidth = this.doc.getTextWidth(this.escapeText(post.author));
+    this.setFont(this.codeFontFamily, "normal");
+    this.doc.setFontSize(fontSize);
+    const lines = block.text
+      .split("\n")
+      .flatMap((line) =>
+        line === "" ? [""] : this.doc.splitTextToSize(line, width - padding * 2)
+      );
 
-      // Switch to timestamp font settings
-      this.doc.setFontSize(PDF_CONSTANTS.FONT_SIZE - 3);
-      this.doc.setTextColor(...PDF_CONSTANTS.HEADER_TEXT_COLOR);
-      this.doc.setFont(undefined, "normal");
+    for (const line of lines) {
+      if (this.ensureSpace(lineHeight)) {
+        this.setFont(this.codeFontFamily, "normal");
+        this.doc.setFontSize(fontSize);
+      }
+      const x = this.contentLeft + ctx.indent;
+      this.doc.setFillColor(...this.colors.codeBackground);
+      this.doc.rect(x, this.currentY - lineHeight * 0.75, width, lineHeight, "F");
+      this.doc.setTextColor(...this.colors.text);
+      this.doc.text(line, x + padding, this.currentY);
+      this.currentY += lineHeight;
+    }
+  }
 
-      const timestampText = ` • ${this.escapeText(post.date)}`;
-      this.doc.text(
-        timestampText,
-        PDF_CONSTANTS.MARGIN + 2 + authorWidth,
-        this.currentY
+  /**
+   * Renders a table as a simple grid with equal column widths
+   * @private
+   * @param {Object} block - Table block
+   * @param {Object} ctx - Rendering context
+   */
+  renderTable(block, ctx) {
+    const columnCount = Math.max(0, ...block.rows.map((row) => row.cells.length));
+    if (columnCount === 0) return;
+
+    const fontSize = ctx.fontSize - 1;
+    const lineHeight = this.getLineHeight(fontSize);
+    const padding = 1.5;
+    const columnWidth = (this.contentWidth - ctx.indent) / columnCount;
+    const usableHeight = this.pageHeight - this.layout.margin * 2;
+
+    for (const row of block.rows) {
+      const cellLines = row.cells.map((cell) =>
+        this.layoutInlineRuns(
+          this.contentParser.flattenInline(cell.children),
+          columnWidth - padding * 2,
+          fontSize,
+          cell.header ? [...ctx.marks, "bold"] : ctx.marks
+        )
       );
+      const maxLines = Math.max(1, ...cellLines.map((lines) => lines.length));
+
+      // Rows that fit on a page are kept together, taller ones continue on the next page
+      for (let start = 0; start < maxLines; ) {
+        const remainingHeight = (maxLines - start) * lineHeight + padding * 2;
+        this.ensureSpace(remainingHeight <= usableHeight - lineHeight ? remainingHeight : lineHeight + padding * 2);
+        const top = this.currentY - lineHeight * 0.75;
+        const fitting = Math.floor((this.pageHeight - this.layout.margin - top - padding * 2) / lineHeight);
+        const count = Math.min(maxLines - start, Math.max(1, fitting));
+        const sliceHeight = count * lineHeight + padding * 2;
+        const x = this.contentLeft + ctx.indent;
+
+        row.cells.forEach((cell, columnIndex) => {
+          const cellX = x + columnIndex * columnWidth;
+          if (cell.header) {
+            this.doc.setFillColor(...this.colors.codeBackground);
+            this.doc.rect(cellX, top, columnWidth, sliceHeight, "F");
+          }
+          this.doc.setDrawColor(...this.colors.border);
+          this.doc.setLineWidth(this.getLineWidth(0.2));
+          this.doc.rect(cellX, top, columnWidth, sliceHeight, "S");
+
+          cellLines[columnIndex].slice(start, start + count).forEach((line, lineIndex) => {
+            this.drawInlineLine(
+              line,
+              cellX + padding,
+              this.currentY + padding + lineIndex * lineHeight,
+              fontSize,
+              cell.header ? [...ctx.marks, "bold"] : ctx.marks
+            );
+          });
+        });
+
+        this.currentY = top + sliceHeight + lineHeight * 0.75;
+        start += count;
+      }
     }
+  }
 
-    // Right side: Post number (prominent)
-    if (post.postNumber) {
-      this.doc.setFontSize(PDF_CONSTANTS.POST_HEADER_FONT_SIZE - 1);
-      this.doc.setTextColor(...PDF_CONSTANTS.HEADER_TEXT_COLOR);
-      this.doc.setFont(undefined, "bold");
+  /**
+   * Renders a generic block quote with a vertical bar on the left
+   * @private
+   * @param {Object} block - Blockquote block
+   * @param {Object} ctx - Rendering context
+   */
+  renderBlockquote(block, ctx) {
+    const startPage = this.doc.getNumberOfPages();
+    const startColumn = this.column;
+    const startY = this.currentY - this.getLineHeight(ctx.fontSize) * 0.75;
+
+    this.renderContentBlocks(block.children, {
+      ...ctx,
+      indent: ctx.indent + PDF_CONSTANTS.QUOTE_INDENT,
+    });
 
-      const postNumberText = this.escapeText(post.postNumber);
-      const textWidth = this.doc.getTextWidth(postNumberText);
-      const rightX = this.pageWidth - PDF_CONSTANTS.MARGIN - textWidth - 2;
+    // Only draw the bar when the quote did not span a page or column break
+    if (this.doc.getNumberOfPages() === startPage && this.column === startColumn) {
+      const barX = this.contentLeft + ctx.indent + 1.5;
+      const endY = this.currentY - this.getLineHeight(ctx.fontSize) * 0.75;
+      this.doc.setDrawColor(...this.colors.border);
+      this.doc.setLineWidth(0.8);
+      this.doc.line(barX, startY, barX, endY);
+    }
+  }
 
-      // Add post number as clickable link if URL exists
-      if (post.postUrl) {
-        this.addTextWithLink(
-          postNumberText,
-          post.postUrl,
-          rightX,
-          this.currentY
-        );
-      } else {
-        this.doc.text(postNumberText, rightX, this.currentY);
+  /**
+   * Renders a forum quote as a shaded, indented box between the reply text
+   *
+   * The header names the author and links to the quoted post. Nested quotes
+   * get a box of their own inside the outer one. The shading of each page or
+   * column the quote covers can only be drawn once the quote leaves it, see
+   * drawBehind.
+   *
+   * @private
+   * @param {Object} block - Quote block
+   * @param {Object} ctx - Rendering context
+   */
+  renderQuote(block, ctx) {
+    const lineHeight = this.getLineHeight(ctx.fontSize);
+    const padding = 2;
+    const colors = [this.colors.quoteBackground, this.colors.quoteBackgroundNested];
+    const box = { indent: ctx.indent, color: colors[ctx.quoteDepth % colors.length] };
+    const innerCtx = {
+      ...ctx,
+      indent: ctx.indent + PDF_CONSTANTS.QUOTE_INDENT,
+      quoteDepth: ctx.quoteDepth + 1,
+    };
+
+    // Keep the quote header together with the first quoted line
+    this.ensureSpace(lineHeight * 2 + padding);
+    this.currentY += padding;
+    this.startQuoteSegment(box, this.currentY - lineHeight * 0.75 - padding);
+    this.openQuotes.push(box);
+
+    this.renderParagraph(this.getQuoteHeaderRuns(block), {
+      ...innerCtx,
+      marks: ["bold"],
+      fontSize: ctx.fontSize - 1,
+    });
+    this.addSpace(lineHeight * 0.3);
+    this.renderContentBlocks(block.children, {
+      ...innerCtx,
+      marks: [...ctx.marks, "italic"],
+    });
+
+    this.openQuotes.pop();
+    this.shadeQuoteSegment(box, this.currentY - lineHeight * 0.75 + padding);
+    this.currentY += padding;
+  }
+
+  // Start shading a quote box at the given height of the current page or column
+  startQuoteSegment(box, top) {
+    const pageNumber = this.getCurrentPageNumber();
+    box.segment = {
+      pageNumber,
+      x: this.contentLeft + box.indent,
+      width: this.contentWidth - box.indent,
+      top,
+      index: this.doc.internal.pages[pageNumber].length,
+    };
+  }
+
+  // Shade a quote box from the top of its current segment down to `bottom`
+  shadeQuoteSegment(box, bottom) {
+    const { pageNumber, x, width, top, index } = box.segment;
+    if (bottom <= top) return;
+
+    this.drawBehind(pageNumber, index, () => {
+      if (!this.layout.printMode) {
+        this.doc.setFillColor(...box.color);
+        this.doc.rect(x, top, width, bottom - top, "F");
       }
-    }
+      this.doc.setFillColor(...this.colors.primary);
+      this.doc.rect(x, top, 0.8, bottom - top, "F");
+    });
+  }
 
-    this.currentY = this.currentY + PDF_CONSTANTS.LINE_HEIGHT * 0.7;
+  /**
+   * Fills every page with the theme's page background (dark themes)
+   *
+   * @private
+   */
+  paintPageBackgrounds() {
+    const color = this.colors.pageBackground;
+    if (this.layout.printMode || color.every((channel) => channel === 255)) return;
+
+    for (let pageNumber = 1; pageNumber <= this.doc.getNumberOfPages(); pageNumber++) {
+      this.drawBehind(pageNumber, 0, () => {
+        this.doc.setFillColor(...color);
+        this.doc.rect(0, 0, this.pageWidth, this.pageHeight, "F");
+      });
+    }
+  }
 
-    // Add spacing below header so content doesn't get pushed into it
-    this.addSpace(PDF_CONSTANTS.LINE_HEIGHT * 0.8);
+  /**
+   * Draws underneath content that is already on a page
+   *
+   * jsPDF only appends to a page, so the operators of the drawing are moved
+   * to an earlier position of the page's content stream.
+   *
+   * @private
+   * @param {number} pageNumber - Page to draw on
+   * @param {number} index - Position in the page's content stream, e.g. its
+   *   length before the content was added
+   * @param {Function} draw - Draws with this.doc
+   */
+  drawBehind(pageNumber, index, draw) {
+    const currentPage = this.getCurrentPageNumber();
+    const content = this.doc.internal.pages[pageNumber];
+    this.doc.setPage(pageNumber);
+
+    const end = content.length;
+    this.doc.saveGraphicsState();
+    draw();
+    this.doc.restoreGraphicsState();
+    content.splice(index, 0, ...content.splice(end));
+
+    this.doc.setPage(currentPage);
   }
 
   /**
-   * Adds post quotes
+   * Renders a horizontal rule
    * @private
-   * @param {Array<Object>} quotes - Array of quoted posts
+   * @param {Object} ctx - Rendering context
    */
-  addPostQuotes(quotes) {
-    for (const quote of quotes) {
-      // Quote header
-      this.doc.setFontSize(PDF_CONSTANTS.FONT_SIZE - 1);
-      this.doc.setTextColor(...PDF_CONSTANTS.PRIMARY_COLOR);
-      this.doc.setFont(undefined, "bold");
-
-      const quoteHeader = `${this.escapeText(quote.author)} wrote:`;
-      this.addText(quoteHeader);
-
-      // Quote content
-      this.doc.setFont(undefined, "italic");
-      this.doc.setTextColor(...PDF_CONSTANTS.TEXT_COLOR);
-
-      const quoteContent = this.escapeText(this.stripHtml(quote.content));
-      const quoteLines = this.doc.splitTextToSize(
-        quoteContent,
-        this.contentWidth - 10
-      );
+  renderRule(ctx) {
+    this.ensureSpace(this.getLineHeight(ctx.fontSize));
+    const y = this.currentY - this.getLineHeight(ctx.fontSize) * 0.35;
+    this.doc.setDrawColor(...this.colors.border);
+    this.doc.setLineWidth(this.getLineWidth(0.3));
+    this.doc.line(this.contentLeft + ctx.indent, y, this.contentLeft + this.contentWidth, y);
+    this.currentY += this.getLineHeight(ctx.fontSize) * 0.5;
+  }
 
-      this.addSpace(PDF_CONSTANTS.LINE_HEIGHT * 0.3);
-      this.addIndentedTextLines(quoteLines, 5);
-      this.addSpace(PDF_CONSTANTS.LINE_HEIGHT * 0.5);
+  /**
+   * Size of an image on the page: its CSS pixel size, scaled down to the
+   * available width and a share of the page height
+   *
+   * @private
+   * @param {Object} image - Loaded image (`width`, `height` in pixels)
+   * @param {number} maxWidth - Available width in millimeters
+   * @returns {{width: number, height: number}} Size in millimeters
+   */
+  getImageSize(image, maxWidth) {
+    const maxHeight =
+      (this.pageHeight - this.layout.margin * 2) *
+      PDF_CONSTANTS.MAX_IMAGE_PAGE_SHARE;
+
+    let width = Math.min(maxWidth, image.width * PDF_CONSTANTS.PX_TO_MM);
+    let height = (width * image.height) / image.width;
+    if (height > maxHeight) {
+      height = maxHeight;
+      width = (height * image.width) / image.height;
     }
+    return { width, height };
   }
 
   /**
-   * Adds post content using jsPDF's built-in text rendering
+   * Embeds an image scaled to the content width, with an optional caption
+   *
+   * Falls back to a clickable "[Image: ...]" line when the image could not
+   * be loaded or did not fit into the export's size budget.
+   *
    * @private
-   * @param {string} content - Post content HTML
+   * @param {Object} block - Image block (`src`, `alt`, optional `href`/`caption`)
+   * @param {Object} ctx - Rendering context
    */
-  async addPostContent(content) {
-    if (!content || content.trim() === "") {
-      logger.log("PDF: skipping empty content");
+  renderImage(block, ctx) {
+    const image = this.imageLoader.get(block.src);
+    const caption = block.caption || block.alt || "";
+    const linkUrl = block.href || block.src;
+
+    if (!image) {
+      this.renderParagraph(
+        [
+          {
+            type: "text",
+            text: `[Image${caption ? `: ${caption}` : ""}]`,
+            marks: [],
+            href: linkUrl,
+          },
+        ],
+        ctx
+      );
       return;
     }
 
-    logger.log("PDF: starting text content rendering", {
-      contentLength: content.length,
-    });
+    const maxWidth = this.contentWidth - ctx.indent;
+    const captionFontSize = ctx.fontSize - 2;
+    const { width, height } = this.getImageSize(image, maxWidth);
+
+    // currentY is a text baseline; images hang from the line's top edge
+    const ascent = this.getLineHeight(ctx.fontSize) * 0.75;
+    this.ensureSpace(height + (caption ? this.getLineHeight(captionFontSize) : 0));
+    const x = this.contentLeft + ctx.indent;
+    const top = this.currentY - ascent;
 
-    // Use jsPDF's text rendering with enhanced HTML processing
-    this.addPostContentAsText(content);
+    try {
+      // Using the URL as alias embeds repeated images only once
+      this.doc.addImage(image.dataUrl, "JPEG", x, top, width, height, block.src, "FAST");
+      this.doc.link(x, top, width, height, { url: linkUrl });
+    } catch (error) {
+      logger.warn("PDF: failed to embed image", {
+        src: block.src,
+        error: error.message,
+      });
+    }
+    this.currentY = top + height + ascent;
+
+    if (caption) {
+      this.setFont(this.fontFamily, "italic");
+      this.doc.setFontSize(captionFontSize);
+      this.doc.setTextColor(...this.colors.meta);
+      const captionLines = this.doc.splitTextToSize(this.prepareText(caption), maxWidth);
+      for (const line of captionLines) {
+        this.ensureSpace(this.getLineHeight(captionFontSize));
+        this.doc.text(line, this.contentLeft + ctx.indent, this.currentY);
+        this.currentY += this.getLineHeight(captionFontSize);
+      }
+    }
   }
 
   /**
-   * Adds post content as plain text with enhanced HTML processing
+   * Sets the jsPDF font for a set of inline marks
    * @private
-   * @param {string} content - Post content HTML
+   * @param {Array<string>} marks - Inline marks
+   * @param {number} fontSize - Font size in points
    */
-  addPostContentAsText(content) {
-    this.doc.setFontSize(PDF_CONSTANTS.FONT_SIZE);
-    this.doc.setTextColor(...PDF_CONSTANTS.TEXT_COLOR);
-    this.doc.setFont(undefined, "normal");
-
-    // Process HTML content to preserve formatting
-    const processedContent = this.processHtml(content);
-    const contentLines = this.doc.splitTextToSize(
-      processedContent,
-      this.contentWidth
-    );
+  applyRunFont(marks, fontSize) {
+    const bold = marks.includes("bold");
+    const italic = marks.includes("italic");
+    const style = bold && italic ? "bolditalic" : bold ? "bold" : italic ? "italic" : "normal";
+    const family = marks.includes("code") ? this.codeFontFamily : this.fontFamily;
+
+    this.setFont(family, style);
+    this.doc.setFontSize(fontSize);
+  }
 
-    this.addTextLines(contentLines, PDF_CONSTANTS.FONT_SIZE);
+  /**
+   * Prepares run text for the document's fonts
+   *
+   * The Unicode fonts cover umlauts, quotes, arrows and maths, so only emojis
+   * are replaced there; the standard fonts need the wider emoji mapper.
+   *
+   * @private
+   * @param {string} text - Raw run text
+   * @returns {string} Text safe to render
+   */
+  prepareText(text) {
+    if (!this.unicodeText) {
+      return this.replaceEmojis(text || "");
+    }
+    return this.emojiRenderer
+      .replace(text || "", (emoji) => this.describeEmoji(emoji))
+      .replace(/[\uFE0E\uFE0F]/g, "");
   }
 
   /**
-   * Adds post content as basic text (minimal processing fallback)
+   * Text stand-in for an emoji the Unicode font has no glyph for
    * @private
-   * @param {string} content - Post content HTML
+   * @param {string} emoji - Emoji sequence
+   * @returns {string} e.g. "[thumbs up]", or the emoji itself if unknown
    */
-  addPostContentAsBasicText(content) {
-    this.doc.setFontSize(PDF_CONSTANTS.FONT_SIZE);
-    this.doc.setTextColor(...PDF_CONSTANTS.TEXT_COLOR);
-    this.doc.setFont(undefined, "normal");
-
-    // Basic HTML stripping - just remove tags
-    const basicContent = content
-      .replace(/<[^>]*>/g, " ")
-      .replace(/\s+/g, " ")
-      .trim();
-    const contentLines = this.doc.splitTextToSize(
-      basicContent,
-      this.contentWidth
-    );
+  describeEmoji(emoji) {
+    if (!window.emojiMapper) return emoji;
+    const text = window.emojiMapper.emojiToText(emoji);
+    if (text !== emoji) return text;
+    // emojis.json lists most emojis without the variation selector
+    return window.emojiMapper.emojiToText(emoji.replace(/\uFE0F/g, ""));
+  }
 
-    this.addTextLines(contentLines, PDF_CONSTANTS.FONT_SIZE);
+  /**
+   * Returns the line height in mm for a font size in points
+   * @private
+   * @param {number} fontSize - Font size in points
+   * @returns {number} Line height in mm
+   */
+  getLineHeight(fontSize) {
+    return fontSize * 0.35 * this.layout.lineSpacing;
   }
 
   /**
-   * Adds post attachments
+   * Starts a new column or page when the next element would not fit
+   *
+   * A "(continued...)" marker is written at the top of the new column.
+   *
+   * @private
+   * @param {number} height - Height of the next element in mm
+   * @returns {boolean} True if a page break was added
+   */
+  ensureSpace(height) {
+    if (this.currentY + height <= this.pageHeight - this.layout.margin) {
+      return false;
+    }
+
+    this.nextFrame();
+
+    // Add continuation indicator
+    this.doc.setFontSize(this.layout.fontSize - 2);
+    this.doc.setTextColor(...this.colors.meta);
+    this.setFont(this.fontFamily, "italic");
+    this.doc.text("(continued...)", this.contentLeft, this.currentY);
+    this.currentY += this.layout.lineHeight;
+    return true;
+  }
+
+  /**
+   * Adds post attachments with automatic page breaks
+   *
+   * Image attachments that could be loaded are embedded, everything else
+   * is listed as a link.
+   *
    * @private
    * @param {Array<Object>} attachments - Array of post attachments
    */
-  addPostAttachments(attachments) {
-    this.addSpace(PDF_CONSTANTS.LINE_HEIGHT * 0.5);
+  async addPostAttachmentsWithPageBreaks(attachments) {
+    const images = attachments.filter(
+      (attachment) =>
+        attachment.type === "image" && this.imageLoader.get(attachment.url)
+    );
+    const files = attachments.filter((attachment) => !images.includes(attachment));
+
+    for (const image of images) {
+      this.addSpace(this.layout.lineHeight * 0.5);
+      this.renderImage(
+        { type: "image", src: image.url, caption: image.filename },
+        { indent: 0, marks: [], fontSize: this.layout.fontSize }
+      );
+    }
 
-    this.doc.setFontSize(PDF_CONSTANTS.FONT_SIZE - 1);
-    this.doc.setTextColor(...PDF_CONSTANTS.PRIMARY_COLOR);
-    this.doc.setFont(undefined, "bold");
+    if (files.length === 0) {
+      return;
+    }
+
+    // Check if we need a page break before adding attachments
+    const attachmentHeight = this.layout.lineHeight * (files.length + 2);
+
+    if (
+      this.currentY + attachmentHeight >
+      this.pageHeight - this.layout.margin
+    ) {
+      this.nextFrame();
+    }
+
+    this.addSpace(this.layout.lineHeight * 0.5);
+
+    this.doc.setFontSize(this.layout.fontSize - 1);
+    this.doc.setTextColor(...this.colors.primary);
+    this.setFont(this.fontFamily, "bold");
 
     this.addText("Attachments:");
 
-    this.doc.setFont(undefined, "normal");
-    this.doc.setTextColor(...PDF_CONSTANTS.TEXT_COLOR);
+    this.setFont(this.fontFamily, "normal");
+    this.doc.setTextColor(...this.colors.text);
 
-    for (const attachment of attachments) {
-      this.addSpace(PDF_CONSTANTS.LINE_HEIGHT * 0.3);
+    for (const attachment of files) {
+      this.addSpace(this.layout.lineHeight * 0.3);
 
       if (attachment.url) {
         const attachmentText = `• ${this.escapeText(
@@ -817,10 +2033,10 @@ class PDFGenerator {
         this.addTextWithLink(
           attachmentText,
           attachment.url,
-          PDF_CONSTANTS.MARGIN,
+          this.contentLeft,
           this.currentY
         );
-        this.currentY += PDF_CONSTANTS.LINE_HEIGHT;
+        this.currentY += this.layout.lineHeight;
       } else {
         this.addText(
           `• ${this.escapeText(attachment.filename)} (${this.escapeText(
@@ -831,6 +2047,97 @@ class PDFGenerator {
     }
   }
 
+  /**
+   * Adds post header (author, date, post number) with background
+   * @private
+   * @param {Object} post - Post object
+   * @param {Array<number>} backgroundColor - Background color array
+   * @param {number} postStartPosition - Starting Y position of the post
+   */
+  addPostHeader(post, backgroundColor, postStartPosition) {
+    const headerStartY = this.currentY;
+
+    // Link target for the outline, the table of contents and quotes
+    this.postAnchors.set(post.id, {
+      pageNumber: this.getCurrentPageNumber(),
+      top: Math.max(0, postStartPosition - 2),
+    });
+
+    // Calculate exact header height based on font size for perfect centering
+    const headerHeight = this.layout.lineHeight * 0.7;
+    const headerBottom = postStartPosition + PDF_CONSTANTS.POST_PADDING + headerHeight;
+
+    // Print mode underlines the header instead of drawing it on a filled block
+    const printMode = this.layout.printMode;
+    const headerTextColor = printMode ? this.colors.text : this.colors.headerText;
+    if (printMode) {
+      this.doc.setDrawColor(...this.colors.meta);
+      this.doc.setLineWidth(this.getLineWidth(0.3));
+      this.doc.line(this.contentLeft, headerBottom, this.contentLeft + this.contentWidth, headerBottom);
+    } else {
+      // Draw rounded background for the header section FIRST
+      this.addRoundedHeaderBackground(postStartPosition, headerBottom);
+    }
+
+    // Left side: Author name and timestamp
+    this.doc.setFontSize(this.layout.postHeaderFontSize - 2);
+    this.doc.setTextColor(...headerTextColor);
+    this.setFont(this.fontFamily, "bold");
+
+    // Author name
+    this.doc.text(
+      this.escapeText(post.author),
+      this.contentLeft + 2,
+      this.currentY
+    );
+
+    // Timestamp next to author name
+    if (post.date) {
+      // Calculate author width with the same font settings as used for author
+      const authorWidth = this.doc.getTextWidth(this.escapeText(post.author));
+
+      // Switch to timestamp font settings
+      this.doc.setFontSize(this.layout.fontSize - 3);
+      this.doc.setTextColor(...(printMode ? this.colors.meta : this.colors.headerText));
+      this.setFont(this.fontFamily, "normal");
+
+      const timestampText = ` • ${this.escapeText(post.date)}`;
+      this.doc.text(
+        timestampText,
+        this.contentLeft + 2 + authorWidth,
+        this.currentY
+      );
+    }
+
+    // Right side: Post number (prominent)
+    if (post.postNumber) {
+      this.doc.setFontSize(this.layout.postHeaderFontSize - 1);
+      this.doc.setTextColor(...headerTextColor);
+      this.setFont(this.fontFamily, "bold");
+
+      const postNumberText = this.escapeText(post.postNumber);
+      const textWidth = this.doc.getTextWidth(postNumberText);
+      const rightX = this.contentLeft + this.contentWidth - textWidth - 2;
+
+      // Add post number as clickable link if URL exists
+      if (post.postUrl) {
+        this.addTextWithLink(
+          postNumberText,
+          post.postUrl,
+          rightX,
+          this.currentY
+        );
+      } else {
+        this.doc.text(postNumberText, rightX, this.currentY);
+      }
+    }
+
+    this.currentY = this.currentY + this.layout.lineHeight * 0.7;
+
+    // Add spacing below header so content doesn't get pushed into it
+    this.addSpace(this.layout.lineHeight * 0.8);
+  }
+
   /**
    * Adds text with a clickable link
    * @private
@@ -839,7 +2146,7 @@ class PDFGenerator {
    * @param {number} x - X position for the text (optional, defaults to margin)
    * @param {number} y - Y position for the text (optional, defaults to currentY)
    */
-  addTextWithLink(text, url, x = PDF_CONSTANTS.MARGIN, y = this.currentY) {
+  addTextWithLink(text, url, x = this.contentLeft, y = this.currentY) {
     // Add the text
     this.doc.text(text, x, y);
 
@@ -867,8 +2174,8 @@ class PDFGenerator {
    * @param {string} text - Text to add
    */
   addText(text) {
-    this.doc.text(text, PDF_CONSTANTS.MARGIN, this.currentY);
-    this.currentY += PDF_CONSTANTS.LINE_HEIGHT;
+    this.doc.text(text, this.contentLeft, this.currentY);
+    this.currentY += this.layout.lineHeight;
   }
 
   /**
@@ -877,26 +2184,13 @@ class PDFGenerator {
    * @param {Array<string>} lines - Array of text lines
    * @param {number} fontSize - Font size for line height calculation
    */
-  addTextLines(lines, fontSize = PDF_CONSTANTS.FONT_SIZE) {
+  addTextLines(lines, fontSize = this.layout.fontSize) {
     for (const line of lines) {
-      this.doc.text(line, PDF_CONSTANTS.MARGIN, this.currentY);
+      this.doc.text(line, this.contentLeft, this.currentY);
       this.currentY += fontSize * 0.35; // Convert pt to mm
     }
   }
 
-  /**
-   * Adds indented text lines
-   * @private
-   * @param {Array<string>} lines - Array of text lines
-   * @param {number} indent - Indentation in mm
-   */
-  addIndentedTextLines(lines, indent) {
-    for (const line of lines) {
-      this.doc.text(line, PDF_CONSTANTS.MARGIN + indent, this.currentY);
-      this.currentY += PDF_CONSTANTS.LINE_HEIGHT;
-    }
-  }
-
   /**
    * Adds vertical space
    * @private
@@ -911,12 +2205,12 @@ class PDFGenerator {
    * @private
    */
   addSeparatorLine() {
-    this.doc.setDrawColor(...PDF_CONSTANTS.PRIMARY_COLOR);
-    this.doc.setLineWidth(0.5);
+    this.doc.setDrawColor(...this.colors.primary);
+    this.doc.setLineWidth(this.getLineWidth(0.5));
     this.doc.line(
-      PDF_CONSTANTS.MARGIN,
+      this.contentLeft,
       this.currentY,
-      this.pageWidth - PDF_CONSTANTS.MARGIN,
+      this.contentLeft + this.contentWidth,
       this.currentY
     );
     this.currentY += 2;
@@ -927,13 +2221,23 @@ class PDFGenerator {
    * @private
    */
   addSeparator() {
-    this.doc.setDrawColor(...PDF_CONSTANTS.BORDER_COLOR);
+    const startX = this.contentLeft;
+    const endX = this.contentLeft + this.contentWidth;
+    const y = this.currentY;
+
+    // A plain hairline in print mode
+    if (this.layout.printMode) {
+      this.doc.setDrawColor(...this.colors.meta);
+      this.doc.setLineWidth(this.getLineWidth(0.3));
+      this.doc.line(startX, y, endX, y);
+      this.currentY += 1;
+      return;
+    }
+
+    this.doc.setDrawColor(...this.colors.border);
     this.doc.setLineWidth(0.3);
 
     // Draw a line with dots
-    const startX = PDF_CONSTANTS.MARGIN;
-    const endX = this.pageWidth - PDF_CONSTANTS.MARGIN;
-    const y = this.currentY;
 
     // Draw dotted line
     const dotSpacing = 2;
@@ -944,27 +2248,126 @@ class PDFGenerator {
     this.currentY += 1;
   }
 
+  // Remember that the current PDF page shows posts of the current forum page
+  noteForumPage() {
+    const forumPage = this.currentForumPage;
+    if (!forumPage) return;
+
+    const pageNumber = this.getCurrentPageNumber();
+    const range = this.forumPageRanges.get(pageNumber);
+    if (range) {
+      range.first = Math.min(range.first, forumPage);
+      range.last = Math.max(range.last, forumPage);
+    } else {
+      this.forumPageRanges.set(pageNumber, { first: forumPage, last: forumPage });
+    }
+  }
+
+  /**
+   * Stamps the running header and footer on every page once all pages exist
+   *
+   * The header holds the thread title, shortened to fit, and the forum pages
+   * whose posts are on the page. The footer holds the export date, the
+   * canonical thread URL (clickable) and "Page X of Y". Both sit in the
+   * page margins, see createLayout.
+   *
+   * @private
+   * @param {Object} threadData - Thread data (`title`, `url`, `scrapedAt`)
+   */
+  addRunningHeaders(threadData) {
+    const { runningHeader, runningFooter, margin } = this.layout;
+    if (!runningHeader && !runningFooter) return;
+
+    const currentPage = this.getCurrentPageNumber();
+    const pageCount = this.doc.getNumberOfPages();
+    const fontSize = Math.max(7, this.layout.fontSize - 4);
+    const title = this.prepareText(threadData.title);
+    const url = this.getCanonicalThreadUrl(threadData.url);
+    const exportDate = new Date(threadData.scrapedAt).toLocaleDateString();
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      this.doc.setPage(pageNumber);
+      const { left, width } = this.getPageFrame(pageNumber);
+      const right = left + width;
+      this.setFont(this.fontFamily, "normal");
+      this.doc.setFontSize(fontSize);
+      this.doc.setTextColor(...this.colors.meta);
+      this.doc.setDrawColor(...this.colors.border);
+      this.doc.setLineWidth(this.getLineWidth(0.2));
+
+      if (runningHeader) {
+        const y = margin * 0.55;
+        const range = this.forumPageRanges.get(pageNumber);
+        let rangeText = "";
+        if (range) {
+          rangeText =
+            range.first === range.last
+              ? `Forum page ${range.first}`
+              : `Forum pages ${range.first}-${range.last}`;
+        }
+        const rangeWidth = rangeText ? this.doc.getTextWidth(rangeText) : 0;
+
+        this.doc.text(this.fitText(title, width - rangeWidth - 4), left, y);
+        if (rangeText) {
+          this.doc.text(rangeText, right - rangeWidth, y);
+        }
+        this.doc.line(left, y + 1.5, right, y + 1.5);
+      }
+
+      if (runningFooter) {
+        const y = this.pageHeight - margin * 0.4;
+        const pageText = `Page ${pageNumber} of ${pageCount}`;
+        const pageTextWidth = this.doc.getTextWidth(pageText);
+        const info = this.fitText(`${exportDate} • ${url}`, width - pageTextWidth - 4);
+
+        this.doc.line(left, y - 3, right, y - 3);
+        this.doc.text(info, left, y);
+        this.doc.link(left, y - 2.5, this.doc.getTextWidth(info), 3.5, { url });
+        this.doc.text(pageText, right - pageTextWidth, y);
+      }
+    }
+
+    this.doc.setPage(currentPage);
+  }
+
+  // Shortens text with "..." to fit a width in the current font
+  fitText(text, maxWidth) {
+    if (this.doc.getTextWidth(text) <= maxWidth) return text;
+
+    let end = text.length;
+    while (end > 0 && this.doc.getTextWidth(`${text.slice(0, end).trimEnd()}...`) > maxWidth) {
+      end--;
+    }
+    return `${text.slice(0, end).trimEnd()}...`;
+  }
+
   /**
    * Adds a footer to the PDF with Lotus-themed content
    * @private
    */
   addFooter() {
-    // Move to bottom of current page with some margin
-    const footerY = this.pageHeight - PDF_CONSTANTS.MARGIN - 10;
+    // Move to bottom of current page with some margin, below the last post
+    const footerY = this.pageHeight - this.layout.margin - 10;
+    if (this.currentY > footerY - this.layout.lineHeight) {
+      this.nextFrame();
+    }
     this.currentY = footerY;
 
     // Set footer styling
-    this.doc.setFontSize(PDF_CONSTANTS.FONT_SIZE - 2);
-    this.doc.setTextColor(...PDF_CONSTANTS.META_COLOR);
-    this.doc.setFont(undefined, "normal");
+    this.doc.setFontSize(this.layout.fontSize - 2);
+    this.doc.setTextColor(...this.colors.meta);
+    this.setFont(this.fontFamily, "normal");
 
     // Center the footer text
     const footerText = "Created by Lotus Forum Thread Exporter";
     const textWidth = this.doc.getTextWidth(footerText);
-    const centerX = (this.pageWidth - textWidth) / 2;
+    const centerX = this.contentLeft + (this.contentWidth - textWidth) / 2;
 
     this.doc.text(footerText, centerX, this.currentY);
-    this.currentY += PDF_CONSTANTS.LINE_HEIGHT * 0.8;
+    this.currentY += this.layout.lineHeight * 0.8;
+
+    // Printed copies stay matter-of-fact
+    if (this.layout.printMode) return;
 
     // Add a fun Lotus joke
     const jokes = [
@@ -993,13 +2396,13 @@ class PDFGenerator {
     const randomJoke = jokes[Math.floor(Math.random() * jokes.length)];
 
     // Set font settings BEFORE calculating width
-    this.doc.setFontSize(PDF_CONSTANTS.FONT_SIZE - 3);
-    this.doc.setFont(undefined, "italic");
+    this.doc.setFontSize(this.layout.fontSize - 3);
+    this.setFont(this.fontFamily, "italic");
 
     const jokeWidth = this.doc.getTextWidth(randomJoke);
-    const jokeCenterX = (this.pageWidth - jokeWidth) / 2;
+    const jokeCenterX = this.contentLeft + (this.contentWidth - jokeWidth) / 2;
 
-    this.doc.setTextColor(...PDF_CONSTANTS.META_COLOR);
+    this.doc.setTextColor(...this.colors.meta);
 
     this.doc.text(randomJoke, jokeCenterX, this.currentY);
   }
@@ -1015,9 +2418,9 @@ class PDFGenerator {
     const radius = 3; // Rounded corner radius
 
     // Add rounded background rectangle (filled)
-    this.doc.setFillColor(...PDF_CONSTANTS.HEADER_BG_COLOR);
+    this.doc.setFillColor(...this.colors.headerBackground);
     this.doc.roundedRect(
-      PDF_CONSTANTS.MARGIN,
+      this.contentLeft,
       startY,
       this.contentWidth,
       postHeight,
@@ -1027,27 +2430,6 @@ class PDFGenerator {
     );
   }
 
-  /**
-   * Adds background color for a post (no border)
-   * @private
-   * @param {Array<number>} bgColor - RGB color array
-   * @param {number} startY - Starting Y position
-   * @param {number} endY - Ending Y position
-   */
-  addPostBackgroundAndBorder(bgColor, startY, endY) {
-    const postHeight = endY - startY;
-
-    // Add background rectangle (filled) - no border
-    this.doc.setFillColor(...bgColor);
-    this.doc.rect(
-      PDF_CONSTANTS.MARGIN,
-      startY,
-      this.contentWidth,
-      postHeight,
-      "F"
-    );
-  }
-
   /**
    * Escapes text for safe display
    * @private
@@ -1120,18 +2502,6 @@ class PDFGenerator {
    * // Result: 'https://forum.com/thread/123'
    */
   getCanonicalThreadUrl(originalUrl) {
-    try {
-      const url = new URL(originalUrl);
-      url.searchParams.delete("postID");
-      url.searchParams.delete("pageNo");
-      url.hash = "";
-      return url.toString();
-    } catch (error) {
-      logger.warn("PDF: URL canonicalization failed", {
-        originalUrl,
-        error: error.message,
-      });
-      return originalUrl;
-    }
+    return UrlUtils.getCanonicalThreadUrl(originalUrl);
   }
 }
@@ -0,0 +1,250 @@
+// Lotus Forum Thread Exporter - Post Filter
+// Restricts which scraped posts end up in an export
+
+/**
+ * PostFilter applies the user's export filters to scraped `threadData`
+ * before it is handed to an exporter, and describes the active filters so
+ * exporters can state them in the document.
+ *
+ * Filter options (all optional, stored as `exportFilters`):
+ * - `pageFrom` / `pageTo` - Forum page range (inclusive)
+ * - `postFrom` / `postTo` - Post number range, e.g. 120 and 250 for #120–#250
+ * - `dateFrom` / `dateTo` - Publication date range as `YYYY-MM-DD` (inclusive)
+ * - `includeAuthors` - Only keep posts by these authors
+ * - `excludeAuthors` - Drop posts by these authors
+ * - `starterOnly` - Only keep posts by the thread starter
+ *
+ * @class PostFilter
+ * @since 1.1.0
+ */
+class PostFilter {
+  constructor() {
+    /** @type {Object<string, number>} Month names as shown by WoltLab (de/en) */
+    this.monthNames = {
+      jan: 0, januar: 0, january: 0, jänner: 0,
+      feb: 1, februar: 1, february: 1,
+      mär: 2, märz: 2, mar: 2, march: 2,
+      apr: 3, april: 3,
+      mai: 4, may: 4,
+      jun: 5, juni: 5, june: 5,
+      jul: 6, juli: 6, july: 6,
+      aug: 7, august: 7,
+      sep: 8, sept: 8, september: 8,
+      okt: 9, oktober: 9, oct: 9, october: 9,
+      nov: 10, november: 10,
+      dez: 11, dezember: 11, dec: 11, december: 11,
+    };
+  }
+
+  /**
+   * Cleans up raw filter options, e.g. from form inputs
+   *
+   * @param {Object} [options] - Raw filter options
+   * @returns {Object} Filters with numbers, `YYYY-MM-DD` strings and author lists
+   */
+  normalize(options = {}) {
+    const toNumber = (value) => {
+      const number = parseInt(String(value ?? "").replace(/[^0-9]/g, ""), 10);
+      return Number.isFinite(number) && number > 0 ? number : null;
+    };
+    const toDate = (value) =>
+      /^\d{4}-\d{2}-\d{2}$/.test(value || "") ? value : "";
+    const toAuthors = (value) =>
+      (Array.isArray(value) ? value : String(value || "").split(","))
+        .map((author) => String(author).trim())
+        .filter(Boolean);
+
+    return {
+      pageFrom: toNumber(options.pageFrom),
+      pageTo: toNumber(options.pageTo),
+      postFrom: toNumber(options.postFrom),
+      postTo: toNumber(options.postTo),
+      dateFrom: toDate(options.dateFrom),
+      dateTo: toDate(options.dateTo),
+      includeAuthors: toAuthors(options.includeAuthors),
+      excludeAuthors: toAuthors(options.excludeAuthors),
+      starterOnly: Boolean(options.starterOnly),
+    };
+  }
+
+  /**
+   * Whether any filter is set
+   *
+   * @param {Object} [options] - Filter options
+   * @returns {boolean} True if at least one filter restricts posts
+   */
+  isActive(options) {
+    return this.describe(options).length > 0;
+  }
+
+  /**
+   * Applies the filters to thread data
+   *
+   * The thread starter is the author of the first scraped post, so it is
+   * determined before any filtering.
+   *
+   * @param {Object} threadData - Thread data from ThreadScraper
+   * @param {Object} [options] - Filter options
+   * @returns {Object} Copy of threadData with filtered `posts` and a `filters` summary
+   */
+  apply(threadData, options) {
+    const filters = this.normalize(options);
+    const description = this.describe(filters, threadData);
+    if (description.length === 0) return threadData;
+
+    const starter = this.getThreadStarter(threadData);
+    const includeAuthors = filters.includeAuthors.map((author) => author.toLowerCase());
+    const excludeAuthors = filters.excludeAuthors.map((author) => author.toLowerCase());
+    const dateFrom = filters.dateFrom ? new Date(`${filters.dateFrom}T00:00:00`) : null;
+    const dateTo = filters.dateTo ? new Date(`${filters.dateTo}T23:59:59.999`) : null;
+
+    let undatedPosts = 0;
+    const posts = threadData.posts.filter((post) => {
+      const page = post.page || 1;
+      if (filters.pageFrom && page < filters.pageFrom) return false;
+      if (filters.pageTo && page > filters.pageTo) return false;
+
+      const number = this.getPostNumber(post);
+      if ((filters.postFrom || filters.postTo) && number === null) return false;
+      if (filters.postFrom && number < filters.postFrom) return false;
+      if (filters.postTo && number > filters.postTo) return false;
+
+      const author = (post.author || "").trim().toLowerCase();
+      if (includeAuthors.length > 0 && !includeAuthors.includes(author)) return false;
+      if (excludeAuthors.includes(author)) return false;
+      if (filters.starterOnly && author !== starter.toLowerCase()) return false;
+
+      if (dateFrom || dateTo) {
+        const postDate = this.getPostDate(post);
+        // Posts with an unreadable date are kept rather than silently dropped
+        if (!postDate) {
+          undatedPosts++;
+          return true;
+        }
+        if (dateFrom && postDate < dateFrom) return false;
+        if (dateTo && postDate > dateTo) return false;
+      }
+
+      return true;
+    });
+
+    logger.log("Filter: applied", {
+      filters: description,
+      totalPosts: threadData.posts.length,
+      keptPosts: posts.length,
+      undatedPosts,
+    });
+
+    return {
+      ...threadData,
+      posts,
+      filters: {
+        options: filters,
+        description,
+        totalPosts: threadData.posts.length,
+        undatedPosts,
+      },
+    };
+  }
+
+  /**
+   * Describes the active filters in human-readable form
+   *
+   * @param {Object} [options] - Filter options
+   * @param {Object} [threadData] - Thread data, used to name the thread starter
+   * @returns {Array<string>} One entry per active filter
+   */
+  describe(options, threadData = null) {
+    const filters = this.normalize(options);
+    const range = (from, to, format) => {
+      if (from && to) return `${format(from)}–${format(to)}`;
+      if (from) return `from ${format(from)}`;
+      return `up to ${format(to)}`;
+    };
+    const parts = [];
+
+    if (filters.pageFrom || filters.pageTo) {
+      parts.push(`Pages ${range(filters.pageFrom, filters.pageTo, String)}`);
+    }
+    if (filters.postFrom || filters.postTo) {
+      parts.push(`Posts ${range(filters.postFrom, filters.postTo, (n) => `#${n}`)}`);
+    }
+    if (filters.dateFrom || filters.dateTo) {
+      parts.push(`Dates ${range(filters.dateFrom, filters.dateTo, String)}`);
+    }
+    if (filters.includeAuthors.length > 0) {
+      parts.push(`Only authors: ${filters.includeAuthors.join(", ")}`);
+    }
+    if (filters.excludeAuthors.length > 0) {
+      parts.push(`Excluding authors: ${filters.excludeAuthors.join(", ")}`);
+    }
+    if (filters.starterOnly) {
+      const starter = threadData ? this.getThreadStarter(threadData) : "";
+      parts.push(
+        starter
+          ? `Only posts by the thread starter (${starter})`
+          : "Only posts by the thread starter"
+      );
+    }
+
+    return parts;
+  }
+
+  getThreadStarter(threadData) {
+    const firstPost = (threadData.posts || [])[0];
+    return (firstPost && firstPost.author) || "";
+  }
+
+  getPostNumber(post) {
+    const number = parseInt((post.postNumber || "").replace(/[^0-9]/g, ""), 10);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Publication date of a post
+   *
+   * Prefers the machine-readable `dateTime` and falls back to parsing the
+   * displayed date (e.g. "12.03.2024", "12. März 2024", "Mar 12th 2024").
+   *
+   * @param {Object} post - Scraped post
+   * @returns {Date|null} Publication date or null if it cannot be read
+   */
+  getPostDate(post) {
+    if (post.dateTime) {
+      const date = new Date(post.dateTime);
+      if (!isNaN(date.getTime())) return date;
+    }
+    return this.parseDisplayDate(post.date);
+  }
+
+  parseDisplayDate(text) {
+    const value = (text || "").trim().toLowerCase();
+    if (!value) return null;
+
+    // Recent posts are shown relative to today
+    if (/^(heute|today)\b/.test(value) || /^(gestern|yesterday)\b/.test(value)) {
+      const date = new Date();
+      date.setHours(0, 0, 0, 0);
+      if (/^(gestern|yesterday)\b/.test(value)) date.setDate(date.getDate() - 1);
+      return date;
+    }
+
+    const numeric = value.match(/(\d{1,2})\.\s?(\d{1,2})\.\s?(\d{4})/);
+    if (numeric) {
+      return new Date(Number(numeric[3]), Number(numeric[2]) - 1, Number(numeric[1]));
+    }
+
+    const dayFirst = value.match(/(\d{1,2})\.?\s+([a-zä]+)\.?\s+(\d{4})/);
+    if (dayFirst && this.monthNames[dayFirst[2]] !== undefined) {
+      return new Date(Number(dayFirst[3]), this.monthNames[dayFirst[2]], Number(dayFirst[1]));
+    }
+
+    const monthFirst = value.match(/([a-zä]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/);
+    if (monthFirst && this.monthNames[monthFirst[1]] !== undefined) {
+      return new Date(Number(monthFirst[3]), this.monthNames[monthFirst[1]], Number(monthFirst[2]));
+    }
+
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+}
@@ -10,6 +10,40 @@
  * @since 1.0.0
  */
 
+// Tail of the storage updates, see updateStoredValue()
+let storageUpdate = Promise.resolve();
+
+// Runs a storage task after all earlier ones have finished
+function queueStorageTask(task) {
+  const result = storageUpdate.then(task);
+  storageUpdate = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Changes a value in chrome.storage.local in place
+ *
+ * Updates run one after another, so that e.g. cancelling a batch export
+ * cannot be overwritten by the queue saving its progress, and a rename in
+ * the export library cannot drop an export stored meanwhile. Every change
+ * to `exportHistory` goes through here.
+ *
+ * @param {string} key - Storage key, e.g. "batchJob"
+ * @param {Function} update - Changes the value in place; returning false skips saving
+ * @param {*} [fallback=null] - Value to update when none is stored; null skips the update
+ * @returns {Promise<*>} The value after the update, null if there is none
+ */
+export function updateStoredValue(key, update, fallback = null) {
+  return queueStorageTask(async () => {
+    const { [key]: value = fallback } = await chrome.storage.local.get([key]);
+    if (value === null) return null;
+    if (update(value) !== false) {
+      await chrome.storage.local.set({ [key]: value });
+    }
+    return value;
+  });
+}
+
 export class ChromeStorageManager {
   constructor() {
     this.initialized = false;
@@ -74,8 +108,6 @@ export class ChromeStorageManager {
     }
 
     try {
-      const { exportHistory = [] } = await chrome.storage.local.get(['exportHistory']);
-      
       // Create lightweight metadata entry
       const metadataEntry = {
         id: exportData.id,
@@ -83,17 +115,28 @@ export class ChromeStorageManager {
         threadUrl: exportData.threadUrl,
         exportDate: exportData.exportDate,
         pdfSize: exportData.pdfSize,
+        format: exportData.format || 'pdf',
+        mimeType: exportData.mimeType || 'application/pdf',
+        fileName: exportData.fileName || null,
+        fileSize: exportData.fileSize || exportData.pdfSize,
         postCount: exportData.postCount,
         pageCount: exportData.pageCount,
+        // Re-exports of a watched thread count up from 1
+        version: exportData.version || null,
+        boardId: exportData.boardId || null,
+        boardTitle: exportData.boardTitle || null,
+        // Set in the export library
+        customTitle: null,
+        tags: [],
         pdfStored: true,
         hasLogs: true,
         storageStatus: 'complete'
       };
 
       // Add to beginning of array (no artificial cap; quota-based cleanup will manage size)
-      exportHistory.unshift(metadataEntry);
-
-      await chrome.storage.local.set({ exportHistory });
+      await updateStoredValue('exportHistory', (exportHistory) => {
+        exportHistory.unshift(metadataEntry);
+      }, []);
       
       console.log('Chrome Storage: Metadata stored successfully', { id: exportData.id });
       return metadataEntry;
@@ -121,6 +164,61 @@ export class ChromeStorageManager {
     }
   }
 
+  /**
+   * Update an export's metadata in the storage queue
+   *
+   * `update` runs on the current entry, so changes computed from it cannot
+   * be based on a stale copy of the history.
+   *
+   * @param {string} exportId - Export ID
+   * @param {Function} update - Changes the entry in place
+   * @returns {Promise<Object|null>} Updated entry, or null when the export is unknown
+   */
+  async updateExportMetadata(exportId, update) {
+    if (!this.initialized) {
+      throw new Error('Chrome Storage not initialized');
+    }
+
+    try {
+      let entry = null;
+      await updateStoredValue('exportHistory', (exportHistory) => {
+        entry = exportHistory.find((item) => item.id === exportId) || null;
+        if (!entry) return false;
+        update(entry);
+      });
+      return entry;
+    } catch (error) {
+      console.error('Chrome Storage: Failed to update metadata', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove export metadata entries
+   *
+   * @param {Array<string>} exportIds - Export IDs
+   * @returns {Promise<Array<Object>>} The removed entries
+   */
+  async removeExportMetadata(exportIds) {
+    if (!this.initialized) {
+      throw new Error('Chrome Storage not initialized');
+    }
+
+    try {
+      let removed = [];
+      await updateStoredValue('exportHistory', (exportHistory) => {
+        removed = exportHistory.filter((item) => exportIds.includes(item.id));
+        if (removed.length === 0) return false;
+        const kept = exportHistory.filter((item) => !exportIds.includes(item.id));
+        exportHistory.splice(0, exportHistory.length, ...kept);
+      });
+      return removed;
+    } catch (error) {
+      console.error('Chrome Storage: Failed to remove metadata', error);
+      throw error;
+    }
+  }
+
   /**
    * Update storage statistics
    * @param {number} pdfSize - PDF size in bytes
@@ -215,7 +313,7 @@ export class ChromeStorageManager {
   }
 
   /**
-   * Clear all Chrome Storage data
+   * Clear the export history and its statistics
    * @returns {Promise<boolean>} Success status
    */
   async clearAll() {
@@ -224,13 +322,14 @@ export class ChromeStorageManager {
     }
 
     try {
-      await chrome.storage.local.clear();
-      await chrome.storage.local.set({});
+      // Only the export history; settings, themes, the watchlist and a
+      // running batch job live in the same storage area and must survive
+      await queueStorageTask(() => chrome.storage.local.remove(['exportHistory', 'exportStats', 'storageStats']));
       
       // Reinitialize with defaults
       await this.initialize();
       
-      console.log('Chrome Storage: All data cleared successfully');
+      console.log('Chrome Storage: Export history cleared successfully');
       return true;
     } catch (error) {
       console.error('Chrome Storage: Failed to clear data', error);
@@ -249,15 +348,16 @@ export class ChromeStorageManager {
     }
 
     try {
-      const { exportHistory = [] } = await chrome.storage.local.get(['exportHistory']);
+      let removed = [];
+      await updateStoredValue('exportHistory', (exportHistory) => {
+        if (exportHistory.length <= maxEntries) return false;
+        removed = exportHistory.splice(maxEntries);
+      });
       
-      if (exportHistory.length > maxEntries) {
-        const cleaned = exportHistory.slice(0, maxEntries);
-        await chrome.storage.local.set({ exportHistory: cleaned });
-        
+      if (removed.length > 0) {
         // Update storage stats
-        const removedCount = exportHistory.length - maxEntries;
-        const removedSize = exportHistory.slice(maxEntries).reduce((sum, entry) => sum + (entry.pdfSize || 0), 0);
+        const removedCount = removed.length;
+        const removedSize = removed.reduce((sum, entry) => sum + (entry.pdfSize || 0), 0);
         await this.updateStorageStats(-removedSize, -removedCount);
         
         console.log('Chrome Storage: Cleaned up old metadata', { removed: removedCount });
@@ -10,6 +10,8 @@
  * - Inactivity/access patterns
  */
 
+import { updateStoredValue } from './chrome-storage.js';
+
 export class CleanupManager {
   constructor(chromeStorageManager, indexedDBManager) {
     this.chromeStorage = chromeStorageManager;
@@ -48,6 +50,9 @@ export class CleanupManager {
       await this.cleanupByAge();
       await this.cleanupByInactivity();
 
+      // Files removed above leave their chunks behind
+      await this.indexedDB.deleteOrphanedChunks();
+
       return true;
     } catch (err) {
       console.error('CleanupManager: checkAndCleanup failed', err);
@@ -85,19 +90,23 @@ export class CleanupManager {
       }
 
       // Compute current usage and quota directly for precision
-      const usage = await chrome.storage.local.getBytesInUse();
+      let usage = await chrome.storage.local.getBytesInUse();
       const quota = chrome.storage.local.QUOTA_BYTES || 10 * 1024 * 1024;
 
       // Remove oldest entries (beyond minRecentKeep) until back under threshold
-      let index = history.length - 1; // start from oldest
       const keepUntil = this.options.minRecentKeep;
-      while (index >= keepUntil && (usage / quota) * 100 >= this.options.quotaThresholdPercent) {
-        const removed = history.splice(index, 1);
-        index--;
-        await chrome.storage.local.set({ exportHistory: history });
+      while ((usage / quota) * 100 >= this.options.quotaThresholdPercent) {
+        let removed = false;
+        await updateStoredValue('exportHistory', (exportHistory) => {
+          if (exportHistory.length <= keepUntil) return false;
+          exportHistory.pop(); // oldest
+          removed = true;
+        });
+        if (!removed) break;
         // Re-read usage after each removal to decide further trimming
         const updatedUsage = await chrome.storage.local.getBytesInUse();
         if (updatedUsage === usage) break; // safeguard if usage cannot be reduced further
+        usage = updatedUsage;
       }
     } catch (err) {
       console.warn('CleanupManager: Chrome metadata quota cleanup failed', err);
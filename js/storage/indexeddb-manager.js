@@ -1,9 +1,19 @@
 /**
  * @fileoverview IndexedDB Manager - Handles IndexedDB operations for large data
  * 
- * This module manages all IndexedDB operations including PDF storage, log storage,
- * and detailed export metadata. It provides efficient storage for large binary data
+ * This module manages all IndexedDB operations including export file storage
+ * (PDF, Markdown, HTML, ... kept in the `pdfs` store with their MIME type),
+ * log storage, and detailed export metadata (including the per-thread scrape
+ * cache used for incremental re-exports). It provides efficient storage for large binary data
  * and structured information that doesn't need fast synchronous access.
+ *
+ * Export files are split into fixed-size records in the `chunks` store. The
+ * file's record in `pdfs` is then a manifest (size, chunk count, SHA-256) and
+ * the file only counts as stored once the assembled chunks match the hash.
+ * Records written before chunking keep the whole file in `pdfBlob`.
+ *
+ * The post text of each export and the full-text index over it live in
+ * `exportDetails` and `searchIndex`, see search-index.js.
  * 
  * @author Lotus Forum Community
  * @version 1.0.0
@@ -14,7 +24,8 @@ export class IndexedDBManager {
   constructor() {
     this.db = null;
     this.dbName = 'lotusExporter';
-    this.dbVersion = 1;
+    this.dbVersion = 4;
+    this.chunkSize = 4 * 1024 * 1024; // 4 MB per chunk record
     this.initialized = false;
   }
 
@@ -76,9 +87,30 @@ export class IndexedDBManager {
           const detailsStore = db.createObjectStore('exportDetails', { keyPath: 'exportId' });
           detailsStore.createIndex('createdAt', 'createdAt', { unique: false });
         }
+
+        // Create file chunks object store (added in version 2)
+        if (!db.objectStoreNames.contains('chunks')) {
+          db.createObjectStore('chunks', { keyPath: ['exportId', 'index'] });
+        }
+
+        // Create full-text index object store (added in version 3)
+        if (!db.objectStoreNames.contains('searchIndex')) {
+          db.createObjectStore('searchIndex', { keyPath: 'term' });
+        }
+
+        // Find the text records holding a post (added in version 4)
+        const detailsStore = event.target.transaction.objectStore('exportDetails');
+        if (!detailsStore.indexNames.contains('postIds')) {
+          detailsStore.createIndex('postIds', 'postIds', { unique: false, multiEntry: true });
+        }
       };
       
-      request.onsuccess = () => resolve(request.result);
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let other extension pages upgrade the database
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
       request.onerror = () => reject(request.error);
     });
   }
@@ -90,39 +122,287 @@ export class IndexedDBManager {
    * @returns {Promise<boolean>} Success status
    */
   async storePdf(exportId, pdfBlob) {
+    return this.storeFile(exportId, pdfBlob, 'application/pdf');
+  }
+
+  /**
+   * Store an export file of any format
+   *
+   * The file is written as chunks with a manifest in the `pdfs` store and
+   * verified against the SHA-256 of each chunk before it counts as stored.
+   *
+   * @param {string} exportId - Export ID
+   * @param {Blob} fileBlob - File data
+   * @param {string} [mimeType] - MIME type, defaults to the blob's own type
+   * @returns {Promise<boolean>} Success status
+   */
+  async storeFile(exportId, fileBlob, mimeType) {
     if (!this.initialized) {
       throw new Error('IndexedDB not initialized');
     }
 
     try {
-      if (!pdfBlob) {
-        throw new TypeError('PDF blob is missing');
+      if (!fileBlob) {
+        throw new TypeError('File blob is missing');
       }
-      const transaction = this.db.transaction(['pdfs'], 'readwrite');
-      const store = transaction.objectStore('pdfs');
-      
-      const record = {
-        exportId,
-        pdfBlob,
-        createdAt: Date.now(),
-        lastAccessed: Date.now(),
-        accessCount: 0
-      };
-      
-      await new Promise((resolve, reject) => {
-        const request = store.put(record);
-        request.onsuccess = () => resolve(true);
-        request.onerror = () => reject(request.error);
-      });
-      
-      console.log('IndexedDB: PDF stored successfully', { exportId, size: pdfBlob && pdfBlob.size });
+      const type = mimeType || fileBlob.type || 'application/pdf';
+
+      await this.beginChunkedFile(exportId, { mimeType: type, size: fileBlob.size, chunkSize: this.chunkSize });
+      let index = 0;
+      for (let offset = 0; offset < fileBlob.size || index === 0; offset += this.chunkSize) {
+        const chunk = fileBlob.slice(offset, offset + this.chunkSize);
+        await this.storeChunk(exportId, index++, chunk, await this.computeSha256(chunk));
+      }
+      await this.finishChunkedFile(exportId, { chunkCount: index });
+
+      console.log('IndexedDB: File stored successfully', { exportId, mimeType: type, size: fileBlob.size, chunks: index });
       return true;
     } catch (error) {
-      console.error('IndexedDB: Failed to store PDF', error);
+      console.error('IndexedDB: Failed to store file', error);
       throw error;
     }
   }
 
+  /**
+   * Start storing a file chunk by chunk
+   *
+   * Writes a pending manifest, replacing any earlier file with this ID. The
+   * pending manifest keeps the chunks from being swept as orphans.
+   *
+   * @param {string} exportId - Export ID
+   * @param {Object} info - `{ mimeType, size, chunkSize }`
+   * @returns {Promise<boolean>} Success status
+   */
+  async beginChunkedFile(exportId, { mimeType, size, chunkSize }) {
+    if (!this.initialized) {
+      throw new Error('IndexedDB not initialized');
+    }
+
+    await this.deleteChunks(exportId);
+    await this.putRecord('pdfs', {
+      exportId,
+      chunked: true,
+      complete: false,
+      mimeType: mimeType || 'application/pdf',
+      size,
+      chunkSize,
+      chunkCount: 0,
+      chunkHashes: null,
+      createdAt: Date.now(),
+      lastAccessed: Date.now(),
+      accessCount: 0
+    });
+    return true;
+  }
+
+  /**
+   * Store one chunk of a file started with beginChunkedFile
+   * @param {string} exportId - Export ID
+   * @param {number} index - Chunk index (0-based)
+   * @param {Blob} data - Chunk data
+   * @param {string} sha256 - The sender's hex SHA-256 of the chunk
+   * @returns {Promise<boolean>} Success status
+   */
+  async storeChunk(exportId, index, data, sha256) {
+    if (!this.initialized) {
+      throw new Error('IndexedDB not initialized');
+    }
+
+    await this.putRecord('chunks', { exportId, index, data, sha256 });
+    return true;
+  }
+
+  /**
+   * Complete a chunked file after verifying it
+   *
+   * Each stored chunk is read back and hashed on its own, so the file is
+   * never held in memory as a whole; on a mismatch the file is deleted and
+   * an error is thrown.
+   *
+   * @param {string} exportId - Export ID
+   * @param {Object} info - `{ chunkCount }`
+   * @returns {Promise<Object>} The completed manifest
+   * @throws {Error} When chunks are missing or a hash does not match
+   */
+  async finishChunkedFile(exportId, { chunkCount }) {
+    if (!this.initialized) {
+      throw new Error('IndexedDB not initialized');
+    }
+
+    const manifest = await this.getRecord('pdfs', exportId);
+    if (!manifest || !manifest.chunked) {
+      throw new Error(`No chunked file started for ${exportId}`);
+    }
+
+    let chunkHashes;
+    try {
+      chunkHashes = await this.verifyChunks(exportId, chunkCount, manifest.size);
+    } catch (error) {
+      await this.deleteFile(exportId);
+      throw new Error(`Integrity check failed for ${exportId}: ${error.message}`);
+    }
+
+    Object.assign(manifest, { chunkCount, chunkHashes, complete: true });
+    await this.putRecord('pdfs', manifest);
+    return manifest;
+  }
+
+  /**
+   * Hash the stored chunks of a file one at a time
+   *
+   * @param {string} exportId - Export ID
+   * @param {number} chunkCount - Expected number of chunks
+   * @param {number} size - Expected file size in bytes
+   * @param {Array<string>} [expectedHashes] - Hashes to check against, by
+   *   default the sender's hashes stored with the chunks
+   * @returns {Promise<Array<string>>} Hex SHA-256 per chunk
+   * @throws {Error} When a chunk is missing, the size differs or a hash does not match
+   */
+  async verifyChunks(exportId, chunkCount, size, expectedHashes) {
+    const hashes = [];
+    let total = 0;
+    for (let index = 0; index < chunkCount; index++) {
+      const chunk = await this.getRecord('chunks', [exportId, index]);
+      if (!chunk) {
+        throw new Error(`chunk ${index} of ${chunkCount} is missing`);
+      }
+      const expected = expectedHashes ? expectedHashes[index] : chunk.sha256;
+      const actual = await this.computeSha256(chunk.data);
+      if (actual !== expected) {
+        throw new Error(`chunk ${index}: expected ${expected}, got ${actual}`);
+      }
+      hashes.push(actual);
+      total += chunk.data.size;
+    }
+    if (total !== size) {
+      throw new Error(`expected ${size} bytes, found ${total}`);
+    }
+    return hashes;
+  }
+
+  /**
+   * Delete a stored file and its chunks
+   * @param {string} exportId - Export ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteFile(exportId) {
+    if (!this.initialized) {
+      throw new Error('IndexedDB not initialized');
+    }
+
+    await this.deleteChunks(exportId);
+    const transaction = this.db.transaction(['pdfs'], 'readwrite');
+    await this.requestToPromise(transaction.objectStore('pdfs').delete(exportId));
+    return true;
+  }
+
+  /**
+   * Delete chunks whose file manifest is gone
+   *
+   * Cleanup removes manifests from the `pdfs` store; this sweeps up the
+   * chunks they leave behind.
+   *
+   * @returns {Promise<number>} Number of files whose chunks were removed
+   */
+  async deleteOrphanedChunks() {
+    if (!this.initialized) {
+      throw new Error('IndexedDB not initialized');
+    }
+
+    const transaction = this.db.transaction(['chunks'], 'readonly');
+    const keys = await this.requestToPromise(transaction.objectStore('chunks').getAllKeys());
+    const exportIds = [...new Set(keys.map(([exportId]) => exportId))];
+
+    let removed = 0;
+    for (const exportId of exportIds) {
+      if (!(await this.getRecord('pdfs', exportId))) {
+        await this.deleteChunks(exportId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Remove every chunk of a file
+  async deleteChunks(exportId) {
+    const transaction = this.db.transaction(['chunks'], 'readwrite');
+    const range = IDBKeyRange.bound([exportId, 0], [exportId, Infinity]);
+    await this.requestToPromise(transaction.objectStore('chunks').delete(range));
+  }
+
+  // Join the chunks of a file into one Blob
+  async assembleChunks(exportId, chunkCount, mimeType) {
+    const transaction = this.db.transaction(['chunks'], 'readonly');
+    const range = IDBKeyRange.bound([exportId, 0], [exportId, Infinity]);
+    const chunks = await this.requestToPromise(transaction.objectStore('chunks').getAll(range));
+    if (chunks.length !== chunkCount || chunks.some((chunk, index) => chunk.index !== index)) {
+      throw new Error(`Expected ${chunkCount} chunks for ${exportId}, found ${chunks.length}`);
+    }
+    return new Blob(chunks.map((chunk) => chunk.data), { type: mimeType });
+  }
+
+  /**
+   * SHA-256 of a Blob, used for single chunks
+   * @param {Blob} blob - Data
+   * @returns {Promise<string>} Lowercase hex digest
+   */
+  async computeSha256(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  async getRecord(storeName, key) {
+    const transaction = this.db.transaction([storeName], 'readonly');
+    return this.requestToPromise(transaction.objectStore(storeName).get(key));
+  }
+
+  async putRecord(storeName, record) {
+    const transaction = this.db.transaction([storeName], 'readwrite');
+    return this.requestToPromise(transaction.objectStore(storeName).put(record));
+  }
+
+  requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Retrieve an export file record
+   *
+   * Chunked files are assembled into `pdfBlob`; files whose upload never
+   * completed are treated as missing.
+   *
+   * @param {string} exportId - Export ID
+   * @param {Object} [options]
+   * @param {boolean} [options.verify=false] - Check each chunk against its SHA-256 first
+   * @returns {Promise<Object|null>} Record with `pdfBlob` and `mimeType`, or null
+   * @throws {Error} When verification is requested and fails
+   */
+  async getFile(exportId, { verify = false } = {}) {
+    const record = await this.getPdf(exportId);
+    if (!record) return null;
+    if (!record.mimeType) {
+      // Records written before other formats existed are always PDFs
+      record.mimeType = 'application/pdf';
+    }
+
+    if (record.chunked) {
+      if (!record.complete) return null;
+      // Manifests from before per-chunk hashes have nothing to check against
+      if (verify && record.chunkHashes) {
+        try {
+          await this.verifyChunks(exportId, record.chunkCount, record.size, record.chunkHashes);
+        } catch (error) {
+          throw new Error(`Stored file ${exportId} is corrupted (${error.message})`);
+        }
+      }
+      record.pdfBlob = await this.assembleChunks(exportId, record.chunkCount, record.mimeType);
+    }
+    return record;
+  }
+
   /**
    * Retrieve PDF blob
    * @param {string} exportId - Export ID
@@ -196,6 +476,21 @@ export class IndexedDBManager {
     }
   }
 
+  /**
+   * Delete the console logs of an export
+   * @param {string} exportId - Export ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteLogs(exportId) {
+    if (!this.initialized) {
+      throw new Error('IndexedDB not initialized');
+    }
+
+    const transaction = this.db.transaction(['logs'], 'readwrite');
+    await this.requestToPromise(transaction.objectStore('logs').delete(exportId));
+    return true;
+  }
+
   /**
    * Retrieve console logs
    * @param {string} exportId - Export ID
@@ -223,6 +518,77 @@ export class IndexedDBManager {
     }
   }
 
+  /**
+   * Store the scraped data of a thread for incremental re-exports
+   *
+   * Cached threads live in the `exportDetails` store under `thread-<threadId>`.
+   * `createdAt` is refreshed on every write so age-based cleanup only drops
+   * threads that have not been exported for a while.
+   *
+   * @param {string} threadId - WoltLab thread ID
+   * @param {Object} threadData - Merged thread data from ThreadScraper
+   * @param {number} lastPage - Last page that was scraped
+   * @returns {Promise<boolean>} Success status
+   */
+  async storeThreadCache(threadId, threadData, lastPage) {
+    if (!this.initialized) {
+      throw new Error('IndexedDB not initialized');
+    }
+
+    try {
+      const transaction = this.db.transaction(['exportDetails'], 'readwrite');
+      const store = transaction.objectStore('exportDetails');
+
+      const record = {
+        exportId: `thread-${threadId}`,
+        threadId,
+        threadData,
+        lastPage,
+        postCount: (threadData.posts || []).length,
+        createdAt: Date.now()
+      };
+
+      await new Promise((resolve, reject) => {
+        const request = store.put(record);
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+
+      console.log('IndexedDB: Thread cache stored', { threadId, lastPage, postCount: record.postCount });
+      return true;
+    } catch (error) {
+      console.error('IndexedDB: Failed to store thread cache', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve the cached scrape of a thread
+   * @param {string} threadId - WoltLab thread ID
+   * @returns {Promise<Object|null>} `{ threadId, threadData, lastPage, createdAt }` or null
+   */
+  async getThreadCache(threadId) {
+    if (!this.initialized) {
+      throw new Error('IndexedDB not initialized');
+    }
+
+    try {
+      const transaction = this.db.transaction(['exportDetails'], 'readonly');
+      const store = transaction.objectStore('exportDetails');
+
+      const result = await new Promise((resolve, reject) => {
+        const request = store.get(`thread-${threadId}`);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      return result || null;
+    } catch (error) {
+      console.error('IndexedDB: Failed to get thread cache', error);
+      return null;
+    }
+  }
+
   /**
    * Update access tracking for a PDF
    * @param {string} exportId - Export ID
@@ -314,6 +680,7 @@ export class IndexedDBManager {
       
       const totalSize = records.reduce((sum, record) => {
         if (record.pdfBlob) return sum + record.pdfBlob.size;
+        if (record.chunked) return sum + (record.size || 0);
         if (record.logs) return sum + JSON.stringify(record.logs).length;
         if (record.detailedMetadata) return sum + JSON.stringify(record.detailedMetadata).length;
         return sum;
@@ -340,7 +707,7 @@ export class IndexedDBManager {
     }
 
     try {
-      const objectStores = ['pdfs', 'logs', 'exportDetails'];
+      const objectStores = ['pdfs', 'chunks', 'logs', 'exportDetails', 'searchIndex'];
       
       for (const storeName of objectStores) {
         const transaction = this.db.transaction([storeName], 'readwrite');
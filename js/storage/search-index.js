@@ -0,0 +1,385 @@
+/**
+ * @fileoverview Search Index - Full-text search across exported threads
+ *
+ * The plain text of every exported post is kept in the `exportDetails` store
+ * (one record per export, keyed by export ID) and indexed in the
+ * `searchIndex` store, which maps each term to the posts containing it as
+ * `[exportId, postIndex]` references. Re-exports of a thread are indexed
+ * in full; search() reports each post from its newest export only, found
+ * through the `postIds` index of `exportDetails`.
+ *
+ * Text records carry `indexedAt` rather than `createdAt`, so the age-based
+ * cleanup of `exportDetails` (meant for the thread cache) leaves the archive
+ * alone; they are removed with their export or by clearing all storage.
+ *
+ * @author Lotus Forum Community
+ * @version 1.0.0
+ * @since 1.1.0
+ */
+
+// Words, numbers and compounds such as "k-series" or "1.8"
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[-.][\p{L}\p{N}]+)*/gu;
+
+// Characters of context shown around the first match
+const SNIPPET_CONTEXT = 90;
+
+export class SearchIndex {
+  /**
+   * @param {IndexedDBManager} indexedDBManager - Initialized database
+   */
+  constructor(indexedDBManager) {
+    this.indexedDB = indexedDBManager;
+  }
+
+  /**
+   * Splits text into index terms
+   *
+   * Terms are lowercased and stripped of accents. Compounds are indexed as a
+   * whole and by their parts, so "K-series" is found by "k-series" and by
+   * "series". Single letters are left out unless they are digits.
+   *
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Terms in text order, with repetitions
+   */
+  static tokenize(text) {
+    const terms = [];
+    for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+      SearchIndex.termsOf(match[0]).forEach((term) => terms.push(term));
+    }
+    return terms;
+  }
+
+  // Index terms of one token: the whole token and the parts of a compound
+  static termsOf(token) {
+    const whole = SearchIndex.normalize(token);
+    const parts = whole.split(/[-.]/);
+    return (parts.length > 1 ? [whole, ...parts] : [whole]).filter(
+      (term) => term.length > 1 || /\d/.test(term)
+    );
+  }
+
+  // Normalized tokens of a text, separated by single spaces
+  static words(text) {
+    return Array.from(String(text || '').matchAll(TOKEN_PATTERN), (match) => SearchIndex.normalize(match[0])).join(' ');
+  }
+
+  static normalize(token) {
+    return token.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+  }
+
+  /**
+   * Parses a search query
+   *
+   * All terms must occur in a post. Quoted parts must also occur as written,
+   * and a term ending in `*` matches every term starting with it.
+   *
+   * @param {string} query - e.g. `"head gasket" rover k-series`
+   * @returns {{terms: Array<string>, prefixes: Array<string>, phrases: Array<string>}}
+   */
+  static parseQuery(query) {
+    const phrases = [];
+    const rest = String(query || '').replace(/"([^"]*)"/g, (match, phrase) => {
+      if (SearchIndex.tokenize(phrase).length > 0) phrases.push(phrase.trim());
+      return ` ${phrase} `;
+    });
+
+    const terms = new Set();
+    const prefixes = new Set();
+    for (const match of rest.matchAll(/([\p{L}\p{N}]+(?:[-.][\p{L}\p{N}]+)*)(\*?)/gu)) {
+      const whole = SearchIndex.normalize(match[1]);
+      if (match[2]) {
+        prefixes.add(whole);
+      } else if (whole.length > 1 || /\d/.test(whole)) {
+        terms.add(whole);
+      }
+    }
+    return { terms: [...terms], prefixes: [...prefixes], phrases };
+  }
+
+  /**
+   * Stores and indexes the posts of an export
+   *
+   * Indexing an export again replaces its earlier entry.
+   *
+   * @param {string} exportId - Export ID
+   * @param {Object} details
+   * @param {string} details.threadTitle - Thread title
+   * @param {string} details.threadUrl - Thread URL
+   * @param {Array<Object>} details.posts - `{ postId, postNumber, postUrl, author, date, dateTime, text }`
+   *   per post, see ThreadScraper.getSearchPosts()
+   * @returns {Promise<number>} Number of distinct terms indexed
+   */
+  async indexExport(exportId, { threadTitle, threadUrl, posts }) {
+    if (await this.indexedDB.getRecord('exportDetails', exportId)) {
+      await this.removeExport(exportId);
+    }
+
+    // Each post is referenced once per term
+    const refsByTerm = new Map();
+    posts.forEach((post, postIndex) => {
+      new Set(SearchIndex.tokenize(`${post.author} ${post.text}`)).forEach((term) => {
+        if (!refsByTerm.has(term)) refsByTerm.set(term, []);
+        refsByTerm.get(term).push([exportId, postIndex]);
+      });
+    });
+
+    const record = {
+      exportId,
+      type: 'text',
+      threadTitle,
+      threadUrl,
+      posts,
+      postIds: [...new Set(posts.map((post) => post.postId).filter(Boolean))],
+      terms: [...refsByTerm.keys()],
+      indexedAt: Date.now()
+    };
+
+    const transaction = this.indexedDB.db.transaction(['exportDetails', 'searchIndex'], 'readwrite');
+    transaction.objectStore('exportDetails').put(record);
+    const indexStore = transaction.objectStore('searchIndex');
+    refsByTerm.forEach((refs, term) => {
+      const request = indexStore.get(term);
+      request.onsuccess = () => {
+        const entry = request.result || { term, refs: [] };
+        entry.refs = entry.refs.concat(refs);
+        indexStore.put(entry);
+      };
+    });
+    await this.transactionDone(transaction);
+
+    console.log('SearchIndex: Export indexed', { exportId, posts: posts.length, terms: refsByTerm.size });
+    return refsByTerm.size;
+  }
+
+  /**
+   * Removes the text of an export and its index entries
+   *
+   * @param {string} exportId - Export ID
+   * @returns {Promise<boolean>} False when the export was not indexed
+   */
+  async removeExport(exportId) {
+    const record = await this.indexedDB.getRecord('exportDetails', exportId);
+    if (!record || record.type !== 'text') return false;
+
+    const transaction = this.indexedDB.db.transaction(['exportDetails', 'searchIndex'], 'readwrite');
+    const indexStore = transaction.objectStore('searchIndex');
+    record.terms.forEach((term) => {
+      const request = indexStore.get(term);
+      request.onsuccess = () => {
+        if (!request.result) return;
+        const refs = request.result.refs.filter(([refExportId]) => refExportId !== exportId);
+        if (refs.length > 0) {
+          indexStore.put({ term, refs });
+        } else {
+          indexStore.delete(term);
+        }
+      };
+    });
+    transaction.objectStore('exportDetails').delete(exportId);
+    await this.transactionDone(transaction);
+    return true;
+  }
+
+  /**
+   * Finds the posts matching a query
+   *
+   * A post exported several times (re-exports of a watched thread) is
+   * reported once, from its most recent export. When that export no longer
+   * matches, e.g. because the post was edited, the post is not reported.
+   *
+   * @param {string} query - Query, see parseQuery()
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Maximum number of results
+   * @param {Array<string>|null} [options.exportIds=null] - Exports to search, all by default
+   * @returns {Promise<{results: Array<Object>, total: number}>} Results, best first, as
+   *   `{ exportId, threadTitle, threadUrl, indexedAt, post, snippet, score }` where
+   *   `post` is the stored post without its text and `snippet` is
+   *   `{ text, highlights }` with `highlights` as `[start, end]` offsets into `text`
+   */
+  async search(query, { limit = 50, exportIds = null } = {}) {
+    const { terms, prefixes, phrases } = SearchIndex.parseQuery(query);
+    if (terms.length === 0 && prefixes.length === 0) {
+      return { results: [], total: 0 };
+    }
+
+    const refLists = [
+      ...(await Promise.all(terms.map((term) => this.getRefs(term)))),
+      ...(await Promise.all(prefixes.map((prefix) => this.getPrefixRefs(prefix)))),
+    ];
+    // Intersect starting from the rarest term
+    refLists.sort((a, b) => a.length - b.length);
+    let matches = new Set(refLists[0].map(([exportId, postIndex]) => `${exportId}\u0000${postIndex}`));
+    for (const refs of refLists.slice(1)) {
+      if (matches.size === 0) break;
+      const keys = new Set(refs.map(([exportId, postIndex]) => `${exportId}\u0000${postIndex}`));
+      matches = new Set([...matches].filter((key) => keys.has(key)));
+    }
+
+    const listed = exportIds ? new Set(exportIds) : null;
+    const isListed = (exportId) => !listed || listed.has(exportId);
+
+    const postsByExport = new Map();
+    matches.forEach((key) => {
+      const [exportId, postIndex] = key.split('\u0000');
+      if (!isListed(exportId)) return;
+      if (!postsByExport.has(exportId)) postsByExport.set(exportId, []);
+      postsByExport.get(exportId).push(Number(postIndex));
+    });
+
+    const isMatch = (term) => terms.includes(term) || prefixes.some((prefix) => term.startsWith(prefix));
+    // Posts with the query words in a row rank first
+    const queryWords = SearchIndex.words(query.replace(/[*"]/g, ' '));
+    const records = new Map();
+    const getText = async (exportId) => {
+      if (!records.has(exportId)) {
+        const record = await this.indexedDB.getRecord('exportDetails', exportId);
+        records.set(exportId, record && record.type === 'text' ? record : null);
+      }
+      return records.get(exportId);
+    };
+    const latestExports = new Map();
+
+    const byPost = new Map();
+    for (const [exportId, postIndexes] of postsByExport) {
+      const record = await getText(exportId);
+      if (!record) continue;
+
+      for (const postIndex of postIndexes) {
+        const { text, ...post } = record.posts[postIndex];
+        if (post.postId) {
+          if (!latestExports.has(post.postId)) {
+            latestExports.set(post.postId, await this.getLatestExport(post.postId, isListed, getText));
+          }
+          // Records indexed before version 4 are missing from the `postIds` index
+          const latest = latestExports.get(post.postId);
+          if (latest && latest !== exportId) continue;
+        }
+
+        const lowerText = text.toLowerCase();
+        if (!phrases.every((phrase) => lowerText.includes(phrase.toLowerCase()))) continue;
+
+        const highlights = SearchIndex.findMatches(text, isMatch);
+        const inRow = queryWords.includes(' ') && ` ${SearchIndex.words(text)} `.includes(` ${queryWords} `);
+        const score = highlights.length + (inRow ? 10 : 0);
+        const key = post.postId || `${exportId}\u0000${postIndex}`;
+        const previous = byPost.get(key);
+        if (previous && previous.indexedAt >= record.indexedAt) continue;
+
+        byPost.set(key, {
+          exportId,
+          threadTitle: record.threadTitle,
+          threadUrl: record.threadUrl,
+          indexedAt: record.indexedAt,
+          post,
+          snippet: SearchIndex.buildSnippet(text, highlights),
+          score,
+        });
+      }
+    }
+
+    const results = [...byPost.values()].sort(
+      (a, b) => b.score - a.score || (b.post.dateTime || '').localeCompare(a.post.dateTime || '')
+    );
+    return { results: results.slice(0, limit), total: results.length };
+  }
+
+  /**
+   * Finds the most recent export holding a post
+   *
+   * @param {string} postId - WoltLab post ID
+   * @param {Function} isListed - Tells whether an export may be used
+   * @param {Function} getText - Loads the text record of an export
+   * @returns {Promise<string|null>} Export ID, null if no indexed export holds the post
+   */
+  async getLatestExport(postId, isListed, getText) {
+    const transaction = this.indexedDB.db.transaction(['exportDetails'], 'readonly');
+    const exportIds = await this.indexedDB.requestToPromise(
+      transaction.objectStore('exportDetails').index('postIds').getAllKeys(postId)
+    );
+
+    let latest = null;
+    for (const exportId of exportIds.filter(isListed)) {
+      const record = await getText(exportId);
+      if (record && (!latest || record.indexedAt > latest.indexedAt)) latest = record;
+    }
+    return latest ? latest.exportId : null;
+  }
+
+  // References of one term
+  async getRefs(term) {
+    const entry = await this.indexedDB.getRecord('searchIndex', term);
+    return entry ? entry.refs : [];
+  }
+
+  // References of all terms starting with a prefix
+  async getPrefixRefs(prefix) {
+    const transaction = this.indexedDB.db.transaction(['searchIndex'], 'readonly');
+    const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+    const entries = await this.indexedDB.requestToPromise(transaction.objectStore('searchIndex').getAll(range));
+    return entries.flatMap((entry) => entry.refs);
+  }
+
+  /**
+   * Locates the tokens of a text that match the query
+   *
+   * @param {string} text - Post text
+   * @param {Function} isMatch - Tells whether an index term matches
+   * @returns {Array<Array<number>>} `[start, end]` offsets of matching tokens
+   */
+  static findMatches(text, isMatch) {
+    const highlights = [];
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+      const start = match.index;
+      if (SearchIndex.termsOf(match[0]).some(isMatch)) {
+        highlights.push([start, start + match[0].length]);
+      }
+    }
+    return highlights;
+  }
+
+  /**
+   * Cuts the part of a text around its first match
+   *
+   * @param {string} text - Post text
+   * @param {Array<Array<number>>} highlights - From findMatches()
+   * @returns {{text: string, highlights: Array<Array<number>>}} Snippet with
+   *   the highlights inside it, shifted to its offsets
+   */
+  static buildSnippet(text, highlights) {
+    const first = highlights.length > 0 ? highlights[0][0] : 0;
+    let start = Math.max(0, first - SNIPPET_CONTEXT);
+    let end = Math.min(text.length, first + SNIPPET_CONTEXT * 2);
+    // Do not cut words in half
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    const lastSpace = text.lastIndexOf(' ', end);
+    if (end < text.length && lastSpace > first) end = lastSpace;
+
+    const prefix = start > 0 ? '… ' : '';
+    const suffix = end < text.length ? ' …' : '';
+    return {
+      text: `${prefix}${text.slice(start, end).replace(/\s+/g, ' ')}${suffix}`,
+      highlights: SearchIndex.shiftHighlights(text.slice(start, end), highlights, start, prefix.length),
+    };
+  }
+
+  // Offsets of the highlights within the snippet, whose whitespace is collapsed
+  static shiftHighlights(slice, highlights, start, offset) {
+    const positions = [];
+    let collapsed = 0;
+    for (let index = 0; index <= slice.length; index++) {
+      positions.push(index - collapsed + offset);
+      if (index > 0 && /\s/.test(slice[index]) && /\s/.test(slice[index - 1])) collapsed++;
+    }
+    return highlights
+      .filter(([from, to]) => from >= start && to <= start + slice.length)
+      .map(([from, to]) => [positions[from - start], positions[to - start]]);
+  }
+
+  transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(true);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+}
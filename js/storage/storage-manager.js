@@ -13,12 +13,14 @@
 import { ChromeStorageManager } from './chrome-storage.js';
 import { IndexedDBManager } from './indexeddb-manager.js';
 import { CleanupManager } from './cleanup-manager.js';
+import { SearchIndex } from './search-index.js';
 
 export class StorageManager {
   constructor() {
     this.chromeStorage = null;
     this.indexedDB = null;
     this.cleanupManager = null;
+    this.searchIndex = null;
     this.initialized = false;
   }
 
@@ -32,6 +34,7 @@ export class StorageManager {
       this.chromeStorage = new ChromeStorageManager();
       this.indexedDB = new IndexedDBManager();
       this.cleanupManager = new CleanupManager(this.chromeStorage, this.indexedDB);
+      this.searchIndex = new SearchIndex(this.indexedDB);
 
       // Initialize all modules
       await this.chromeStorage.initialize();
@@ -69,6 +72,8 @@ export class StorageManager {
    * @param {number} exportData.postCount - Number of posts
    * @param {Blob} exportData.pdfBlob - PDF blob data
    * @param {Array} exportData.logs - Console logs
+   * @param {Array} [exportData.searchPosts] - Post text for the full-text search,
+   *   see ThreadScraper.getSearchPosts()
    * @returns {Promise<Object>} Storage result
    */
   async storeExport(exportData) {
@@ -80,10 +85,10 @@ export class StorageManager {
       // Store metadata in Chrome Storage
       const metadataResult = await this.chromeStorage.storeExportMetadata(exportData);
 
-      // Store PDF blob in IndexedDB only if provided
+      // Store the export file in IndexedDB only if provided
       let pdfResult = null;
       if (exportData && exportData.pdfBlob) {
-        pdfResult = await this.indexedDB.storePdf(exportData.id, exportData.pdfBlob);
+        pdfResult = await this.indexedDB.storeFile(exportData.id, exportData.pdfBlob, exportData.mimeType);
       }
 
       // Store logs in IndexedDB only if provided
@@ -93,6 +98,20 @@ export class StorageManager {
         logsResult = await this.indexedDB.storeLogs(exportData.id, logs);
       }
 
+      // Index the post text; the export is still usable when this fails
+      let searchResult = null;
+      if (exportData && Array.isArray(exportData.searchPosts)) {
+        try {
+          searchResult = await this.searchIndex.indexExport(exportData.id, {
+            threadTitle: exportData.threadTitle,
+            threadUrl: exportData.threadUrl,
+            posts: exportData.searchPosts
+          });
+        } catch (error) {
+          console.error('Storage Manager: Failed to index export text', error);
+        }
+      }
+
       // Update storage statistics if we know the PDF size
       if (typeof exportData.pdfSize === 'number') {
         await this.chromeStorage.updateStorageStats(exportData.pdfSize, 1);
@@ -105,7 +124,8 @@ export class StorageManager {
         success: true,
         metadata: metadataResult,
         pdf: pdfResult,
-        logs: logsResult
+        logs: logsResult,
+        search: searchResult
       };
     } catch (error) {
       console.error('Storage Manager: Failed to store export', error);
@@ -153,6 +173,91 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Retrieve a stored export file of any format for download
+   * @param {string} exportId - Export ID
+   * @returns {Promise<Object>} `{ success, blob, mimeType }` or error
+   */
+  async getFile(exportId) {
+    if (!this.initialized) {
+      throw new Error('Storage Manager not initialized');
+    }
+
+    try {
+      const record = await this.indexedDB.getFile(exportId);
+
+      if (!record) {
+        return {
+          success: false,
+          error: 'File not found in storage'
+        };
+      }
+
+      return {
+        success: true,
+        blob: record.pdfBlob,
+        mimeType: record.mimeType
+      };
+    } catch (error) {
+      console.error('Storage Manager: Failed to get file', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Cache the scraped data of a thread for incremental re-exports
+   * @param {string} threadId - WoltLab thread ID
+   * @param {Object} threadData - Thread data from ThreadScraper
+   * @param {number} lastPage - Last page that was scraped
+   * @returns {Promise<Object>} Storage result
+   */
+  async storeThreadCache(threadId, threadData, lastPage) {
+    if (!this.initialized) {
+      throw new Error('Storage Manager not initialized');
+    }
+
+    try {
+      await this.indexedDB.storeThreadCache(threadId, threadData, lastPage);
+      return { success: true };
+    } catch (error) {
+      console.error('Storage Manager: Failed to store thread cache', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get the cached scrape of a thread
+   * @param {string} threadId - WoltLab thread ID
+   * @returns {Promise<Object>} `{ success, cache }` where cache may be null
+   */
+  async getThreadCache(threadId) {
+    if (!this.initialized) {
+      throw new Error('Storage Manager not initialized');
+    }
+
+    try {
+      const record = await this.indexedDB.getThreadCache(threadId);
+      return {
+        success: true,
+        cache: record
+          ? { threadData: record.threadData, lastPage: record.lastPage, cachedAt: record.createdAt }
+          : null
+      };
+    } catch (error) {
+      console.error('Storage Manager: Failed to get thread cache', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Get export history (metadata only)
    * @returns {Promise<Array>} Export history
@@ -171,7 +276,139 @@ export class StorageManager {
   }
 
   /**
-   * Clear all storage data
+   * Rename or tag an export
+   *
+   * Renaming also renames the file offered for download, keeping its extension.
+   *
+   * @param {string} exportId - Export ID
+   * @param {Object} changes
+   * @param {string|null} [changes.customTitle] - Title to show instead of the thread title;
+   *   empty or null restores the thread title
+   * @param {Array<string>} [changes.addTags] - Tags to add
+   * @param {Array<string>} [changes.removeTags] - Tags to remove
+   * @returns {Promise<Object>} `{ success, exportItem }` or `{ success: false, error }`
+   */
+  async updateExport(exportId, changes) {
+    if (!this.initialized) {
+      throw new Error('Storage Manager not initialized');
+    }
+
+    try {
+      const exportItem = await this.chromeStorage.updateExportMetadata(exportId, (entry) => {
+        if ('customTitle' in changes) {
+          const customTitle = (changes.customTitle || '').trim() || null;
+          const extension = (entry.fileName || '').split('.').pop() || 'pdf';
+          entry.customTitle = customTitle;
+          entry.fileName = `${(customTitle || entry.threadTitle).replace(/[^a-z0-9]/gi, '_')}.${extension}`;
+        }
+        if (changes.addTags || changes.removeTags) {
+          // Tags are compared case-insensitively; the first spelling wins
+          const removed = new Set((changes.removeTags || []).map((tag) => String(tag).trim().toLowerCase()));
+          const tags = new Map();
+          [...(entry.tags || []), ...(changes.addTags || [])].forEach((tag) => {
+            const name = String(tag).trim();
+            const key = name.toLowerCase();
+            if (name && !removed.has(key) && !tags.has(key)) tags.set(key, name);
+          });
+          entry.tags = [...tags.values()];
+        }
+      });
+      if (!exportItem) {
+        throw new Error('Export not found');
+      }
+
+      return { success: true, exportItem };
+    } catch (error) {
+      console.error('Storage Manager: Failed to update export', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete exports: their history entries, stored files, logs and search text
+   *
+   * @param {Array<string>} exportIds - Export IDs
+   * @returns {Promise<Object>} `{ success, deleted }` or `{ success: false, error }`
+   */
+  async deleteExports(exportIds) {
+    if (!this.initialized) {
+      throw new Error('Storage Manager not initialized');
+    }
+
+    try {
+      for (const exportId of exportIds) {
+        await this.indexedDB.deleteFile(exportId);
+        await this.indexedDB.deleteLogs(exportId);
+        await this.searchIndex.removeExport(exportId);
+      }
+
+      const removed = await this.chromeStorage.removeExportMetadata(exportIds);
+      const freed = removed.reduce((sum, item) => sum + (item.pdfSize || 0), 0);
+      if (removed.length > 0) {
+        await this.chromeStorage.updateStorageStats(-freed, -removed.length);
+      }
+
+      return { success: true, deleted: removed.length };
+    } catch (error) {
+      console.error('Storage Manager: Failed to delete exports', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Search the post text of all exports
+   *
+   * Results whose export is still in the history get its `fileName` and
+   * `format`, so the stored file can be offered for download.
+   *
+   * @param {string} query - Search query, see SearchIndex.parseQuery()
+   * @param {Object} [options] - See SearchIndex.search()
+   * @returns {Promise<Object>} `{ success, results, total }` or `{ success: false, error }`
+   */
+  async searchExports(query, options = {}) {
+    if (!this.initialized) {
+      throw new Error('Storage Manager not initialized');
+    }
+
+    try {
+      const history = await this.chromeStorage.getExportHistory();
+      const exportsById = new Map((history || []).map((item) => [item.id, item]));
+      // Exports trimmed from the history keep their text until they are deleted
+      const { results, total } = await this.searchIndex.search(query, {
+        ...options,
+        exportIds: [...exportsById.keys()]
+      });
+
+      return {
+        success: true,
+        total,
+        results: results.map((result) => {
+          const exportItem = exportsById.get(result.exportId);
+          return {
+            ...result,
+            fileName: exportItem ? exportItem.fileName : null,
+            format: exportItem ? exportItem.format || 'pdf' : null,
+            exportDate: exportItem ? exportItem.exportDate : null
+          };
+        })
+      };
+    } catch (error) {
+      console.error('Storage Manager: Search failed', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Clear all stored exports and the export history; settings are kept
    * @returns {Promise<Object>} Clear result
    */
   async clearAllStorage() {
@@ -0,0 +1,267 @@
+// Lotus Forum Thread Exporter - Themes
+// Colour themes shared by the PDF, HTML and EPUB exports
+
+/**
+ * Colours every theme defines, as `#rrggbb`:
+ * - `primary` titles, quote headers and bars, HTML links
+ * - `accent` highlights (HTML quote borders and the targeted post)
+ * - `text`, `meta` body text and secondary text (dates, notes)
+ * - `link` links inside post text
+ * - `border` rules, table and post borders
+ * - `headerBackground`, `headerText` post headers
+ * - `pageBackground`, `postBackground`, `postBackgroundAlt` page and
+ *   alternating post backgrounds
+ * - `codeBackground`, `quoteBackground`, `quoteBackgroundNested` blocks
+ * - `warning`, `warningBackground` the incomplete export notice
+ */
+const THEME_COLOR_KEYS = [
+  "primary",
+  "accent",
+  "text",
+  "meta",
+  "link",
+  "border",
+  "headerBackground",
+  "headerText",
+  "pageBackground",
+  "postBackground",
+  "postBackgroundAlt",
+  "codeBackground",
+  "quoteBackground",
+  "quoteBackgroundNested",
+  "warning",
+  "warningBackground",
+];
+
+/** Built-in themes by ID */
+const EXPORT_THEMES = {
+  "british-racing-green": {
+    name: "British Racing Green",
+    colors: {
+      primary: "#003333",
+      accent: "#c0d0c0",
+      text: "#142814",
+      meta: "#647864",
+      link: "#005a5a",
+      border: "#c8dcc8",
+      headerBackground: "#003333",
+      headerText: "#faf8f5",
+      pageBackground: "#ffffff",
+      postBackground: "#ffffff",
+      postBackgroundAlt: "#f8fcf8",
+      codeBackground: "#eef2ee",
+      quoteBackground: "#ecf3ee",
+      quoteBackgroundNested: "#e0ebe4",
+      warning: "#b00020",
+      warningBackground: "#fdecee",
+    },
+  },
+  "lotus-yellow": {
+    name: "Lotus Yellow",
+    colors: {
+      primary: "#6b5200",
+      accent: "#ffcc00",
+      text: "#1a1a1a",
+      meta: "#6e6650",
+      link: "#7a5d00",
+      border: "#e6d9a8",
+      headerBackground: "#ffcc00",
+      headerText: "#1a1a1a",
+      pageBackground: "#ffffff",
+      postBackground: "#ffffff",
+      postBackgroundAlt: "#fffbe6",
+      codeBackground: "#f5f2e6",
+      quoteBackground: "#fff6cc",
+      quoteBackgroundNested: "#ffeeaa",
+      warning: "#b00020",
+      warningBackground: "#fdecee",
+    },
+  },
+  grayscale: {
+    name: "Grayscale (print)",
+    colors: {
+      primary: "#333333",
+      accent: "#bbbbbb",
+      text: "#111111",
+      meta: "#666666",
+      link: "#333333",
+      border: "#cccccc",
+      headerBackground: "#e6e6e6",
+      headerText: "#111111",
+      pageBackground: "#ffffff",
+      postBackground: "#ffffff",
+      postBackgroundAlt: "#ffffff",
+      codeBackground: "#f2f2f2",
+      quoteBackground: "#f4f4f4",
+      quoteBackgroundNested: "#e9e9e9",
+      warning: "#000000",
+      warningBackground: "#eeeeee",
+    },
+  },
+  "high-contrast": {
+    name: "High contrast",
+    colors: {
+      primary: "#000000",
+      accent: "#0000cc",
+      text: "#000000",
+      meta: "#333333",
+      link: "#0000cc",
+      border: "#000000",
+      headerBackground: "#000000",
+      headerText: "#ffffff",
+      pageBackground: "#ffffff",
+      postBackground: "#ffffff",
+      postBackgroundAlt: "#ffffff",
+      codeBackground: "#eeeeee",
+      quoteBackground: "#eeeeee",
+      quoteBackgroundNested: "#dddddd",
+      warning: "#cc0000",
+      warningBackground: "#ffffff",
+    },
+  },
+  dark: {
+    name: "Dark",
+    colors: {
+      primary: "#8fd0b0",
+      accent: "#3d6b57",
+      text: "#e4e8e4",
+      meta: "#9aa79e",
+      link: "#7fc8e8",
+      border: "#3a443e",
+      headerBackground: "#0f3b2e",
+      headerText: "#f0f4f0",
+      pageBackground: "#161a18",
+      postBackground: "#161a18",
+      postBackgroundAlt: "#1c221f",
+      codeBackground: "#242b27",
+      quoteBackground: "#222a26",
+      quoteBackgroundNested: "#2b3530",
+      warning: "#ff8a80",
+      warningBackground: "#3b1f1f",
+    },
+  },
+};
+
+/**
+ * ThemeRegistry resolves the theme picked in the popup (`exportTheme` in
+ * chrome.storage.local) among the built-in themes and the custom themes
+ * imported as JSON (`customThemes`).
+ *
+ * A custom theme names a built-in `base` theme and overrides some of its
+ * colours, see docs/custom-themes.md.
+ *
+ * @class ThemeRegistry
+ * @since 1.1.0
+ */
+class ThemeRegistry {
+  /**
+   * @param {Array<Object>} [customThemes=[]] - Custom themes from parseCustomTheme
+   */
+  constructor(customThemes = []) {
+    this.customThemes = Array.isArray(customThemes) ? customThemes : [];
+  }
+
+  /**
+   * Lists the selectable themes
+   *
+   * @returns {Array<{id: string, name: string, custom: boolean}>} Built-in themes first
+   */
+  list() {
+    return [
+      ...Object.entries(EXPORT_THEMES).map(([id, theme]) => ({ id, name: theme.name, custom: false })),
+      ...this.customThemes.map((theme) => ({ id: theme.id, name: theme.name, custom: true })),
+    ];
+  }
+
+  /**
+   * Resolves a theme with all of its colours
+   *
+   * @param {string} [id] - Theme ID; unknown IDs fall back to the default theme
+   * @returns {{id: string, name: string, colors: Object<string, string>}} Theme
+   */
+  get(id) {
+    const custom = this.customThemes.find((theme) => theme.id === id);
+    if (custom) {
+      const base = EXPORT_THEMES[custom.base] || EXPORT_THEMES[ThemeRegistry.DEFAULT_THEME];
+      return {
+        id: custom.id,
+        name: custom.name,
+        colors: { ...base.colors, ...custom.colors },
+      };
+    }
+
+    const themeId = EXPORT_THEMES[id] ? id : ThemeRegistry.DEFAULT_THEME;
+    const theme = EXPORT_THEMES[themeId];
+    return { id: themeId, name: theme.name, colors: { ...theme.colors } };
+  }
+
+  /**
+   * Validates a custom theme file
+   *
+   * @param {string} json - File content, e.g.
+   *   `{ "name": "Midnight", "base": "dark", "colors": { "primary": "#88aaff" } }`
+   * @returns {{id: string, name: string, base: string, colors: Object<string, string>}}
+   *   Theme to store in `customThemes`; the ID is derived from the name
+   * @throws {Error} With a message for the user when the file is not a valid theme
+   */
+  static parseCustomTheme(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error("The file is not valid JSON");
+    }
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("A theme must be a JSON object");
+    }
+
+    const name = typeof data.name === "string" ? data.name.trim() : "";
+    if (!name) {
+      throw new Error('The theme needs a "name"');
+    }
+    const base = data.base === undefined ? ThemeRegistry.DEFAULT_THEME : data.base;
+    if (!EXPORT_THEMES[base]) {
+      throw new Error(`Unknown base theme "${base}"`);
+    }
+    if (!data.colors || typeof data.colors !== "object" || Array.isArray(data.colors)) {
+      throw new Error('The theme needs a "colors" object');
+    }
+
+    const colors = {};
+    for (const [key, value] of Object.entries(data.colors)) {
+      if (!THEME_COLOR_KEYS.includes(key)) {
+        throw new Error(`Unknown colour "${key}"`);
+      }
+      const hex = ThemeRegistry.normalizeHex(value);
+      if (!hex) {
+        throw new Error(`Colour "${key}" must be written as #rgb or #rrggbb`);
+      }
+      colors[key] = hex;
+    }
+
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    return { id: `custom-${slug || "theme"}`, name, base, colors };
+  }
+
+  // "#abc" and "#AABBCC" -> "#aabbcc", anything else -> null
+  static normalizeHex(value) {
+    const match = typeof value === "string" && value.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!match) return null;
+    const digits = match[1].length === 3 ? match[1].replace(/./g, "$&$&") : match[1];
+    return `#${digits.toLowerCase()}`;
+  }
+
+  /**
+   * Converts a theme colour for jsPDF
+   *
+   * @param {string} hex - Colour as `#rrggbb`
+   * @returns {Array<number>} RGB array
+   */
+  static toRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  }
+}
+
+/** @type {string} Theme used when none or an unknown one is selected */
+ThemeRegistry.DEFAULT_THEME = "british-racing-green";
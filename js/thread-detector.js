@@ -17,10 +17,26 @@ class ThreadDetector {
    * @param {Object} config - Configuration object containing selectors and patterns
    * @param {Array<RegExp>} config.urlPatterns - URL patterns to match WoltLab threads
    * @param {Object} config.selectors - DOM selectors for thread elements
+   * @param {Object} [page] - A thread page other than the one the script runs on,
+   *   e.g. fetched by a batch export
+   * @param {Document} [page.document] - Parsed page
+   * @param {string} [page.url] - URL the page was fetched from
    * @since 1.0.0
    */
-  constructor(config) {
+  constructor(config, page = {}) {
     this.config = config;
+    this.document = page.document || null;
+    this.url = page.url || null;
+  }
+
+  // Page being inspected, the current page by default
+  getDocument() {
+    return this.document || document;
+  }
+
+  // URL of the page being inspected
+  getUrl() {
+    return this.url || window.location.href;
   }
 
   /**
@@ -33,25 +49,26 @@ class ThreadDetector {
    * @since 1.0.0
    */
   isWoltLabThread() {
-    const url = window.location.href;
+    const doc = this.getDocument();
+    const url = this.getUrl();
     const hasUrlPattern = this.config.urlPatterns.some((pattern) =>
       pattern.test(url)
     );
 
-    const hasThreadContainer = document.querySelector(
+    const hasThreadContainer = doc.querySelector(
       this.config.selectors.threadContainer
     );
-    const hasMessageList = document.querySelector(
+    const hasMessageList = doc.querySelector(
       this.config.selectors.messageList
     );
-    const hasThreadTitle = document.querySelector(
+    const hasThreadTitle = doc.querySelector(
       this.config.selectors.threadTitle
     );
 
     // Check for WoltLab-specific attributes
     const hasWoltLabAttributes =
-      document.body.hasAttribute("data-template") &&
-      document.body.hasAttribute("data-application");
+      doc.body.hasAttribute("data-template") &&
+      doc.body.hasAttribute("data-application");
 
     return (
       hasUrlPattern && (hasThreadContainer || hasMessageList) && hasThreadTitle
@@ -60,23 +77,30 @@ class ThreadDetector {
 
   // Get thread title
   getThreadTitle() {
-    const titleEl = document.querySelector(this.config.selectors.threadTitle);
+    const titleEl = this.getDocument().querySelector(this.config.selectors.threadTitle);
     return titleEl ? titleEl.textContent.trim() : "Untitled Thread";
   }
 
+  // Name of the board the thread is in, from the breadcrumbs
+  getBoardTitle() {
+    const names = this.getDocument().querySelectorAll(this.config.selectors.breadcrumbName);
+    return names.length > 0 ? names[names.length - 1].textContent.trim() : "";
+  }
+
   // Get thread metadata
   getThreadMetadata() {
-    const metaEl = document.querySelector(this.config.selectors.threadMeta);
+    const doc = this.getDocument();
+    const metaEl = doc.querySelector(this.config.selectors.threadMeta);
     return {
       statistics: metaEl ? metaEl.textContent.trim() : "",
-      threadId: document.body.getAttribute("data-thread-id") || "",
-      boardId: document.body.getAttribute("data-board-id") || "",
+      threadId: doc.body.getAttribute("data-thread-id") || "",
+      boardId: doc.body.getAttribute("data-board-id") || "",
     };
   }
 
   // Get total pages in thread
   getTotalPages() {
-    const paginationEl = document.querySelector(
+    const paginationEl = this.getDocument().querySelector(
       this.config.selectors.pagination
     );
     if (paginationEl) {
@@ -88,14 +112,14 @@ class ThreadDetector {
 
   // Get current page number
   getCurrentPage() {
-    const urlParams = new URLSearchParams(window.location.search);
+    const urlParams = new URL(this.getUrl()).searchParams;
     const pageNo = urlParams.get("pageNo");
     return pageNo ? parseInt(pageNo) : 1;
   }
 
   // Get URL for specific page
   getPageUrl(pageNumber) {
-    const url = new URL(window.location.href);
+    const url = new URL(this.getUrl());
     // WoltLab threads can include a postID param that anchors to a post and
     // interferes with pagination. Remove it to fetch the canonical page.
     url.searchParams.delete("postID");
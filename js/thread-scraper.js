@@ -5,55 +5,308 @@ class ThreadScraper {
   constructor(config, detector) {
     this.config = config;
     this.detector = detector;
+    this.contentParser = new ContentParser();
+    this.fetchQueue = new FetchQueue(config.export);
   }
 
-  // Scrape thread data from current page and all pages
-  async scrapeThreadData() {
+  /**
+   * Scrape thread data from all pages
+   *
+   * When a cached copy of the thread from an earlier export is given, only
+   * the pages from the last-seen page onward are fetched and merged into it.
+   *
+   * @param {Object|null} [cache] - Cached thread `{ threadData, lastPage }`
+   * @param {Object} [options] - Progress and cancellation, see scrapePages
+   * @returns {Promise<Object>} Thread data
+   * @throws {DOMException} AbortError when `options.signal` is aborted
+   */
+  async scrapeThreadData(cache = null, options = {}) {
     logger.log("Scraper: scrapeThreadData start");
     const threadData = {
       title: this.detector.getThreadTitle(),
-      url: window.location.href,
+      url: this.detector.getUrl(),
       posts: [],
       metadata: this.detector.getThreadMetadata(),
       scrapedAt: new Date().toISOString(),
+      contentVersion: ContentParser.VERSION,
     };
 
-    // Determine pagination and scrape pages strictly via HTTP in order
+    // Determine pagination and scrape pages via the rate-limited fetch queue
     const totalPages = this.detector.getTotalPages();
     const currentPage = this.detector.getCurrentPage();
+    // The last-seen page may have gained posts since, so it is fetched again
+    const firstPage = cache
+      ? Math.max(1, Math.min(cache.lastPage || 1, totalPages))
+      : 1;
     logger.log("Scraper: detected pagination", {
       totalPages,
       currentPage,
+      firstPage,
+      incremental: Boolean(cache),
       maxPages: this.config.export && this.config.export.maxPages,
     });
-    logger.log("Scraper: scraping all pages via HTTP", { totalPages });
-    for (let page = 1; page <= totalPages; page++) {
-      try {
-        logger.log("Scraper: fetching page", { page });
-        const pagePosts = await this.scrapePage(page);
+    logger.log("Scraper: scraping pages via HTTP", { from: firstPage, to: totalPages });
+
+    const pages = [];
+    for (let page = firstPage; page <= totalPages; page++) {
+      pages.push(page);
+    }
+
+    const { posts, pageErrors } = await this.scrapePages(pages, options);
+    threadData.posts = posts;
+
+    const failedPages = pageErrors.map((pageError) => pageError.page);
+    threadData.pagination = { totalPages, firstPage, failedPages, pageErrors };
+    if (cache) {
+      threadData.posts = this.mergeWithCache(
+        cache.threadData,
+        threadData.posts,
+        firstPage,
+        failedPages,
+        threadData
+      );
+    }
+
+    threadData.completeness = this.buildCompletenessReport(threadData);
+
+    logger.log("Scraper: scrapeThreadData complete", {
+      totalPosts: threadData.posts.length,
+      firstPostNumber: threadData.posts[0]?.postNumber,
+      lastPostNumber: threadData.posts[threadData.posts.length - 1]?.postNumber,
+      complete: threadData.completeness.complete,
+    });
+    return threadData;
+  }
+
+  /**
+   * Scrapes several pages concurrently
+   *
+   * @param {Array<number>} pages - Page numbers
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called after each page with
+   *   `{ phase: "fetch", pagesDone, pagesTotal, postsParsed }`
+   * @param {AbortSignal} [options.signal] - Aborts all pending requests
+   * @returns {Promise<Object>} `{ posts, pageErrors }` with posts in page order and
+   *   one `{ page, message, status }` entry per page that failed after all retries
+   * @throws {DOMException} AbortError when the signal is aborted
+   */
+  async scrapePages(pages, { onProgress, signal } = {}) {
+    let pagesDone = 0;
+    let postsParsed = 0;
+    const reportProgress = () => {
+      if (onProgress) {
+        onProgress({ phase: "fetch", pagesDone, pagesTotal: pages.length, postsParsed });
+      }
+    };
+    reportProgress();
+
+    // Pages load concurrently; results are reassembled in page order
+    const results = await Promise.allSettled(
+      pages.map((page) =>
+        this.scrapePage(page, signal).then(
+          (pagePosts) => {
+            pagesDone++;
+            postsParsed += pagePosts.length;
+            reportProgress();
+            return pagePosts;
+          },
+          (error) => {
+            pagesDone++;
+            reportProgress();
+            throw error;
+          }
+        )
+      )
+    );
+    // A cancelled export is not an incomplete one
+    if (signal) signal.throwIfAborted();
+
+    const posts = [];
+    const pageErrors = [];
+    results.forEach((result, index) => {
+      const page = pages[index];
+      if (result.status === "fulfilled") {
+        const pagePosts = result.value;
         logger.log("Scraper: page scraped", {
           page,
           posts: pagePosts.length,
           firstPostNumber: pagePosts[0]?.postNumber,
           lastPostNumber: pagePosts[pagePosts.length - 1]?.postNumber,
         });
-        threadData.posts.push(...pagePosts);
-      } catch (error) {
-        console.warn(`Failed to scrape page ${page}:`, error);
+        posts.push(...pagePosts);
+      } else {
+        console.warn(`Failed to scrape page ${page}:`, result.reason);
         logger.warn("Scraper: page scrape failed", {
           page,
-          message: error && error.message,
+          message: result.reason && result.reason.message,
+        });
+        pageErrors.push({
+          page,
+          message: (result.reason && result.reason.reason) || "Unknown error",
+          status: (result.reason && result.reason.status) || null,
         });
       }
-    }
-    logger.log("Scraper: scrapeThreadData complete", {
-      totalPosts: threadData.posts.length,
-      firstPostNumber: threadData.posts[0]?.postNumber,
-      lastPostNumber: threadData.posts[threadData.posts.length - 1]?.postNumber
     });
+
+    return { posts, pageErrors };
+  }
+
+  /**
+   * Fetches previously failed pages again and merges them into the thread
+   *
+   * @param {Object} threadData - Thread data from scrapeThreadData
+   * @param {Array<number>} pages - Pages to fetch again
+   * @param {Object} [options] - Progress and cancellation, see scrapePages
+   * @returns {Promise<Object>} The updated thread data with a fresh completeness report
+   */
+  async retryPages(threadData, pages, options = {}) {
+    logger.log("Scraper: retrying pages", { pages });
+    const { posts, pageErrors } = await this.scrapePages(pages, options);
+    const fetchedPages = pages.filter(
+      (page) => !pageErrors.some((pageError) => pageError.page === page)
+    );
+    const fetchedIds = new Set(posts.map((post) => post.id));
+
+    // Re-fetched pages replace whatever was known about them
+    const kept = threadData.posts.filter(
+      (post) => !fetchedPages.includes(post.page || 1) && !fetchedIds.has(post.id)
+    );
+    threadData.posts = [...kept, ...posts]
+      .map((post, index) => ({ post, index }))
+      .sort((a, b) => (a.post.page || 1) - (b.post.page || 1) || a.index - b.index)
+      .map(({ post }) => post);
+
+    const pagination = threadData.pagination;
+    pagination.pageErrors = [
+      ...pagination.pageErrors.filter((pageError) => !pages.includes(pageError.page)),
+      ...pageErrors,
+    ].sort((a, b) => a.page - b.page);
+    pagination.failedPages = pagination.pageErrors.map((pageError) => pageError.page);
+
+    threadData.completeness = this.buildCompletenessReport(threadData);
     return threadData;
   }
 
+  /**
+   * Checks the scraped thread for missing content
+   *
+   * Reports pages that still failed after all retries (unless their posts
+   * are available from the cache) and gaps in the `#N` post number sequence.
+   *
+   * @param {Object} threadData - Thread data from scrapeThreadData
+   * @returns {Object} `{ complete, failedPages, postGaps, retryPages }` where
+   *   `postGaps` holds `{ from, to }` ranges of missing post numbers and
+   *   `retryPages` lists the pages worth fetching again
+   */
+  buildCompletenessReport(threadData) {
+    const pagination = threadData.pagination || { pageErrors: [] };
+    const pagesWithPosts = new Set(threadData.posts.map((post) => post.page || 1));
+    const failedPages = pagination.pageErrors.filter(
+      (pageError) => !pagesWithPosts.has(pageError.page)
+    );
+
+    const postGaps = [];
+    const retryPages = new Set(failedPages.map((pageError) => pageError.page));
+    const numbered = threadData.posts
+      .map((post) => ({ post, number: parseInt((post.postNumber || "").replace(/[^0-9]/g, ""), 10) }))
+      .filter(({ number }) => Number.isFinite(number))
+      .sort((a, b) => a.number - b.number);
+
+    let previous = { number: 0, post: null };
+    numbered.forEach((current) => {
+      if (current.number > previous.number + 1) {
+        postGaps.push({ from: previous.number + 1, to: current.number - 1 });
+        // The missing posts sit on the pages around the gap
+        if (previous.post) retryPages.add(previous.post.page || 1);
+        retryPages.add(current.post.page || 1);
+      }
+      if (current.number > previous.number) previous = current;
+    });
+
+    const report = {
+      complete: failedPages.length === 0 && postGaps.length === 0,
+      failedPages,
+      postGaps,
+      retryPages: Array.from(retryPages).sort((a, b) => a - b),
+    };
+
+    if (!report.complete) {
+      logger.warn("Scraper: thread is incomplete", report);
+    }
+    return report;
+  }
+
+  /**
+   * Merges freshly fetched pages into a cached copy of the thread
+   *
+   * Cached posts before `firstPage` are kept as they are. Posts on re-fetched
+   * pages are matched by WoltLab postID: changed content marks a post as
+   * edited, and cached posts missing from the fetched pages were deleted.
+   * Pages that failed to load keep their cached posts.
+   *
+   * @param {Object} cachedThread - Thread data from the previous export
+   * @param {Array<Object>} fetchedPosts - Posts scraped from `firstPage` onward
+   * @param {number} firstPage - First page that was fetched
+   * @param {Array<number>} failedPages - Pages that could not be fetched
+   * @param {Object} threadData - Thread data receiving the `incremental` summary
+   * @returns {Array<Object>} Merged posts in thread order
+   */
+  mergeWithCache(cachedThread, fetchedPosts, firstPage, failedPages, threadData) {
+    const cachedPosts = (cachedThread && cachedThread.posts) || [];
+    const fetchedIds = new Set(fetchedPosts.map((post) => post.id));
+    const cachedById = new Map(cachedPosts.map((post) => [post.id, post]));
+
+    const keptPosts = cachedPosts.filter(
+      (post) =>
+        !fetchedIds.has(post.id) &&
+        ((post.page || 1) < firstPage || failedPages.includes(post.page || 1))
+    );
+
+    const summary = {
+      cachedPosts: cachedPosts.length,
+      fetchedFromPage: firstPage,
+      newPostIds: [],
+      editedPostIds: [],
+      removedPostIds: [],
+    };
+
+    fetchedPosts.forEach((post) => {
+      const cachedPost = cachedById.get(post.id);
+      if (!cachedPost) {
+        summary.newPostIds.push(post.id);
+      } else if (this.getPostFingerprint(cachedPost) !== this.getPostFingerprint(post)) {
+        summary.editedPostIds.push(post.id);
+      }
+    });
+
+    const mergedIds = new Set([...keptPosts, ...fetchedPosts].map((post) => post.id));
+    summary.removedPostIds = cachedPosts
+      .filter((post) => !mergedIds.has(post.id))
+      .map((post) => post.id);
+
+    // Kept posts come from earlier (or failed) pages; order by page, stable within a page
+    const merged = [...keptPosts, ...fetchedPosts]
+      .map((post, index) => ({ post, index }))
+      .sort((a, b) => (a.post.page || 1) - (b.post.page || 1) || a.index - b.index)
+      .map(({ post }) => post);
+
+    threadData.incremental = summary;
+    logger.log("Scraper: merged with cached thread", {
+      cachedPosts: summary.cachedPosts,
+      fetchedFromPage: firstPage,
+      newPosts: summary.newPostIds.length,
+      editedPosts: summary.editedPostIds.length,
+      removedPosts: summary.removedPostIds.length,
+      totalPosts: merged.length,
+    });
+    return merged;
+  }
+
+  // Everything a forum edit can change, used to detect edited posts
+  getPostFingerprint(post) {
+    return JSON.stringify([post.content, post.quotes, post.attachments]);
+  }
+
   // Scrape posts from current page - Updated for actual WoltLab structure
   scrapeCurrentPage() {
     const posts = [];
@@ -73,15 +326,19 @@ class ThreadScraper {
     }
 
     messageElements.forEach((messageEl, index) => {
+      const postId = this.getPostId(messageEl);
+      const content = this.getPostContent(messageEl);
       const post = {
-        id: `post-${Date.now()}-${index}`,
+        id: postId ? `post-${postId}` : `post-p1-${index}`,
+        postId,
         postNumber: this.getPostNumber(messageEl),
         postUrl: this.getPostUrl(messageEl),
         author: this.getPostAuthor(messageEl),
         date: this.getPostDate(messageEl),
-        content: this.getPostContent(messageEl),
+        dateTime: this.getPostDateTime(messageEl),
+        content,
         attachments: this.getPostAttachments(messageEl),
-        quotes: this.getPostQuotes(messageEl),
+        quotes: this.getPostQuotes(content),
         page: 1,
       };
 
@@ -95,32 +352,41 @@ class ThreadScraper {
   }
 
   // Scrape a specific page
-  async scrapePage(pageNumber) {
+  async scrapePage(pageNumber, signal = null) {
     const pageUrl = this.detector.getPageUrl(pageNumber);
     if (!pageUrl) throw new Error(`No URL found for page ${pageNumber}`);
 
     try {
       logger.log("Scraper: requesting page", { pageNumber, pageUrl });
-      const response = await fetch(pageUrl);
+      const response = await this.fetchQueue.fetch(pageUrl, { signal });
       const html = await response.text();
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, "text/html");
+      const doc = ThreadScraper.parseDocument(html, pageUrl);
 
       const posts = [];
       const messageElements = doc.querySelectorAll(
         this.config.selectors.message
       );
 
+      // A thread page always has posts; anything else is an error page
+      if (messageElements.length === 0) {
+        throw new Error(this.describeUnexpectedPage(doc, response));
+      }
+
       messageElements.forEach((messageEl, index) => {
+        const postId = this.getPostId(messageEl);
+        const content = this.getPostContent(messageEl);
         const post = {
-          id: `post-${Date.now()}-${pageNumber}-${index}`,
+          // Derived from the WoltLab postID so repeated exports share ids
+          id: postId ? `post-${postId}` : `post-p${pageNumber}-${index}`,
+          postId,
           postNumber: this.getPostNumber(messageEl),
           postUrl: this.getPostUrl(messageEl),
           author: this.getPostAuthor(messageEl),
           date: this.getPostDate(messageEl),
-          content: this.getPostContent(messageEl),
+          dateTime: this.getPostDateTime(messageEl),
+          content,
           attachments: this.getPostAttachments(messageEl),
-          quotes: this.getPostQuotes(messageEl),
+          quotes: this.getPostQuotes(content),
           page: pageNumber,
         };
         posts.push(post);
@@ -132,15 +398,111 @@ class ThreadScraper {
       });
       return posts;
     } catch (error) {
+      if (error && error.name === "AbortError") throw error;
       logger.error("Scraper: failed to scrape page", {
         pageNumber,
         message: error && error.message,
       });
-      throw new Error(`Failed to scrape page ${pageNumber}: ${error.message}`);
+      const pageError = new Error(`Failed to scrape page ${pageNumber}: ${error.message}`);
+      // Short reason for the completeness report
+      pageError.reason = error.status ? `HTTP ${error.status}` : error.message;
+      pageError.status = error.status || null;
+      throw pageError;
     }
   }
 
+  /**
+   * Describes what a completeness report found missing
+   *
+   * @param {Object} report - Report from buildCompletenessReport
+   * @returns {Array<string>} One human-readable line per failed page, plus one for missing posts
+   */
+  static describeCompleteness(report) {
+    const lines = report.failedPages.map(
+      (pageError) => `Page ${pageError.page} could not be loaded (${pageError.message})`
+    );
+    if (report.postGaps.length > 0) {
+      const gaps = report.postGaps
+        .map((gap) => (gap.from === gap.to ? `#${gap.from}` : `#${gap.from}–#${gap.to}`))
+        .join(", ");
+      lines.push(`Missing posts: ${gaps}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Plain text of the exported posts, for the full-text search
+   *
+   * @param {Object} threadData - Thread data as exported
+   * @returns {Array<Object>} `{ postId, postNumber, postUrl, author, date, dateTime, text }` per post
+   */
+  getSearchPosts(threadData) {
+    return threadData.posts.map((post) => ({
+      postId: post.postId || "",
+      postNumber: post.postNumber || "",
+      postUrl: post.postUrl || "",
+      author: post.author || "",
+      date: post.date || "",
+      dateTime: post.dateTime || "",
+      text: this.contentParser.toPlainText(post.content),
+    }));
+  }
+
+  /**
+   * Parses a fetched forum page
+   *
+   * Relative links resolve against the page's own URL, also when parsing in
+   * an extension page instead of the forum tab (batch exports).
+   *
+   * @param {string} html - Page source
+   * @param {string} pageUrl - URL the page was fetched from
+   * @returns {Document} Parsed page
+   */
+  static parseDocument(html, pageUrl) {
+    const doc = new DOMParser().parseFromString(html, "text/html");
+    if (doc.head && !doc.querySelector("base[href]")) {
+      const base = doc.createElement("base");
+      base.setAttribute("href", pageUrl);
+      doc.head.prepend(base);
+    }
+    return doc;
+  }
+
+  // Explain why a fetched page contained no posts
+  describeUnexpectedPage(doc, response) {
+    const template = doc.body ? doc.body.getAttribute("data-template") || "" : "";
+    const title = (doc.title || "").toLowerCase();
+
+    if (
+      template === "login" ||
+      doc.querySelector('#loginForm, form[action*="login"]') ||
+      /[?/&]login\b/i.test(response.url || "")
+    ) {
+      return "Redirected to the login page";
+    }
+    if (template === "offline" || /wartung|maintenance|offline/.test(title)) {
+      return "Forum is in maintenance mode";
+    }
+    if (template === "permissionDenied" || template === "illegalLink") {
+      return "Access denied";
+    }
+    return response.redirected
+      ? `Redirected to ${response.url}`
+      : "Page contains no posts";
+  }
+
   // Helper functions for data extraction - Updated for actual structure
+  getPostId(messageEl) {
+    // article.wbbPost carries the id as data-object-id and id="post12345"
+    const objectId = messageEl.getAttribute("data-object-id");
+    if (objectId && /^\d+$/.test(objectId)) return objectId;
+
+    const idMatch = (messageEl.id || "").match(/^post(\d+)$/);
+    if (idMatch) return idMatch[1];
+
+    return this.contentParser.getPostIdFromUrl(this.getPostUrl(messageEl));
+  }
+
   getPostNumber(messageEl) {
     // Look for the post number link with class wsShareButton (e.g., #1, #2, etc.)
     const postNumberEl = messageEl.querySelector(
@@ -190,17 +552,33 @@ class ThreadScraper {
     return "";
   }
 
+  // Machine-readable publication time (ISO 8601) if the page provides one
+  getPostDateTime(messageEl) {
+    const dateEl = messageEl.querySelector(this.config.selectors.messageDate);
+    if (!dateEl) return "";
+
+    const timeEl = dateEl.matches("time, woltlab-core-date-time")
+      ? dateEl
+      : dateEl.querySelector("time, woltlab-core-date-time");
+    const value = timeEl
+      ? timeEl.getAttribute("datetime") || timeEl.getAttribute("date")
+      : "";
+    const parsed = value ? new Date(value) : null;
+
+    return parsed && !isNaN(parsed.getTime()) ? parsed.toISOString() : "";
+  }
+
   getPostContent(messageEl) {
     const contentEl = messageEl.querySelector(
       this.config.selectors.messageText
     );
-    if (!contentEl) return '';
+    if (!contentEl) return [];
 
     // Clean up the content by removing unwanted elements
     const cleanedContent = this.cleanContentElement(contentEl);
     
-    // Parse and format content directly to final text
-    return this.parseAndFormatContent(cleanedContent);
+    // Parse into the structured content tree shared by all exporters
+    return this.contentParser.parse(cleanedContent);
   }
 
   // Clean content element by removing unwanted elements
@@ -208,8 +586,8 @@ class ThreadScraper {
     const cleaned = element.cloneNode(true);
     
     // Remove unwanted elements
+    // Quote boxes stay, the content parser keeps them in place
     const unwantedSelectors = [
-      ".quoteBox",
       ".attachmentThumbnail", 
       ".messageFooter",
     ];
@@ -222,90 +600,6 @@ class ThreadScraper {
     return cleaned;
   }
 
-  // Parse and format content directly to final text
-  parseAndFormatContent(element) {
-    let result = '';
-    
-    // Process each child node and format directly
-    Array.from(element.childNodes).forEach(node => {
-      if (node.nodeType === Node.TEXT_NODE) {
-        const text = node.textContent.trim();
-        if (text) {
-          result += text;
-        }
-      } else if (node.nodeType === Node.ELEMENT_NODE) {
-        result += this.formatElement(node);
-      }
-    });
-    
-    return this.cleanupWhitespace(result);
-  }
-
-  // Format individual HTML element to text
-  formatElement(element) {
-    const tagName = element.tagName.toLowerCase();
-    
-    switch (tagName) {
-      case 'p':
-        return '\n\n' + this.extractTextContent(element);
-      case 'br':
-        return '\n';
-      case 'strong':
-      case 'b':
-        return '**' + this.extractTextContent(element) + '**';
-      case 'em':
-      case 'i':
-        return '*' + this.extractTextContent(element) + '*';
-      case 'a':
-        const text = this.extractTextContent(element);
-        const url = element.href;
-        return text + ' (' + url + ')';
-      case 'blockquote':
-        return '\n> ' + this.extractTextContent(element) + '\n';
-      case 'ul':
-        return '\n' + Array.from(element.querySelectorAll('li'))
-          .map(li => '• ' + this.extractTextContent(li))
-          .join('\n') + '\n';
-      case 'ol':
-        return '\n' + Array.from(element.querySelectorAll('li'))
-          .map((li, index) => (index + 1) + '. ' + this.extractTextContent(li))
-          .join('\n') + '\n';
-      case 'div':
-        // For divs, process children and combine
-        const children = Array.from(element.childNodes)
-          .map(node => {
-            if (node.nodeType === Node.TEXT_NODE) {
-              return node.textContent.trim();
-            } else if (node.nodeType === Node.ELEMENT_NODE) {
-              return this.formatElement(node);
-            }
-            return '';
-          })
-          .filter(text => text);
-        
-        return children.join('');
-      default:
-        // For unknown elements, just extract text
-        return this.extractTextContent(element);
-    }
-  }
-
-  // Extract text content from element
-  extractTextContent(element) {
-    return element.textContent || element.innerText || '';
-  }
-
-  // Clean up whitespace in processed text
-  cleanupWhitespace(text) {
-    return text
-      .replace(/\n\s*\n\s*\n/g, "\n\n") // Replace 3+ line breaks with 2
-      .replace(/[ \t]+/g, " ") // Replace multiple spaces/tabs with single space
-      .replace(/\n /g, "\n") // Remove spaces at start of lines
-      .replace(/ \n/g, "\n") // Remove spaces at end of lines
-      .replace(/\n{3,}/g, "\n\n") // Replace 3+ consecutive newlines with 2
-      .trim();
-  }
-
   getPostAttachments(messageEl) {
     const attachments = [];
     const attachmentEls = messageEl.querySelectorAll(
@@ -317,10 +611,15 @@ class ThreadScraper {
         this.config.selectors.attachment
       );
       if (attachmentEl.href) {
+        const filename = filenameEl ? filenameEl.textContent.trim() : "Attachment";
+        // WoltLab attachment URLs carry no extension, so prefer the filename
+        const type = filenameEl
+          ? this.getAttachmentType(filename)
+          : this.getAttachmentType(attachmentEl.href);
         attachments.push({
-          filename: filenameEl ? filenameEl.textContent.trim() : "Attachment",
+          filename,
           url: attachmentEl.href,
-          type: this.getAttachmentType(attachmentEl.href),
+          type,
         });
       }
     });
@@ -328,34 +627,27 @@ class ThreadScraper {
     return attachments;
   }
 
-  getPostQuotes(messageEl) {
-    const quotes = [];
-    const quoteEls = messageEl.querySelectorAll("blockquote.quoteBox");
-
-    quoteEls.forEach((quoteEl) => {
-      const titleEl = quoteEl.querySelector(".quoteBoxTitle a");
-      const contentEl = quoteEl.querySelector(".quoteBoxContent");
-
-      quotes.push({
-        title: titleEl ? titleEl.textContent.trim() : "",
-        content: contentEl ? this.parseAndFormatContent(contentEl) : "",
-        author: this.extractQuoteAuthor(titleEl),
-      });
-    });
-
-    return quotes;
-  }
-
-  extractQuoteAuthor(titleEl) {
-    if (!titleEl) return "";
-    const text = titleEl.textContent.trim();
-    // Extract author from "Quote from rasehase" -> "rasehase"
-    const match = text.match(/Quote from (.+)/);
-    return match ? match[1] : "";
+  /**
+   * Lists the quotes of a post
+   *
+   * The quotes stay in the content tree at their position; this list of the
+   * post's own (not nested) quotes feeds back-references and the JSON export.
+   *
+   * @param {Array<Object>} content - Content tree of the post
+   * @returns {Array<Object>} `{ title, content, author, url, postId }` per quote
+   */
+  getPostQuotes(content) {
+    return this.contentParser.findQuotes(content).map((quote) => ({
+      title: quote.title,
+      content: quote.children,
+      author: quote.author,
+      url: quote.url,
+      postId: quote.postId,
+    }));
   }
 
   getAttachmentType(url) {
-    const extension = url.split(".").pop().toLowerCase();
+    const extension = url.split(/[?#]/)[0].split(".").pop().toLowerCase();
     const imageTypes = ["jpg", "jpeg", "png", "gif", "webp", "svg"];
     const videoTypes = ["mp4", "avi", "mov", "wmv"];
     const audioTypes = ["mp3", "wav", "ogg", "m4a"];
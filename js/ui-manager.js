@@ -5,6 +5,15 @@ class UIManager {
   constructor(config) {
     this.config = config;
     this.exportButton = null;
+    this.formatToggle = null;
+    this.formatMenu = null;
+    this.exportHandler = null;
+    this.progressPanel = null;
+    this.batchPanel = null;
+    this.batchSelection = null;
+    this.batchRunning = false;
+    this.watchHandler = null;
+    this.isWatching = false;
     this.isExtensionEnabled = true;
   }
 
@@ -61,18 +70,88 @@ class UIManager {
     // Ensure no other content can be added
     this.exportButton.innerHTML = iconSpan.outerHTML;
 
+    // Small toggle next to the button to pick a different export format
+    this.formatToggle = document.createElement("button");
+    this.formatToggle.className = "lotus-export-format-toggle";
+    this.formatToggle.title = "Choose export format";
+    this.formatToggle.textContent = "▾";
+    this.formatToggle.addEventListener("click", (event) => {
+      event.stopPropagation();
+      this.toggleFormatMenu();
+    });
+
     // Insert button in the action buttons area
     if (actionButtons.classList.contains("contentInteractionButtons")) {
       actionButtons.appendChild(this.exportButton);
+      actionButtons.appendChild(this.formatToggle);
     } else {
       // Create a container for the button
       const buttonContainer = document.createElement("div");
       buttonContainer.className = "lotus-export-container";
       buttonContainer.appendChild(this.exportButton);
+      buttonContainer.appendChild(this.formatToggle);
       actionButtons.parentNode.insertBefore(buttonContainer, actionButtons);
     }
   }
 
+  // Show or hide the export format menu below the toggle
+  toggleFormatMenu() {
+    if (this.formatMenu) {
+      this.closeFormatMenu();
+      return;
+    }
+
+    this.formatMenu = document.createElement("div");
+    this.formatMenu.className = "lotus-export-format-menu";
+
+    Object.entries(this.config.exportFormats).forEach(([format, info]) => {
+      const item = document.createElement("button");
+      item.className = "lotus-export-format-item";
+      item.textContent = `Export as ${info.label}`;
+      item.addEventListener("click", (event) => {
+        event.stopPropagation();
+        this.closeFormatMenu();
+        if (this.exportHandler) {
+          this.exportHandler(format);
+        }
+      });
+      this.formatMenu.appendChild(item);
+    });
+
+    if (this.watchHandler) {
+      const watchItem = document.createElement("button");
+      watchItem.className = "lotus-export-format-item lotus-export-watch-item";
+      watchItem.textContent = this.isWatching ? "Stop watching this thread" : "Watch this thread for new posts";
+      watchItem.addEventListener("click", (event) => {
+        event.stopPropagation();
+        this.closeFormatMenu();
+        this.watchHandler();
+      });
+      this.formatMenu.appendChild(watchItem);
+    }
+
+    const rect = this.formatToggle.getBoundingClientRect();
+    this.formatMenu.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    this.formatMenu.style.left = `${rect.left + window.scrollX}px`;
+    document.body.appendChild(this.formatMenu);
+
+    // Close when clicking anywhere else
+    this.outsideClickListener = () => this.closeFormatMenu();
+    document.addEventListener("click", this.outsideClickListener);
+  }
+
+  closeFormatMenu() {
+    if (this.formatMenu && this.formatMenu.parentNode) {
+      this.formatMenu.parentNode.removeChild(this.formatMenu);
+    }
+    this.formatMenu = null;
+
+    if (this.outsideClickListener) {
+      document.removeEventListener("click", this.outsideClickListener);
+      this.outsideClickListener = null;
+    }
+  }
+
   // Remove export button from the page
   removeExportButton() {
     if (this.exportButton) {
@@ -81,6 +160,12 @@ class UIManager {
         this.exportButton.parentNode.removeChild(this.exportButton);
       }
 
+      if (this.formatToggle && this.formatToggle.parentNode) {
+        this.formatToggle.parentNode.removeChild(this.formatToggle);
+      }
+      this.formatToggle = null;
+      this.closeFormatMenu();
+
       // Also remove any container we might have created
       const container = document.querySelector(".lotus-export-container");
       if (container && container.parentNode) {
@@ -107,11 +192,13 @@ class UIManager {
       case "ready":
         icon.textContent = "📥";
         this.exportButton.disabled = false;
+        if (this.formatToggle) this.formatToggle.disabled = false;
         break;
 
       case "exporting":
         icon.textContent = "⏳";
         this.exportButton.disabled = true;
+        if (this.formatToggle) this.formatToggle.disabled = true;
         this.exportButton.classList.add("exporting");
         break;
 
@@ -137,10 +224,365 @@ class UIManager {
     }
   }
 
+  /**
+   * Asks how to proceed with an incomplete thread
+   *
+   * @param {Object} report - Completeness report from ThreadScraper
+   * @returns {Promise<string>} "retry", "continue" or "cancel"
+   */
+  showIncompleteExportDialog(report) {
+    return new Promise((resolve) => {
+      const overlay = document.createElement("div");
+      overlay.className = "lotus-export-dialog-overlay";
+
+      const dialog = document.createElement("div");
+      dialog.className = "lotus-export-dialog";
+      dialog.setAttribute("role", "alertdialog");
+
+      const title = document.createElement("h3");
+      title.textContent = "This export is incomplete";
+      dialog.appendChild(title);
+
+      const list = document.createElement("ul");
+      this.describeCompleteness(report).forEach((line) => {
+        const item = document.createElement("li");
+        item.textContent = line;
+        list.appendChild(item);
+      });
+      dialog.appendChild(list);
+
+      const actions = document.createElement("div");
+      actions.className = "lotus-export-dialog-actions";
+      const choices = [
+        ["cancel", "Cancel"],
+        ["continue", "Export anyway"],
+        ["retry", "Retry missing pages"],
+      ];
+      choices.forEach(([choice, label]) => {
+        const button = document.createElement("button");
+        button.textContent = label;
+        button.className = `lotus-export-dialog-button ${choice}`;
+        button.addEventListener("click", () => {
+          overlay.remove();
+          resolve(choice);
+        });
+        actions.appendChild(button);
+      });
+      dialog.appendChild(actions);
+
+      overlay.appendChild(dialog);
+      document.body.appendChild(overlay);
+      actions.lastChild.focus();
+    });
+  }
+
+  // Human-readable lines for a completeness report
+  describeCompleteness(report) {
+    return ThreadScraper.describeCompleteness(report);
+  }
+
+  /**
+   * Shows the live progress panel for a running export
+   *
+   * The panel does not block the page. Its Cancel button calls `onCancel`
+   * once and then shows that the export is being cancelled.
+   *
+   * @param {Function} onCancel - Called when the user cancels the export
+   */
+  showProgressPanel(onCancel) {
+    this.hideProgressPanel();
+
+    const panel = document.createElement("div");
+    panel.className = "lotus-export-progress";
+    panel.setAttribute("role", "status");
+    panel.setAttribute("aria-live", "polite");
+
+    const title = document.createElement("div");
+    title.className = "lotus-export-progress-title";
+    title.textContent = "Preparing export…";
+
+    const bar = document.createElement("div");
+    bar.className = "lotus-export-progress-bar";
+    const fill = document.createElement("div");
+    fill.className = "lotus-export-progress-fill";
+    bar.appendChild(fill);
+
+    const details = document.createElement("div");
+    details.className = "lotus-export-progress-details";
+
+    const eta = document.createElement("div");
+    eta.className = "lotus-export-progress-eta";
+
+    const cancelButton = document.createElement("button");
+    cancelButton.className = "lotus-export-dialog-button";
+    cancelButton.textContent = "Cancel";
+    cancelButton.addEventListener("click", () => {
+      cancelButton.disabled = true;
+      title.textContent = "Cancelling…";
+      onCancel();
+    });
+
+    panel.append(title, bar, details, eta, cancelButton);
+    document.body.appendChild(panel);
+    this.progressPanel = { panel, title, fill, details, eta, cancelButton };
+  }
+
+  /**
+   * Updates the progress panel
+   *
+   * @param {Object} snapshot - Snapshot from ExportProgress
+   */
+  updateProgress(snapshot) {
+    if (!this.progressPanel || this.progressPanel.cancelButton.disabled) return;
+    const { title, fill, details, eta } = this.progressPanel;
+
+    title.textContent = snapshot.title;
+    fill.style.width = `${Math.round(snapshot.fraction * 100)}%`;
+    details.replaceChildren(
+      ...snapshot.lines.map((line) => {
+        const item = document.createElement("div");
+        item.textContent = line;
+        return item;
+      })
+    );
+    eta.textContent = ExportProgress.formatEta(snapshot.etaSeconds);
+  }
+
+  // Remove the progress panel
+  hideProgressPanel() {
+    if (this.progressPanel) {
+      this.progressPanel.panel.remove();
+      this.progressPanel = null;
+    }
+  }
+
+  /**
+   * Adds batch export controls to a board page
+   *
+   * Every listed thread gets a checkbox; a panel selects the threads of this
+   * page or of all board pages and starts the batch export. The selection
+   * is kept across pages scanned by `onSelectAllPages`.
+   *
+   * @param {Array<{link: HTMLAnchorElement, thread: Object}>} entries - Threads on this page
+   * @param {Object} handlers
+   * @param {string} handlers.format - Preselected export format
+   * @param {Function} handlers.onSelectAllPages - Receives a progress callback,
+   *   resolves to the threads of all board pages
+   * @param {Function} handlers.onStart - Receives `{ threads, format, packaging }`,
+   *   resolves to `{ success, error }`
+   * @param {Function} handlers.onCancel - Cancels the running batch export
+   */
+  addBoardSelection(entries, handlers) {
+    if (this.batchPanel) return;
+    this.batchSelection = new Map();
+
+    const checkboxes = entries.map(({ link, thread }) => {
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "lotus-batch-checkbox";
+      checkbox.title = "Select for batch export";
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) {
+          this.batchSelection.set(thread.url, thread);
+        } else {
+          this.batchSelection.delete(thread.url);
+        }
+        this.updateBatchSelection();
+      });
+      link.parentNode.insertBefore(checkbox, link);
+      return { checkbox, thread };
+    });
+
+    const panel = document.createElement("div");
+    panel.className = "lotus-export-progress lotus-batch-panel";
+
+    const title = document.createElement("div");
+    title.className = "lotus-export-progress-title";
+    title.textContent = "Batch export";
+
+    const pageLabel = document.createElement("label");
+    pageLabel.className = "lotus-batch-option";
+    const pageCheckbox = document.createElement("input");
+    pageCheckbox.type = "checkbox";
+    pageCheckbox.addEventListener("change", () => {
+      checkboxes.forEach(({ checkbox, thread }) => {
+        checkbox.checked = pageCheckbox.checked;
+        if (pageCheckbox.checked) {
+          this.batchSelection.set(thread.url, thread);
+        } else {
+          this.batchSelection.delete(thread.url);
+        }
+      });
+      this.updateBatchSelection();
+    });
+    pageLabel.append(pageCheckbox, " Select all on this page");
+
+    const allPagesButton = document.createElement("button");
+    allPagesButton.className = "lotus-export-dialog-button";
+    allPagesButton.textContent = "Select all pages of this board";
+    allPagesButton.addEventListener("click", async () => {
+      allPagesButton.disabled = true;
+      try {
+        const threads = await handlers.onSelectAllPages(({ pagesDone, pagesTotal }) => {
+          allPagesButton.textContent = `Scanning page ${pagesDone} of ${pagesTotal}…`;
+        });
+        // Board order, not the order of clicking
+        this.batchSelection = new Map(threads.map((thread) => [thread.url, thread]));
+        checkboxes.forEach(({ checkbox }) => (checkbox.checked = true));
+        pageCheckbox.checked = true;
+        this.updateBatchSelection();
+      } catch (error) {
+        this.batchPanel.message.textContent = `Board pages could not be loaded: ${error.message}`;
+      } finally {
+        allPagesButton.disabled = false;
+        allPagesButton.textContent = "Select all pages of this board";
+      }
+    });
+
+    const formatSelect = document.createElement("select");
+    formatSelect.title = "Export format";
+    Object.entries(this.config.exportFormats).forEach(([format, info]) => {
+      formatSelect.appendChild(new Option(info.label, format, false, format === handlers.format));
+    });
+
+    const packagingSelect = document.createElement("select");
+    packagingSelect.title = "Output";
+    packagingSelect.append(
+      new Option("One file per thread", "files"),
+      new Option("One ZIP file", "zip")
+    );
+
+    const options = document.createElement("div");
+    options.className = "lotus-batch-options";
+    options.append(formatSelect, packagingSelect);
+
+    const message = document.createElement("div");
+    message.className = "lotus-export-progress-details";
+
+    const startButton = document.createElement("button");
+    startButton.className = "lotus-export-dialog-button retry";
+    startButton.addEventListener("click", async () => {
+      startButton.disabled = true;
+      const result = await handlers.onStart({
+        threads: [...this.batchSelection.values()],
+        format: formatSelect.value,
+        packaging: packagingSelect.value,
+      });
+      if (!result || !result.success) {
+        message.textContent = (result && result.error) || "The batch export could not be started";
+        this.updateBatchSelection();
+      }
+    });
+
+    // Status of the running or last batch export, see updateBatchStatus()
+    const status = document.createElement("div");
+    status.className = "lotus-batch-status";
+    const statusList = document.createElement("ol");
+    statusList.className = "lotus-batch-status-list";
+    const cancelButton = document.createElement("button");
+    cancelButton.className = "lotus-export-dialog-button";
+    cancelButton.textContent = "Cancel batch";
+    cancelButton.addEventListener("click", () => {
+      cancelButton.disabled = true;
+      handlers.onCancel();
+    });
+
+    panel.append(title, pageLabel, allPagesButton, options, startButton, message, status, statusList, cancelButton);
+    document.body.appendChild(panel);
+    this.batchPanel = { panel, checkboxes, pageCheckbox, startButton, message, status, statusList, cancelButton };
+    this.updateBatchSelection();
+    this.updateBatchStatus(null);
+  }
+
+  // Show how many threads are selected
+  updateBatchSelection() {
+    if (!this.batchPanel) return;
+    const count = this.batchSelection.size;
+    const { startButton } = this.batchPanel;
+    startButton.textContent = `Export ${count} thread${count === 1 ? "" : "s"}`;
+    startButton.disabled = count === 0 || this.batchRunning;
+  }
+
+  /**
+   * Shows the state of the batch export job
+   *
+   * @param {Object|null} job - `batchJob` from chrome.storage.local, see background.js
+   */
+  updateBatchStatus(job) {
+    if (!this.batchPanel) return;
+    const { status, statusList, cancelButton, message } = this.batchPanel;
+
+    this.batchRunning = Boolean(job && job.status === "running");
+    cancelButton.hidden = !this.batchRunning;
+    cancelButton.disabled = false;
+    if (this.batchRunning) message.textContent = "";
+    this.updateBatchSelection();
+
+    if (!job) {
+      status.textContent = "";
+      statusList.replaceChildren();
+      return;
+    }
+
+    status.textContent = UIManager.describeBatchJob(job);
+    statusList.replaceChildren(
+      ...job.threads.map((thread) => {
+        const item = document.createElement("li");
+        item.className = `lotus-batch-thread ${thread.status}`;
+        item.textContent = `${UIManager.BATCH_STATUS_ICONS[thread.status] || ""} ${thread.title}`;
+        if (thread.error) item.title = thread.error;
+        return item;
+      })
+    );
+  }
+
+  /**
+   * Summarises a batch export job in one line
+   *
+   * @param {Object} job - `batchJob` from chrome.storage.local
+   * @returns {string} E.g. "Exporting 3 of 12 threads (1 failed)"
+   */
+  static describeBatchJob(job) {
+    const count = (status) => job.threads.filter((thread) => thread.status === status).length;
+    const finished = job.threads.length - count("queued") - count("running");
+    const failed = count("failed");
+    const failedText = failed > 0 ? ` (${failed} failed)` : "";
+
+    if (job.status === "running") {
+      return `Exporting ${Math.min(finished + 1, job.threads.length)} of ${job.threads.length} threads${failedText}`;
+    }
+    if (job.status === "cancelled") {
+      return `Batch cancelled after ${finished} of ${job.threads.length} threads${failedText}`;
+    }
+    const zipText = job.zip && job.zip.error ? ` · ZIP failed: ${job.zip.error}` : "";
+    return `Batch finished: ${finished - failed} of ${job.threads.length} threads exported${failedText}${zipText}`;
+  }
+
+  // Remove the batch export controls from a board page
+  removeBoardSelection() {
+    if (!this.batchPanel) return;
+    this.batchPanel.checkboxes.forEach(({ checkbox }) => checkbox.remove());
+    this.batchPanel.panel.remove();
+    this.batchPanel = null;
+    this.batchSelection = null;
+  }
+
+  // Set the handler of the format menu's watch item, which toggles watching the thread
+  setWatchHandler(handler) {
+    this.watchHandler = handler;
+  }
+
+  // Whether the thread is on the watchlist, for the watch item's label
+  setWatchState(watching) {
+    this.isWatching = watching;
+  }
+
   // Set export button click handler
+  // The handler receives the chosen format, or nothing for the preferred one
   setExportHandler(handler) {
+    this.exportHandler = handler;
     if (this.exportButton) {
-      this.exportButton.addEventListener("click", handler);
+      this.exportButton.addEventListener("click", () => handler());
     }
   }
 
@@ -166,6 +608,9 @@ class UIManager {
     if (this.exportButton) {
       this.exportButton.style.display = enabled ? "block" : "none";
     }
+    if (this.formatToggle) {
+      this.formatToggle.style.display = enabled ? "inline-flex" : "none";
+    }
   }
 
   // Get extension enabled state
@@ -173,3 +618,12 @@ class UIManager {
     return this.isExtensionEnabled;
   }
 }
+
+/** @type {Object<string, string>} Marks for the thread states of a batch export */
+UIManager.BATCH_STATUS_ICONS = {
+  queued: "·",
+  running: "⏳",
+  done: "✓",
+  incomplete: "⚠",
+  failed: "✗",
+};
@@ -0,0 +1,26 @@
+// Lotus Forum Thread Exporter - URL Utilities
+// Shared helpers for WoltLab thread URLs used by all exporters
+
+const UrlUtils = {
+  /**
+   * Returns canonical thread URL by removing postID, pageNo and hash parameters
+   *
+   * @param {string} originalUrl - The original thread URL
+   * @returns {string} The canonical URL without pagination parameters
+   */
+  getCanonicalThreadUrl(originalUrl) {
+    try {
+      const url = new URL(originalUrl);
+      url.searchParams.delete("postID");
+      url.searchParams.delete("pageNo");
+      url.hash = "";
+      return url.toString();
+    } catch (error) {
+      logger.warn("URL canonicalization failed", {
+        originalUrl,
+        error: error.message,
+      });
+      return originalUrl;
+    }
+  },
+};
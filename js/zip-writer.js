@@ -0,0 +1,174 @@
+// Lotus Forum Thread Exporter - Zip Writer
+// Minimal in-browser ZIP archive builder used by container formats like EPUB
+
+// Without the ZIP64 extensions the entry count is a 16-bit field and sizes
+// and offsets are 32-bit fields
+const ZIP_LIMITS = {
+  MAX_ENTRIES: 0xffff,
+  MAX_SIZE: 0xffffffff,
+};
+
+/**
+ * ZipWriter collects files and writes them as an uncompressed ("stored")
+ * ZIP archive. Stored entries keep the writer dependency-free and are what
+ * EPUB requires for its leading `mimetype` file anyway; the payload of an
+ * export is mostly JPEG images, which would not compress further.
+ *
+ * Entries are written in the order they were added. ZIP64 is not supported:
+ * use `canAdd` to start a new archive before ZIP_LIMITS are reached.
+ *
+ * @class ZipWriter
+ * @since 1.1.0
+ */
+class ZipWriter {
+  constructor() {
+    /** @type {Array<Object>} Pending entries `{ name, bytes, crc }` */
+    this.entries = [];
+    this.encoder = new TextEncoder();
+    this.modified = new Date();
+    // Archive size so far, starting with the end of central directory record
+    this.size = 22;
+  }
+
+  /**
+   * Whether a file still fits into the archive without ZIP64
+   *
+   * @param {string} name - Path inside the archive
+   * @param {number} byteLength - File size in bytes
+   * @returns {boolean} False if the archive would exceed ZIP_LIMITS
+   */
+  canAdd(name, byteLength) {
+    return (
+      this.entries.length < ZIP_LIMITS.MAX_ENTRIES &&
+      this.size + this.getEntrySize(this.encoder.encode(name).length, byteLength) <= ZIP_LIMITS.MAX_SIZE
+    );
+  }
+
+  /**
+   * Adds a file to the archive
+   *
+   * @param {string} name - Path inside the archive, using forward slashes
+   * @param {string|Uint8Array} data - File content; strings are UTF-8 encoded
+   */
+  addFile(name, data) {
+    const bytes = typeof data === "string" ? this.encoder.encode(data) : data;
+    const entry = {
+      name: this.encoder.encode(name),
+      bytes,
+      crc: ZipWriter.crc32(bytes),
+    };
+    this.entries.push(entry);
+    this.size += this.getEntrySize(entry.name.length, bytes.length);
+  }
+
+  // Local header, name and data plus the central directory record
+  getEntrySize(nameLength, byteLength) {
+    return 30 + nameLength + byteLength + 46 + nameLength;
+  }
+
+  /**
+   * Writes the archive
+   *
+   * @param {string} [mimeType="application/zip"] - MIME type of the resulting Blob
+   * @returns {Blob} ZIP archive
+   * @throws {Error} If the archive exceeds ZIP_LIMITS
+   */
+  generate(mimeType = "application/zip") {
+    if (this.entries.length > ZIP_LIMITS.MAX_ENTRIES) {
+      throw new Error(`A ZIP archive holds at most ${ZIP_LIMITS.MAX_ENTRIES} files, got ${this.entries.length}`);
+    }
+    if (this.size > ZIP_LIMITS.MAX_SIZE) {
+      throw new Error("A ZIP archive can be at most 4 GB, split the files across several archives");
+    }
+
+    const { time, date } = this.getDosDateTime(this.modified);
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    this.entries.forEach((entry) => {
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // version needed to extract
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, entry.crc, true);
+      local.setUint32(18, entry.bytes.length, true);
+      local.setUint32(22, entry.bytes.length, true);
+      local.setUint16(26, entry.name.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(local, entry.name, entry.bytes);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true); // version made by
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, entry.crc, true);
+      central.setUint32(20, entry.bytes.length, true);
+      central.setUint32(24, entry.bytes.length, true);
+      central.setUint16(28, entry.name.length, true);
+      central.setUint32(42, offset, true);
+      centralDirectory.push(central, entry.name);
+
+      offset += 30 + entry.name.length + entry.bytes.length;
+    });
+
+    const centralSize = centralDirectory.reduce(
+      (size, part) => size + part.byteLength,
+      0
+    );
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: mimeType });
+  }
+
+  // MS-DOS date/time fields (local time, two-second resolution)
+  getDosDateTime(value) {
+    return {
+      time:
+        (value.getHours() << 11) |
+        (value.getMinutes() << 5) |
+        Math.floor(value.getSeconds() / 2),
+      date:
+        ((Math.max(1980, value.getFullYear()) - 1980) << 9) |
+        ((value.getMonth() + 1) << 5) |
+        value.getDate(),
+    };
+  }
+
+  /**
+   * CRC-32 (IEEE 802.3) checksum as used by ZIP
+   *
+   * @param {Uint8Array} bytes - Data
+   * @returns {number} Unsigned checksum
+   */
+  static crc32(bytes) {
+    if (!ZipWriter.crcTable) {
+      ZipWriter.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipWriter.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
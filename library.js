@@ -0,0 +1,429 @@
+// Lotus Forum Thread Exporter - Export Library Script
+// Lists all exports with filters, sorting, renaming, tags and per-item or bulk actions
+
+// Size filter ranges in bytes
+const LIBRARY_SIZE_RANGES = {
+  small: [0, 1024 * 1024],
+  medium: [1024 * 1024, 10 * 1024 * 1024],
+  large: [10 * 1024 * 1024, Infinity],
+};
+
+class ExportLibrary {
+  constructor() {
+    this.exportHistory = [];
+    this.selection = new Set();
+    // Export being renamed, kept across re-renders
+    this.renamingId = null;
+
+    this.list = document.getElementById("libraryList");
+    this.status = document.getElementById("libraryStatus");
+
+    this.init();
+  }
+
+  async init() {
+    this.setupFilterControls();
+    this.setupBulkControls();
+
+    // Exports finished or changed elsewhere show up right away
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "local" && changes.exportHistory) {
+        this.setHistory(changes.exportHistory.newValue || []);
+      }
+    });
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: "getExportHistory" });
+      this.setHistory((response && response.exportHistory) || []);
+    } catch (error) {
+      console.error("Error loading export history:", error);
+      this.setStatus(`Could not load the exports: ${error.message}`, true);
+    }
+  }
+
+  setHistory(exportHistory) {
+    this.exportHistory = exportHistory;
+    const ids = new Set(exportHistory.map((item) => item.id));
+    this.selection = new Set([...this.selection].filter((id) => ids.has(id)));
+    this.renderFilterOptions();
+    this.render();
+  }
+
+  setupFilterControls() {
+    ["filterText", "filterBoard", "filterTag", "filterDateFrom", "filterDateTo", "filterSize", "sortOrder"].forEach(
+      (id) => {
+        const element = document.getElementById(id);
+        element.addEventListener(element.tagName === "SELECT" ? "change" : "input", () => this.render());
+      }
+    );
+  }
+
+  // Board and tag choices from the current exports, keeping the selected ones
+  renderFilterOptions() {
+    const boards = new Map();
+    const tags = new Map();
+    this.exportHistory.forEach((item) => {
+      boards.set(this.getBoardKey(item), item.boardTitle || "Unknown board");
+      (item.tags || []).forEach((tag) => {
+        if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+      });
+    });
+
+    this.fillSelect(
+      document.getElementById("filterBoard"),
+      "All boards",
+      [...boards].sort((a, b) => a[1].localeCompare(b[1]))
+    );
+    this.fillSelect(
+      document.getElementById("filterTag"),
+      "All tags",
+      [...tags].sort((a, b) => a[1].localeCompare(b[1]))
+    );
+  }
+
+  fillSelect(select, allLabel, options) {
+    const value = select.value;
+    select.replaceChildren(new Option(allLabel, ""), ...options.map(([key, label]) => new Option(label, key)));
+    select.value = options.some(([key]) => key === value) ? value : "";
+  }
+
+  // Exports made before boards were recorded share one "Unknown board" entry
+  getBoardKey(item) {
+    return item.boardId || item.boardTitle || "unknown";
+  }
+
+  getTitle(item) {
+    return item.customTitle || item.threadTitle || "Untitled Thread";
+  }
+
+  getSize(item) {
+    return item.fileSize || item.pdfSize || 0;
+  }
+
+  getDate(item) {
+    return new Date(item.exportDate || item.timestamp);
+  }
+
+  // Exports matching the filters, in the selected order
+  getVisibleExports() {
+    const text = document.getElementById("filterText").value.trim().toLowerCase();
+    const board = document.getElementById("filterBoard").value;
+    const tag = document.getElementById("filterTag").value;
+    const dateFrom = document.getElementById("filterDateFrom").value;
+    const dateTo = document.getElementById("filterDateTo").value;
+    const sizeRange = LIBRARY_SIZE_RANGES[document.getElementById("filterSize").value];
+    // Date inputs are local days; the "to" day is included
+    const from = dateFrom ? new Date(`${dateFrom}T00:00:00`) : null;
+    const to = dateTo ? new Date(`${dateTo}T23:59:59.999`) : null;
+
+    const visible = this.exportHistory.filter((item) => {
+      const tags = item.tags || [];
+      if (text) {
+        const haystack = [this.getTitle(item), item.threadTitle, ...tags].join(" ").toLowerCase();
+        if (!haystack.includes(text)) return false;
+      }
+      if (board && this.getBoardKey(item) !== board) return false;
+      if (tag && !tags.some((itemTag) => itemTag.toLowerCase() === tag)) return false;
+      const date = this.getDate(item);
+      if (from && date < from) return false;
+      if (to && date > to) return false;
+      if (sizeRange) {
+        const size = this.getSize(item);
+        if (size < sizeRange[0] || size >= sizeRange[1]) return false;
+      }
+      return true;
+    });
+
+    const compare = {
+      newest: (a, b) => this.getDate(b) - this.getDate(a),
+      oldest: (a, b) => this.getDate(a) - this.getDate(b),
+      title: (a, b) => this.getTitle(a).localeCompare(this.getTitle(b)),
+      largest: (a, b) => this.getSize(b) - this.getSize(a),
+      smallest: (a, b) => this.getSize(a) - this.getSize(b),
+      posts: (a, b) => (b.postCount || 0) - (a.postCount || 0),
+    }[document.getElementById("sortOrder").value];
+    return visible.sort(compare);
+  }
+
+  render() {
+    const visible = this.getVisibleExports();
+    const totalSize = this.exportHistory.reduce((sum, item) => sum + this.getSize(item), 0);
+    document.getElementById("librarySummary").textContent =
+      `${this.exportHistory.length} export${this.exportHistory.length === 1 ? "" : "s"} • ${this.formatSize(totalSize)}`;
+
+    if (this.exportHistory.length === 0) {
+      this.setStatus("No exports yet. Export a thread to see it here.");
+    } else if (visible.length < this.exportHistory.length) {
+      this.setStatus(`Showing ${visible.length} of ${this.exportHistory.length} exports`);
+    } else {
+      this.setStatus("");
+    }
+
+    this.list.replaceChildren(...visible.map((item) => this.renderItem(item)));
+    this.updateBulkControls(visible);
+  }
+
+  renderItem(item) {
+    const row = document.createElement("li");
+    row.className = "library-item";
+    row.classList.toggle("selected", this.selection.has(item.id));
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = this.selection.has(item.id);
+    checkbox.title = "Select";
+    checkbox.addEventListener("change", () => {
+      if (checkbox.checked) {
+        this.selection.add(item.id);
+      } else {
+        this.selection.delete(item.id);
+      }
+      row.classList.toggle("selected", checkbox.checked);
+      this.updateBulkControls(this.getVisibleExports());
+    });
+
+    const main = document.createElement("div");
+    main.className = "library-item-main";
+    main.append(this.renderTitle(item));
+    if (item.customTitle) {
+      const original = document.createElement("div");
+      original.className = "library-item-original";
+      original.textContent = item.threadTitle;
+      main.append(original);
+    }
+
+    const formatInfo = CONFIG.exportFormats[item.format || "pdf"];
+    const date = this.getDate(item);
+    const meta = document.createElement("div");
+    meta.className = "library-item-meta";
+    meta.textContent = [
+      `${formatInfo ? formatInfo.label : "PDF"}${item.version ? ` v${item.version}` : ""}`,
+      item.boardTitle,
+      `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`,
+      `${item.postCount || item.pageCount || 0} posts`,
+      this.formatSize(this.getSize(item)),
+    ]
+      .filter(Boolean)
+      .join(" • ");
+    main.append(meta, this.renderTags(item));
+
+    const actions = document.createElement("div");
+    actions.className = "library-item-actions";
+    const openLink = document.createElement("a");
+    openLink.href = item.threadUrl;
+    openLink.target = "_blank";
+    openLink.rel = "noopener";
+    openLink.title = "Open the thread on the forum";
+    openLink.textContent = "↗";
+    actions.append(
+      this.createButton("📥", `Download ${formatInfo ? formatInfo.label : "PDF"}`, () => this.download([item.id])),
+      openLink,
+      this.createButton("✏️", "Rename", () => {
+        this.renamingId = item.id;
+        this.render();
+      }),
+      this.createButton("🗑️", "Delete", () => this.deleteExports([item.id]))
+    );
+
+    row.append(checkbox, main, actions);
+    return row;
+  }
+
+  // Title, or an input while renaming: Enter saves, Escape cancels, an empty title restores the thread title
+  renderTitle(item) {
+    const title = document.createElement("div");
+    title.className = "library-item-title";
+    if (this.renamingId !== item.id) {
+      title.textContent = this.getTitle(item);
+      return title;
+    }
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = this.getTitle(item);
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      this.renamingId = null;
+      if (save && input.value.trim() !== this.getTitle(item)) {
+        this.updateExport(item.id, { customTitle: input.value });
+      } else {
+        this.render();
+      }
+    };
+    input.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") finish(true);
+      if (event.key === "Escape") finish(false);
+    });
+    input.addEventListener("blur", () => finish(true));
+    title.append(input);
+    setTimeout(() => input.select());
+    return title;
+  }
+
+  renderTags(item) {
+    const tags = document.createElement("div");
+    tags.className = "library-tags";
+    (item.tags || []).forEach((tag) => {
+      const chip = document.createElement("span");
+      chip.className = "library-tag";
+      chip.textContent = tag;
+      chip.append(
+        this.createButton("×", `Remove tag "${tag}"`, () =>
+          this.updateExport(item.id, { removeTags: [tag] })
+        )
+      );
+      tags.append(chip);
+    });
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.placeholder = "+ tag";
+    input.title = "Add a tag (Enter)";
+    input.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" && input.value.trim()) {
+        this.updateExport(item.id, { addTags: [input.value] });
+      }
+    });
+    tags.append(input);
+    return tags;
+  }
+
+  createButton(label, title, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  setupBulkControls() {
+    document.getElementById("selectAll").addEventListener("change", (event) => {
+      const visible = this.getVisibleExports();
+      visible.forEach((item) => {
+        if (event.target.checked) {
+          this.selection.add(item.id);
+        } else {
+          this.selection.delete(item.id);
+        }
+      });
+      this.render();
+    });
+
+    const tagInput = document.getElementById("bulkTagInput");
+    const addTag = () => {
+      const tag = tagInput.value.trim();
+      if (!tag || this.selection.size === 0) return;
+      this.tagExports([...this.selection], tag);
+      tagInput.value = "";
+    };
+    document.getElementById("bulkTagBtn").addEventListener("click", addTag);
+    tagInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") addTag();
+    });
+
+    document
+      .getElementById("bulkDownloadBtn")
+      .addEventListener("click", () => this.download(this.getSelectedIds()));
+    document
+      .getElementById("bulkDeleteBtn")
+      .addEventListener("click", () => this.deleteExports(this.getSelectedIds()));
+  }
+
+  // Selected exports in the order shown; hidden ones stay selected but are not acted on
+  getSelectedIds() {
+    return this.getVisibleExports()
+      .filter((item) => this.selection.has(item.id))
+      .map((item) => item.id);
+  }
+
+  updateBulkControls(visible) {
+    const selected = visible.filter((item) => this.selection.has(item.id)).length;
+    const selectAll = document.getElementById("selectAll");
+    selectAll.checked = visible.length > 0 && selected === visible.length;
+    selectAll.indeterminate = selected > 0 && selected < visible.length;
+    document.getElementById("selectionCount").textContent = selected > 0 ? `${selected} selected` : "Select all";
+    ["bulkDownloadBtn", "bulkTagBtn", "bulkDeleteBtn"].forEach((id) => {
+      document.getElementById(id).disabled = selected === 0;
+    });
+  }
+
+  async updateExport(exportId, changes) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: "updateExport", exportId, changes });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || "No response from the extension");
+      }
+      // The storage listener re-renders with the new entry
+    } catch (error) {
+      console.error("Error updating export:", error);
+      this.setStatus(`Could not save the change: ${error.message}`, true);
+      this.render();
+    }
+  }
+
+  async tagExports(exportIds, tag) {
+    for (const exportId of exportIds) {
+      await this.updateExport(exportId, { addTags: [tag] });
+    }
+  }
+
+  // Downloads one after another, as the browser may block bursts of downloads
+  async download(exportIds) {
+    let failed = 0;
+    for (const exportId of exportIds) {
+      try {
+        const response = await chrome.runtime.sendMessage({ action: "downloadPDF", exportId });
+        if (!response || !response.success) {
+          throw new Error((response && response.error) || "Download failed");
+        }
+      } catch (error) {
+        console.error("Error downloading export:", exportId, error);
+        failed++;
+      }
+    }
+    if (failed > 0) {
+      this.setStatus(
+        `${failed} of ${exportIds.length} download${exportIds.length === 1 ? "" : "s"} failed; the file may no longer be stored`,
+        true
+      );
+    }
+  }
+
+  async deleteExports(exportIds) {
+    if (exportIds.length === 0) return;
+    const question =
+      exportIds.length === 1
+        ? `Delete "${this.getTitle(this.exportHistory.find((item) => item.id === exportIds[0]))}" and its stored file?`
+        : `Delete ${exportIds.length} exports and their stored files?`;
+    if (!confirm(question)) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: "deleteExports", exportIds });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || "No response from the extension");
+      }
+      exportIds.forEach((exportId) => this.selection.delete(exportId));
+      this.setStatus(`Deleted ${response.deleted} export${response.deleted === 1 ? "" : "s"}`);
+    } catch (error) {
+      console.error("Error deleting exports:", error);
+      this.setStatus(`Could not delete: ${error.message}`, true);
+    }
+  }
+
+  formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+
+  setStatus(text, isError = false) {
+    this.status.textContent = text;
+    this.status.classList.toggle("error", isError);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  window.exportLibrary = new ExportLibrary();
+});
@@ -0,0 +1,431 @@
+// Lotus Forum Thread Exporter - Offscreen Document
+// Renders PDF exports away from the forum tab, runs batch and watchlist exports and downloads stored exports via object URLs
+
+import { IndexedDBManager } from './js/storage/indexeddb-manager.js';
+
+const fileStore = new IndexedDBManager();
+const fileStoreReady = fileStore.initialize();
+
+// AbortControllers of running renders by export ID
+const renders = new Map();
+
+// Tail of the render queue, see enqueue()
+let renderQueue = Promise.resolve();
+
+// Running batch thread exports `{ controller, result }` by export ID
+const batchExports = new Map();
+
+// Generators for the non-PDF entries of CONFIG.exportFormats, as in content.js
+const exporters = {
+  markdown: (threadData) => new MarkdownExporter(CONFIG).generate(threadData),
+  html: (threadData, options) => new HtmlExporter(CONFIG).generate(threadData, options),
+  epub: (threadData, options) => new EpubExporter(CONFIG).generate(threadData, options),
+  json: (threadData) => new JsonExporter(CONFIG).generate(threadData),
+  ndjson: (threadData) => new JsonExporter(CONFIG).generateNdjson(threadData),
+};
+
+// How long a download keeps its object URL; the download manager reads it first
+const OBJECT_URL_LIFETIME = 60 * 1000;
+
+// Minimum interval between progress messages, which the background relays to the tab
+const PROGRESS_INTERVAL = 200;
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Content script and popup messages are broadcast here too
+  if (request.target !== 'offscreen') return false;
+
+  if (request.action === 'renderPdf') {
+    handleRenderPdf(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === 'downloadStoredFile') {
+    handleDownloadStoredFile(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === 'exportBatchThread') {
+    handleExportBatchThread(request, sendResponse);
+    return true;
+  }
+
+  // The service worker has no ThemeRegistry; content scripts resolve their own
+  if (request.action === 'resolveTheme') {
+    sendResponse({ success: true, theme: new ThemeRegistry(request.customThemes).get(request.exportTheme) });
+    return false;
+  }
+
+  if (request.action === 'cancelBatchThread') {
+    const run = batchExports.get(request.exportId);
+    if (run) run.controller.abort();
+    sendResponse({ success: Boolean(run) });
+    return false;
+  }
+
+  if (request.action === 'checkThread') {
+    handleCheckThread(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === 'buildBatchZip') {
+    handleBuildBatchZip(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === 'cancelRender') {
+    const controller = renders.get(request.exportId);
+    if (controller) controller.abort();
+    sendResponse({ success: Boolean(controller) });
+    return false;
+  }
+
+  return false;
+});
+
+/**
+ * Renders a PDF, stores it in IndexedDB and starts the download
+ *
+ * Each render gets its own PDFGenerator, so the document and its images can
+ * be garbage collected afterwards. Renders run one at a time to bound memory.
+ *
+ * @param {Object} request - `{ exportId, threadData, fileName, pdfSettings, theme }`, where
+ *   `pdfSettings` overrides CONFIG.pdf and `theme` comes from ThemeRegistry.get()
+ * @param {Function} sendResponse - Receives `{ success, size, stored, downloadId }`,
+ *   or `{ success: false, cancelled, error }`
+ */
+async function handleRenderPdf(request, sendResponse) {
+  const { exportId, threadData, fileName, pdfSettings, theme } = request;
+  const controller = new AbortController();
+  renders.set(exportId, controller);
+  const config = { ...CONFIG, pdf: { ...CONFIG.pdf, ...pdfSettings }, theme };
+
+  try {
+    const pdfBlob = await enqueue(() =>
+      new PDFGenerator(config).generatePDF(threadData, {
+        onProgress: createProgressReporter(exportId),
+        signal: controller.signal,
+      })
+    );
+
+    let stored = false;
+    try {
+      await fileStoreReady;
+      stored = await fileStore.storeFile(exportId, pdfBlob, 'application/pdf');
+    } catch (error) {
+      // The download still works without a stored copy
+      console.error('Offscreen: failed to store PDF', error);
+    }
+
+    const downloadId = await downloadBlob(pdfBlob, fileName);
+    sendResponse({ success: true, size: pdfBlob.size, stored, downloadId });
+  } catch (error) {
+    const cancelled = error && error.name === 'AbortError';
+    if (!cancelled) console.error('Offscreen: PDF render failed', error);
+    sendResponse({ success: false, cancelled, error: error.message });
+  } finally {
+    renders.delete(exportId);
+  }
+}
+
+/**
+ * Downloads an export stored in IndexedDB
+ *
+ * Each chunk is checked against its SHA-256, then the file is assembled
+ * from its chunks and the download starts.
+ *
+ * @param {Object} request - `{ exportId, filename }`
+ * @param {Function} sendResponse - Receives `{ success, downloadId }` or `{ success: false, error }`
+ */
+async function handleDownloadStoredFile(request, sendResponse) {
+  try {
+    await fileStoreReady;
+    const record = await fileStore.getFile(request.exportId, { verify: true });
+    if (!record || !record.pdfBlob) {
+      throw new Error('File not found in storage');
+    }
+
+    const downloadId = await downloadBlob(record.pdfBlob, request.filename);
+    sendResponse({ success: true, downloadId });
+  } catch (error) {
+    console.error('Offscreen: stored file download failed', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Scrapes and exports one thread of a board batch export or a watched thread
+ *
+ * A request for an export that is still running, sent again by a restarted
+ * background, waits for the running one instead of starting over.
+ *
+ * @param {Object} request - `{ exportId, url, format, pdfSettings, theme, download }`,
+ *   see exportThread()
+ * @param {Function} sendResponse - Receives `{ success, complete, exportData }`,
+ *   or `{ success: false, cancelled, error }`
+ */
+async function handleExportBatchThread(request, sendResponse) {
+  let run = batchExports.get(request.exportId);
+  if (!run) {
+    const controller = new AbortController();
+    // Batch jobs started without a theme use the default one
+    const theme = request.theme || new ThemeRegistry().get();
+    run = { controller, result: exportThread({ ...request, theme }, controller.signal) };
+    batchExports.set(request.exportId, run);
+    run.result.catch(() => {}).finally(() => batchExports.delete(request.exportId));
+  }
+
+  try {
+    sendResponse({ success: true, ...(await run.result) });
+  } catch (error) {
+    const cancelled = error && error.name === 'AbortError';
+    if (!cancelled) console.error('Offscreen: batch thread export failed', error);
+    sendResponse({ success: false, cancelled, error: error.message });
+  }
+}
+
+/**
+ * Scrapes a thread from its URL and exports it
+ *
+ * Like the export button, the scrape reuses the thread cache. Missing pages
+ * are retried once; a thread that stays incomplete is exported anyway and
+ * reported as such, since nobody is there to ask.
+ *
+ * @param {Object} request
+ * @param {string} request.exportId - Export ID for the stored file and history entry
+ * @param {string} request.url - Thread URL
+ * @param {string} request.format - Key of CONFIG.exportFormats
+ * @param {Object} request.pdfSettings - Overrides of CONFIG.pdf
+ * @param {Object} request.theme - Theme from ThemeRegistry.get()
+ * @param {boolean} request.download - Download the file, not just store it
+ * @param {AbortSignal} signal - Cancels the export
+ * @returns {Promise<Object>} `{ complete, exportData }` with exportData for StorageManager.storeExport()
+ */
+async function exportThread({ exportId, url, format, pdfSettings, theme, download }, signal) {
+  const formatInfo = CONFIG.exportFormats[format];
+  if (!formatInfo) throw new Error(`Unknown export format "${format}"`);
+  const onProgress = createProgressReporter(exportId);
+
+  // The first page tells the title, the thread ID and the page count
+  const html = await new FetchQueue(CONFIG.export).fetchText(url, { signal });
+  const detector = new ThreadDetector(CONFIG, {
+    document: ThreadScraper.parseDocument(html, url),
+    url,
+  });
+  if (!detector.isWoltLabThread()) {
+    throw new Error('The page is not a forum thread (logged out?)');
+  }
+
+  const scraper = new ThreadScraper(CONFIG, detector);
+  await fileStoreReady;
+  const threadId = detector.getThreadMetadata().threadId;
+  let threadData = await scraper.scrapeThreadData(await loadThreadCache(threadId), { onProgress, signal });
+  if (!threadData.completeness.complete) {
+    threadData = await scraper.retryPages(threadData, threadData.completeness.retryPages, { onProgress, signal });
+  }
+  await saveThreadCache(threadId, threadData);
+  if (threadData.posts.length === 0) throw new Error('The thread has no posts');
+
+  const fileName = `${threadData.title.replace(/[^a-z0-9]/gi, '_')}.${formatInfo.extension}`;
+  const blob =
+    format === 'pdf'
+      ? await enqueue(() =>
+          new PDFGenerator({ ...CONFIG, pdf: { ...CONFIG.pdf, ...pdfSettings }, theme }).generatePDF(threadData, {
+            onProgress,
+            signal,
+          })
+        )
+      : await exporters[format](threadData, { onProgress, signal, exportId, fileName, theme });
+  signal.throwIfAborted();
+
+  // The batch ZIP is put together from the stored files
+  await fileStore.storeFile(exportId, blob, formatInfo.mimeType);
+  if (download) await downloadBlob(blob, fileName);
+
+  const exportDate = new Date().toISOString();
+  return {
+    complete: threadData.completeness.complete,
+    exportData: {
+      id: exportId,
+      threadTitle: threadData.title,
+      threadUrl: url,
+      exportDate,
+      timestamp: exportDate,
+      postCount: threadData.posts.length,
+      pageCount: threadData.posts.length,
+      format,
+      mimeType: formatInfo.mimeType,
+      fileName,
+      fileSize: blob.size,
+      pdfSize: blob.size,
+      pdfStored: true,
+      boardId: threadData.metadata.boardId,
+      boardTitle: detector.getBoardTitle(),
+      searchPosts: scraper.getSearchPosts(threadData),
+    },
+  };
+}
+
+/**
+ * Finds the last post of a thread, for the watchlist
+ *
+ * Fetches the first page and, for longer threads, the last one.
+ *
+ * @param {Object} request - `{ url }` of the thread
+ * @param {Function} sendResponse - Receives `{ success, title, totalPages, lastPostId, lastPostNumber }`
+ *   or `{ success: false, error }`
+ */
+async function handleCheckThread(request, sendResponse) {
+  try {
+    const fetchQueue = new FetchQueue(CONFIG.export);
+    const loadPage = async (pageUrl) =>
+      new ThreadDetector(CONFIG, {
+        document: ThreadScraper.parseDocument(await fetchQueue.fetchText(pageUrl), pageUrl),
+        url: pageUrl,
+      });
+
+    let detector = await loadPage(request.url);
+    if (!detector.isWoltLabThread()) {
+      throw new Error('The page is not a forum thread (logged out?)');
+    }
+    const totalPages = detector.getTotalPages();
+    if (totalPages > 1) {
+      detector = await loadPage(detector.getPageUrl(totalPages));
+    }
+
+    const scraper = new ThreadScraper(CONFIG, detector);
+    const posts = detector.getDocument().querySelectorAll(CONFIG.selectors.message);
+    const lastPost = posts[posts.length - 1];
+    if (!lastPost) throw new Error('The last page has no posts');
+
+    sendResponse({
+      success: true,
+      title: detector.getThreadTitle(),
+      totalPages,
+      lastPostId: scraper.getPostId(lastPost),
+      lastPostNumber: parseInt(scraper.getPostNumber(lastPost).replace(/\D/g, '')) || null,
+    });
+  } catch (error) {
+    console.error('Offscreen: thread check failed', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Cached scrape of a thread from an earlier export, see content.js
+async function loadThreadCache(threadId) {
+  if (!threadId || !CONFIG.export.incremental) return null;
+  const record = await fileStore.getThreadCache(threadId);
+  if (!record || record.threadData.contentVersion !== ContentParser.VERSION) return null;
+  return { threadData: record.threadData, lastPage: record.lastPage };
+}
+
+async function saveThreadCache(threadId, threadData) {
+  if (!threadId || !CONFIG.export.incremental) return;
+  const { totalPages, failedPages } = threadData.pagination;
+  try {
+    await fileStore.storeThreadCache(
+      threadId,
+      threadData,
+      failedPages.length > 0 ? Math.min(...failedPages) : totalPages
+    );
+  } catch (error) {
+    console.error('Offscreen: failed to store thread cache', error);
+  }
+}
+
+/**
+ * Packs the stored files of a batch export into ZIPs and downloads them
+ *
+ * Files go into one archive until it would exceed the ZIP size or entry
+ * limits, then into the next: "Board.zip", "Board_2.zip", and so on.
+ *
+ * @param {Object} request - `{ files, fileName }` with `files` as `{ exportId, fileName }`
+ * @param {Function} sendResponse - Receives `{ success, size, fileNames }` or `{ success: false, error }`
+ */
+async function handleBuildBatchZip(request, sendResponse) {
+  try {
+    await fileStoreReady;
+    const names = new Set();
+    const zipNames = new Set();
+    const fileNames = [];
+    let size = 0;
+    let zip = new ZipWriter();
+
+    // Written as soon as it is full, so only one archive is held in memory
+    const writeZip = async () => {
+      const zipBlob = zip.generate();
+      const fileName = uniqueName(request.fileName, zipNames);
+      await downloadBlob(zipBlob, fileName);
+      fileNames.push(fileName);
+      size += zipBlob.size;
+    };
+
+    for (const file of request.files) {
+      const record = await fileStore.getFile(file.exportId, { verify: true });
+      if (!record || !record.pdfBlob) {
+        throw new Error(`${file.fileName} is missing from storage`);
+      }
+      const name = uniqueName(file.fileName, names);
+      if (zip.entries.length > 0 && !zip.canAdd(name, record.pdfBlob.size)) {
+        await writeZip();
+        zip = new ZipWriter();
+      }
+      zip.addFile(name, new Uint8Array(await record.pdfBlob.arrayBuffer()));
+    }
+    await writeZip();
+
+    sendResponse({ success: true, size, fileNames });
+  } catch (error) {
+    console.error('Offscreen: batch ZIP failed', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Threads with the same title get numbered names: "Title.pdf", "Title_2.pdf"
+function uniqueName(fileName, names) {
+  const dot = fileName.lastIndexOf('.');
+  let name = fileName;
+  for (let number = 2; names.has(name); number++) {
+    name = `${fileName.slice(0, dot)}_${number}${fileName.slice(dot)}`;
+  }
+  names.add(name);
+  return name;
+}
+
+// Have the background download a Blob through an object URL of this document
+async function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  setTimeout(() => URL.revokeObjectURL(url), OBJECT_URL_LIFETIME);
+
+  const download = await chrome.runtime.sendMessage({
+    action: 'downloadViaObjectUrl',
+    url,
+    filename,
+  });
+  if (!download || !download.success) {
+    throw new Error((download && download.error) || 'Download failed');
+  }
+  return download.downloadId;
+}
+
+// Send progress events to the background, at most every PROGRESS_INTERVAL ms
+function createProgressReporter(exportId) {
+  let sentAt = 0;
+  return (progress) => {
+    const now = Date.now();
+    const last =
+      (progress.phase === 'render' && progress.postsRendered === progress.postsTotal) ||
+      (progress.phase === 'images' && progress.imagesDone === progress.imagesTotal);
+    if (now - sentAt < PROGRESS_INTERVAL && !last) return;
+    sentAt = now;
+    chrome.runtime
+      .sendMessage({ action: 'offscreenProgress', exportId, progress })
+      .catch(() => {});
+  };
+}
+
+// Run renders one after another
+function enqueue(task) {
+  const result = renderQueue.then(task);
+  renderQueue = result.catch(() => {});
+  return result;
+}
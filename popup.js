@@ -10,6 +10,14 @@ class PopupManager {
       lastExport: null,
     };
     this.storageStats = null;
+    this.exportFormat = CONFIG.defaultExportFormat;
+    this.postFilter = new PostFilter();
+    this.exportFilters = this.postFilter.normalize();
+    this.pdfSettings = { ...CONFIG.pdf };
+    this.exportTheme = ThemeRegistry.DEFAULT_THEME;
+    this.customThemes = [];
+    this.batchJob = null;
+    this.watchedThreads = [];
 
     this.init();
   }
@@ -23,6 +31,18 @@ class PopupManager {
     // Load extension state
     await this.loadExtensionState();
 
+    // Load preferred export format
+    await this.loadExportFormat();
+
+    // Load export filters
+    await this.loadExportFilters();
+
+    // Load PDF options
+    await this.loadPdfSettings();
+
+    // Load export theme
+    await this.loadThemeSettings();
+
     // Load export statistics
     await this.loadExportStats();
 
@@ -38,6 +58,17 @@ class PopupManager {
     // Setup refresh button
     this.setupClearButton();
 
+    // Follow exports running in the current tab
+    this.setupMessageListener();
+    await this.loadExportProgress();
+
+    // Follow the board batch export running in the background
+    this.setupBatchControls();
+    await this.loadBatchJob();
+
+    // Watched threads
+    await this.setupWatchlistControls();
+
     // Update UI based on current state
     this.updateUI();
   }
@@ -67,6 +98,53 @@ class PopupManager {
     }
   }
 
+  // Load preferred export format from storage
+  async loadExportFormat() {
+    try {
+      const { exportFormat } = await chrome.storage.local.get(["exportFormat"]);
+      if (exportFormat && CONFIG.exportFormats[exportFormat]) {
+        this.exportFormat = exportFormat;
+      }
+    } catch (error) {
+      console.error("Error loading export format:", error);
+    }
+  }
+
+  // Load export filters from storage
+  async loadExportFilters() {
+    try {
+      const { exportFilters } = await chrome.storage.local.get(["exportFilters"]);
+      this.exportFilters = this.postFilter.normalize(exportFilters);
+    } catch (error) {
+      console.error("Error loading export filters:", error);
+    }
+  }
+
+  // Load PDF options from storage
+  async loadPdfSettings() {
+    try {
+      const { pdfSettings } = await chrome.storage.local.get(["pdfSettings"]);
+      this.pdfSettings = { ...CONFIG.pdf, ...pdfSettings };
+    } catch (error) {
+      console.error("Error loading PDF settings:", error);
+    }
+  }
+
+  // Load the selected theme and the imported custom themes from storage
+  async loadThemeSettings() {
+    try {
+      const { exportTheme, customThemes } = await chrome.storage.local.get([
+        "exportTheme",
+        "customThemes",
+      ]);
+      this.customThemes = customThemes || [];
+      // Unknown IDs (e.g. a removed custom theme) resolve to the default
+      this.exportTheme = new ThemeRegistry(this.customThemes).get(exportTheme).id;
+    } catch (error) {
+      console.error("Error loading export theme:", error);
+    }
+  }
+
   // Load export statistics
   async loadExportStats() {
     try {
@@ -138,6 +216,506 @@ class PopupManager {
       this.toggleExtension(e.target.checked);
       this.updateToggleStatus();
     });
+
+    // Export format select
+    const formatSelect = document.getElementById("exportFormatSelect");
+    formatSelect.innerHTML = Object.entries(CONFIG.exportFormats)
+      .map(([format, info]) => `<option value="${format}">${info.label}</option>`)
+      .join("");
+    formatSelect.value = this.exportFormat;
+    formatSelect.addEventListener("change", async (e) => {
+      this.exportFormat = e.target.value;
+      try {
+        await chrome.storage.local.set({ exportFormat: this.exportFormat });
+      } catch (error) {
+        console.error("Error saving export format:", error);
+      }
+    });
+
+    // Export current thread
+    const exportBtn = document.getElementById("exportThreadBtn");
+    exportBtn.addEventListener("click", () => this.exportCurrentThread());
+
+    document
+      .getElementById("cancelExportBtn")
+      .addEventListener("click", () => this.cancelExport());
+
+    // Export library and full-text search, in tabs of their own
+    document.getElementById("openLibraryBtn").addEventListener("click", () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL("library.html") });
+    });
+    document.getElementById("searchExportsBtn").addEventListener("click", () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL("search.html") });
+    });
+
+    this.setupFilterControls();
+    this.setupPdfSettingsControls();
+    this.setupThemeControls();
+  }
+
+  // Filter inputs mapped to export filter options
+  getFilterInputs() {
+    return {
+      pageFrom: document.getElementById("filterPageFrom"),
+      pageTo: document.getElementById("filterPageTo"),
+      postFrom: document.getElementById("filterPostFrom"),
+      postTo: document.getElementById("filterPostTo"),
+      dateFrom: document.getElementById("filterDateFrom"),
+      dateTo: document.getElementById("filterDateTo"),
+      includeAuthors: document.getElementById("filterIncludeAuthors"),
+      excludeAuthors: document.getElementById("filterExcludeAuthors"),
+      starterOnly: document.getElementById("filterStarterOnly"),
+    };
+  }
+
+  // Setup export filter inputs; every change is saved right away
+  setupFilterControls() {
+    const inputs = this.getFilterInputs();
+    this.renderFilterInputs();
+
+    Object.values(inputs).forEach((input) => {
+      input.addEventListener("change", () => {
+        const options = {};
+        Object.entries(inputs).forEach(([key, element]) => {
+          options[key] = element.type === "checkbox" ? element.checked : element.value;
+        });
+        this.saveExportFilters(this.postFilter.normalize(options));
+      });
+    });
+
+    document.getElementById("resetFiltersBtn").addEventListener("click", () => {
+      this.saveExportFilters(this.postFilter.normalize());
+      this.renderFilterInputs();
+    });
+
+    // Start expanded when filters are active so they are not forgotten
+    if (this.postFilter.isActive(this.exportFilters)) {
+      document.getElementById("filterSection").open = true;
+    }
+  }
+
+  renderFilterInputs() {
+    Object.entries(this.getFilterInputs()).forEach(([key, element]) => {
+      const value = this.exportFilters[key];
+      if (element.type === "checkbox") {
+        element.checked = Boolean(value);
+      } else {
+        element.value = Array.isArray(value) ? value.join(", ") : value || "";
+      }
+    });
+    this.updateFilterCount();
+  }
+
+  async saveExportFilters(filters) {
+    this.exportFilters = filters;
+    this.updateFilterCount();
+    try {
+      await chrome.storage.local.set({ exportFilters: filters });
+    } catch (error) {
+      console.error("Error saving export filters:", error);
+    }
+  }
+
+  updateFilterCount() {
+    const active = this.postFilter.describe(this.exportFilters);
+    const countEl = document.getElementById("filterCount");
+    countEl.textContent = active.length > 0 ? `(${active.length} active)` : "";
+    countEl.title = active.join("\n");
+  }
+
+  // Setup PDF option inputs; every change is saved right away
+  setupPdfSettingsControls() {
+    const selects = {
+      textMode: document.getElementById("pdfTextMode"),
+      paperSize: document.getElementById("pdfPaperSize"),
+      orientation: document.getElementById("pdfOrientation"),
+      margin: document.getElementById("pdfMargin"),
+      fontSize: document.getElementById("pdfFontSize"),
+      lineSpacing: document.getElementById("pdfLineSpacing"),
+    };
+    const numericSettings = ["margin", "fontSize", "lineSpacing"];
+    const colorEmoji = document.getElementById("pdfColorEmoji");
+    const tableOfContents = document.getElementById("pdfTableOfContents");
+    const twoColumns = document.getElementById("pdfTwoColumns");
+    const printMode = document.getElementById("pdfPrintMode");
+    const runningHeader = document.getElementById("pdfRunningHeader");
+    const runningFooter = document.getElementById("pdfRunningFooter");
+
+    const render = () => {
+      Object.entries(selects).forEach(([key, select]) => {
+        select.value = String(this.pdfSettings[key]);
+      });
+      colorEmoji.checked = Boolean(this.pdfSettings.colorEmoji);
+      tableOfContents.checked = Boolean(this.pdfSettings.tableOfContents);
+      twoColumns.checked = this.pdfSettings.columns === 2;
+      printMode.checked = Boolean(this.pdfSettings.printMode);
+      runningHeader.checked = this.pdfSettings.runningHeader !== false;
+      runningFooter.checked = this.pdfSettings.runningFooter !== false;
+      // Emoji images are only drawn alongside the Unicode font
+      colorEmoji.disabled = this.pdfSettings.textMode !== "unicode";
+    };
+    render();
+
+    const checkboxes = [colorEmoji, tableOfContents, twoColumns, printMode, runningHeader, runningFooter];
+    [...Object.values(selects), ...checkboxes].forEach((input) => {
+      input.addEventListener("change", () => {
+        const settings = { ...this.pdfSettings };
+        Object.entries(selects).forEach(([key, select]) => {
+          settings[key] = numericSettings.includes(key) ? Number(select.value) : select.value;
+        });
+        settings.colorEmoji = colorEmoji.checked;
+        settings.tableOfContents = tableOfContents.checked;
+        settings.columns = twoColumns.checked ? 2 : 1;
+        settings.printMode = printMode.checked;
+        settings.runningHeader = runningHeader.checked;
+        settings.runningFooter = runningFooter.checked;
+        this.savePdfSettings(settings);
+        render();
+      });
+    });
+  }
+
+  async savePdfSettings(settings) {
+    this.pdfSettings = settings;
+    try {
+      await chrome.storage.local.set({ pdfSettings: settings });
+    } catch (error) {
+      console.error("Error saving PDF settings:", error);
+    }
+  }
+
+  // Setup the theme select and custom theme import/removal
+  setupThemeControls() {
+    const select = document.getElementById("exportTheme");
+    const fileInput = document.getElementById("importThemeFile");
+    const removeBtn = document.getElementById("removeThemeBtn");
+
+    const render = () => {
+      // Names of custom themes come from imported files, so they are set as text
+      select.replaceChildren(
+        ...new ThemeRegistry(this.customThemes)
+          .list()
+          .map((theme) => new Option(theme.custom ? `${theme.name} (custom)` : theme.name, theme.id))
+      );
+      select.value = this.exportTheme;
+      removeBtn.disabled = !this.customThemes.some((theme) => theme.id === this.exportTheme);
+    };
+    render();
+
+    select.addEventListener("change", async () => {
+      await this.saveThemeSettings(select.value, this.customThemes);
+      render();
+    });
+
+    document.getElementById("importThemeBtn").addEventListener("click", () => fileInput.click());
+
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files[0];
+      fileInput.value = "";
+      if (!file) return;
+
+      try {
+        const theme = ThemeRegistry.parseCustomTheme(await file.text());
+        // Importing a theme of the same name replaces it
+        const customThemes = [
+          ...this.customThemes.filter((existing) => existing.id !== theme.id),
+          theme,
+        ];
+        await this.saveThemeSettings(theme.id, customThemes);
+        render();
+        this.showMessage(`Theme "${theme.name}" imported`, "success");
+      } catch (error) {
+        this.showMessage(`Theme not imported: ${error.message}`, "error");
+      }
+    });
+
+    removeBtn.addEventListener("click", async () => {
+      const customThemes = this.customThemes.filter((theme) => theme.id !== this.exportTheme);
+      await this.saveThemeSettings(ThemeRegistry.DEFAULT_THEME, customThemes);
+      render();
+    });
+  }
+
+  async saveThemeSettings(exportTheme, customThemes) {
+    this.exportTheme = exportTheme;
+    this.customThemes = customThemes;
+    try {
+      await chrome.storage.local.set({ exportTheme, customThemes });
+    } catch (error) {
+      console.error("Error saving export theme:", error);
+    }
+  }
+
+  // Ask the content script of the current tab to export in the selected format
+  async exportCurrentThread() {
+    if (!this.currentTab) return;
+
+    try {
+      const response = await chrome.tabs.sendMessage(this.currentTab.id, {
+        action: "exportThread",
+        format: this.exportFormat,
+      });
+
+      if (response && response.success) {
+        this.showMessage("Export started", "info");
+      } else {
+        this.showMessage((response && response.error) || "Export not available", "error");
+      }
+    } catch (error) {
+      // No content script: not a forum thread tab
+      this.showMessage("Open a Lotus Forum thread to export it", "error");
+    }
+  }
+
+  // Ask the content script of the current tab to cancel its running export
+  async cancelExport() {
+    if (!this.currentTab) return;
+    document.getElementById("cancelExportBtn").disabled = true;
+
+    try {
+      await chrome.tabs.sendMessage(this.currentTab.id, { action: "cancelExport" });
+    } catch (error) {
+      console.error("Error cancelling export:", error);
+    }
+  }
+
+  // Show an export that was already running when the popup opened
+  async loadExportProgress() {
+    if (!this.currentTab) return;
+
+    try {
+      const response = await chrome.tabs.sendMessage(this.currentTab.id, {
+        action: "getExportProgress",
+      });
+      if (response && response.exporting) {
+        this.renderExportProgress(response.progress);
+      }
+    } catch (error) {
+      // No content script in this tab, so no export is running
+    }
+  }
+
+  /**
+   * Shows the progress of the running export
+   *
+   * @param {Object|null} progress - Snapshot from ExportProgress, null before the first event
+   */
+  renderExportProgress(progress) {
+    const container = document.getElementById("exportProgress");
+    container.hidden = false;
+    document.getElementById("exportThreadBtn").disabled = true;
+
+    const title = progress ? progress.title : "Preparing export…";
+    const lines = progress ? [...progress.lines] : [];
+    const eta = progress ? ExportProgress.formatEta(progress.etaSeconds) : "";
+    if (eta) lines.push(eta);
+
+    document.getElementById("exportProgressTitle").textContent = title;
+    document.getElementById("exportProgressFill").style.width = `${Math.round(
+      (progress ? progress.fraction : 0) * 100
+    )}%`;
+    document.getElementById("exportProgressDetails").textContent = lines.join(" · ");
+  }
+
+  hideExportProgress() {
+    document.getElementById("exportProgress").hidden = true;
+    document.getElementById("cancelExportBtn").disabled = false;
+    document.getElementById("exportThreadBtn").disabled = false;
+  }
+
+  setupBatchControls() {
+    document.getElementById("batchActionBtn").addEventListener("click", () => this.handleBatchAction());
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace !== "local" || !changes.batchJob) return;
+      this.renderBatchJob(changes.batchJob.newValue || null);
+      // Exported threads are added to the history as they finish
+      this.loadExportStats().then(() => this.updateStatistics());
+      this.loadExportHistory();
+    });
+  }
+
+  async loadBatchJob() {
+    try {
+      const { batchJob } = await chrome.storage.local.get(["batchJob"]);
+      this.renderBatchJob(batchJob || null);
+    } catch (error) {
+      console.error("Error loading batch export:", error);
+    }
+  }
+
+  /**
+   * Shows the state of the board batch export
+   *
+   * @param {Object|null} job - `batchJob` from chrome.storage.local, see background.js
+   */
+  renderBatchJob(job) {
+    this.batchJob = job;
+    const container = document.getElementById("batchProgress");
+    container.hidden = !job;
+    if (!job) return;
+
+    const count = (...states) => job.threads.filter((thread) => states.includes(thread.status)).length;
+    const finished = count("done", "incomplete", "failed");
+    const running = job.threads.find((thread) => thread.status === "running");
+    const boardTitle = (job.board && job.board.title) || "board";
+
+    const details = [`${finished} of ${job.threads.length} threads`];
+    if (count("failed") > 0) details.push(`${count("failed")} failed`);
+    if (count("incomplete") > 0) details.push(`${count("incomplete")} incomplete`);
+    if (running) details.push(running.title);
+    if (job.zip) details.push(job.zip.error ? `ZIP failed: ${job.zip.error}` : job.zip.fileNames.join(", "));
+
+    const titles = {
+      running: `Batch export: ${boardTitle}`,
+      done: `Batch export finished: ${boardTitle}`,
+      cancelled: `Batch export cancelled: ${boardTitle}`,
+    };
+    document.getElementById("batchProgressTitle").textContent = titles[job.status] || boardTitle;
+    document.getElementById("batchProgressFill").style.width = `${Math.round(
+      (finished / job.threads.length) * 100
+    )}%`;
+    document.getElementById("batchProgressDetails").textContent = details.join(" · ");
+
+    const actionButton = document.getElementById("batchActionBtn");
+    actionButton.textContent = job.status === "running" ? "Cancel" : "Dismiss";
+    actionButton.disabled = false;
+  }
+
+  // Cancel the running batch export, or dismiss the finished one
+  async handleBatchAction() {
+    if (!this.batchJob) return;
+    document.getElementById("batchActionBtn").disabled = true;
+
+    try {
+      if (this.batchJob.status === "running") {
+        const response = await chrome.runtime.sendMessage({ action: "cancelBatchExport" });
+        if (!response || !response.success) {
+          this.showMessage((response && response.error) || "Batch export could not be cancelled", "error");
+        }
+      } else {
+        await chrome.storage.local.remove("batchJob");
+      }
+    } catch (error) {
+      console.error("Error updating batch export:", error);
+    }
+  }
+
+  async setupWatchlistControls() {
+    const intervalSelect = document.getElementById("watchInterval");
+    try {
+      const { watchedThreads = [], watchIntervalMinutes } = await chrome.storage.local.get([
+        "watchedThreads",
+        "watchIntervalMinutes",
+      ]);
+      this.watchedThreads = watchedThreads;
+      if (watchIntervalMinutes) intervalSelect.value = String(watchIntervalMinutes);
+    } catch (error) {
+      console.error("Error loading watchlist:", error);
+    }
+    this.renderWatchlist();
+
+    // New posts are seen once the popup shows them
+    if (this.watchedThreads.some((entry) => entry.newPosts > 0)) {
+      document.getElementById("watchlistSection").open = true;
+      chrome.runtime.sendMessage({ action: "markWatchlistSeen" }).catch(() => {});
+    }
+
+    intervalSelect.addEventListener("change", async () => {
+      try {
+        await chrome.storage.local.set({ watchIntervalMinutes: parseInt(intervalSelect.value) });
+      } catch (error) {
+        console.error("Error saving watch interval:", error);
+      }
+    });
+
+    document.getElementById("watchThreadBtn").addEventListener("click", () => this.toggleWatchCurrentThread());
+    document.getElementById("checkWatchlistBtn").addEventListener("click", async () => {
+      await chrome.runtime.sendMessage({ action: "checkWatchedThreads" });
+      this.showMessage("Checking watched threads…", "info");
+    });
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace !== "local" || !changes.watchedThreads) return;
+      this.watchedThreads = changes.watchedThreads.newValue || [];
+      this.renderWatchlist();
+    });
+  }
+
+  // List the watched threads; titles come from the forum, so they are set as text
+  renderWatchlist() {
+    const list = document.getElementById("watchList");
+    document.getElementById("watchCount").textContent = this.watchedThreads.length
+      ? `(${this.watchedThreads.length})`
+      : "";
+
+    // Same URL form as content.js stores
+    const tabUrl = this.currentTab && this.currentTab.url
+      ? this.currentTab.url.replace(/#.*$/, "").replace(/&(pageNo|postID)=[^&]*/g, "")
+      : null;
+    const watching = this.watchedThreads.some((entry) => entry.url === tabUrl);
+    document.getElementById("watchThreadBtn").textContent = watching
+      ? "Stop watching this thread"
+      : "Watch this thread";
+
+    list.replaceChildren(
+      ...this.watchedThreads.map((entry) => {
+        const item = document.createElement("div");
+        item.className = "watch-item";
+
+        const main = document.createElement("div");
+        main.className = "watch-main";
+        const title = document.createElement("a");
+        title.className = "watch-title";
+        title.href = entry.url;
+        title.target = "_blank";
+        title.textContent = entry.title;
+
+        const meta = document.createElement("div");
+        meta.className = "watch-meta";
+        if (entry.error) {
+          meta.classList.add("error");
+          meta.textContent = `Check failed: ${entry.error}`;
+        } else {
+          const details = [entry.lastCheckedAt ? `checked ${new Date(entry.lastCheckedAt).toLocaleString()}` : "not checked yet"];
+          if (entry.version > 0) details.push(`version ${entry.version}`);
+          if (entry.newPosts > 0) {
+            meta.classList.add("new-posts");
+            details.push(`${entry.newPosts} new post${entry.newPosts === 1 ? "" : "s"}`);
+          }
+          meta.textContent = details.join(" · ");
+        }
+        main.append(title, meta);
+
+        const removeBtn = document.createElement("button");
+        removeBtn.className = "watch-remove-btn";
+        removeBtn.title = "Stop watching";
+        removeBtn.textContent = "✕";
+        removeBtn.addEventListener("click", () =>
+          chrome.runtime.sendMessage({ action: "unwatchThread", key: entry.key }).catch(() => {})
+        );
+
+        item.append(main, removeBtn);
+        return item;
+      })
+    );
+  }
+
+  // Ask the content script of the current tab to watch or unwatch its thread
+  async toggleWatchCurrentThread() {
+    if (!this.currentTab) return;
+
+    try {
+      const response = await chrome.tabs.sendMessage(this.currentTab.id, { action: "toggleWatch" });
+      if (response && response.success) {
+        this.showMessage(response.watching ? "Thread added to the watchlist" : "Thread removed from the watchlist", "success");
+      } else {
+        this.showMessage((response && response.error) || "Watching not available", "error");
+      }
+    } catch (error) {
+      // No content script: not a forum thread tab
+      this.showMessage("Open a Lotus Forum thread to watch it", "error");
+    }
   }
 
   // Setup clear history button
@@ -382,7 +960,9 @@ class PopupManager {
           date.toLocaleDateString() +
           " " +
           date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
-        const sizeKB = Math.round(exportItem.pdfSize / 1024);
+        const sizeKB = Math.round((exportItem.fileSize || exportItem.pdfSize) / 1024);
+        const formatInfo = CONFIG.exportFormats[exportItem.format || "pdf"];
+        const formatLabel = formatInfo ? formatInfo.label : "PDF";
 
         // All PDFs are downloaded immediately, not stored
         const hasPdf = false; // PDFs are never stored, only downloaded
@@ -397,15 +977,15 @@ class PopupManager {
         });
 
         // Create compact entry with download button only
-        const downloadButton = `<button data-export-id="${exportItem.id}" class="icon-btn download-btn" title="Download PDF">📥</button>`;
+        const downloadButton = `<button data-export-id="${exportItem.id}" class="icon-btn download-btn" title="Download ${formatLabel}">📥</button>`;
 
         return `
                 <div class="export-item-compact">
                     <div class="export-main">
-                        <div class="export-title">${
-                          exportItem.threadTitle
-                        }</div>
-                        <div class="export-meta">${formattedDate} • ${
+                        <div class="export-title"></div>
+                        <div class="export-meta">${formatLabel}${
+          exportItem.version ? ` v${exportItem.version}` : ""
+        } • ${formattedDate} • ${
           exportItem.postCount || exportItem.pageCount
         } posts • ${sizeKB}KB</div>
                     </div>
@@ -419,6 +999,12 @@ class PopupManager {
 
     historyList.innerHTML = historyHTML;
 
+    // Titles come from the forum and the library's rename, so they are set as text
+    historyList.querySelectorAll(".export-title").forEach((title, index) => {
+      const exportItem = this.exportHistory[index];
+      title.textContent = exportItem.customTitle || exportItem.threadTitle;
+    });
+
     // Add event listeners to the buttons
     this.setupHistoryEventListeners();
   }
@@ -462,7 +1048,19 @@ class PopupManager {
   // Listen for messages from content script
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      // Only follow the export running in this popup's tab
+      if (sender.tab && this.currentTab && sender.tab.id !== this.currentTab.id) {
+        return;
+      }
+
       switch (request.action) {
+        case "exportProgress":
+          this.renderExportProgress(request.progress);
+          break;
+        case "exportCancelled":
+          this.hideExportProgress();
+          this.showMessage("Export cancelled", "info");
+          break;
         case "exportComplete":
           this.handleExportComplete();
           break;
@@ -477,12 +1075,12 @@ class PopupManager {
   }
 
   // Handle export completion
-  handleExportComplete() {
+  async handleExportComplete() {
     console.log("🔍 Export completion detected, refreshing history...");
-    // Update stats
-    this.exportStats.totalExports++;
-    this.exportStats.lastExport = new Date().toISOString();
-    this.saveExportStats();
+    this.hideExportProgress();
+
+    // The background script counts the export; just show the new totals
+    await this.loadExportStats();
     this.updateStatistics();
 
     // Refresh export history
@@ -491,17 +1089,8 @@ class PopupManager {
 
   // Handle export error
   handleExportError(error) {
-    // Just log the error, no UI changes needed
     console.error("Export error:", error);
-  }
-
-  // Save export statistics
-  async saveExportStats() {
-    try {
-      await chrome.storage.local.set({ exportStats: this.exportStats });
-    } catch (error) {
-      console.error("Error saving export stats:", error);
-    }
+    this.hideExportProgress();
   }
 
   // Update storage display in UI
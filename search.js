@@ -0,0 +1,163 @@
+// Lotus Forum Thread Exporter - Search Page Script
+// Searches the post text of all exports and links to the forum and the stored files
+
+class SearchPage {
+  constructor() {
+    this.form = document.getElementById("searchForm");
+    this.input = document.getElementById("searchInput");
+    this.status = document.getElementById("searchStatus");
+    this.resultList = document.getElementById("searchResults");
+
+    this.init();
+  }
+
+  init() {
+    this.form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.search(this.input.value);
+    });
+
+    // The query is kept in the URL, so reloading repeats the search
+    const query = new URLSearchParams(window.location.search).get("q");
+    if (query) {
+      this.input.value = query;
+      this.search(query);
+    }
+  }
+
+  async search(query) {
+    query = query.trim();
+    const url = new URL(window.location.href);
+    if (query) {
+      url.searchParams.set("q", query);
+    } else {
+      url.searchParams.delete("q");
+    }
+    history.replaceState(null, "", url);
+
+    this.resultList.replaceChildren();
+    if (!query) {
+      this.setStatus("");
+      return;
+    }
+
+    this.setStatus("Searching…");
+    try {
+      const response = await chrome.runtime.sendMessage({ action: "searchExports", query });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || "No response from the extension");
+      }
+      this.renderResults(response.results, response.total);
+    } catch (error) {
+      console.error("Search failed:", error);
+      this.setStatus(`Search failed: ${error.message}`, true);
+    }
+  }
+
+  renderResults(results, total) {
+    if (total === 0) {
+      this.setStatus("No posts found. Only threads exported with this version or later are searchable.");
+      return;
+    }
+    this.setStatus(
+      total > results.length
+        ? `${total} posts found, showing the best ${results.length}`
+        : `${total} post${total === 1 ? "" : "s"} found`
+    );
+    results.forEach((result) => this.resultList.appendChild(this.renderResult(result)));
+  }
+
+  renderResult(result) {
+    const item = document.createElement("li");
+    item.className = "search-result";
+
+    const thread = document.createElement("div");
+    thread.className = "search-result-thread";
+    thread.textContent = result.threadTitle;
+
+    const meta = document.createElement("div");
+    meta.className = "search-result-meta";
+    meta.textContent = [result.post.postNumber, result.post.author, this.formatDate(result.post)]
+      .filter(Boolean)
+      .join(" • ");
+
+    const snippet = document.createElement("div");
+    snippet.className = "search-result-snippet";
+    this.appendHighlighted(snippet, result.snippet);
+
+    const links = document.createElement("div");
+    links.className = "search-result-links";
+    const permalink = document.createElement("a");
+    permalink.href = result.post.postUrl || result.threadUrl;
+    permalink.target = "_blank";
+    permalink.rel = "noopener";
+    permalink.textContent = "Open post on the forum ↗";
+    links.appendChild(permalink);
+    links.appendChild(this.renderDownloadButton(result));
+
+    item.append(thread, meta, snippet, links);
+    return item;
+  }
+
+  // Snippet text with the matched words in <mark>
+  appendHighlighted(element, snippet) {
+    let position = 0;
+    snippet.highlights.forEach(([start, end]) => {
+      element.append(snippet.text.slice(position, start));
+      const mark = document.createElement("mark");
+      mark.textContent = snippet.text.slice(start, end);
+      element.appendChild(mark);
+      position = end;
+    });
+    element.append(snippet.text.slice(position));
+  }
+
+  renderDownloadButton(result) {
+    const button = document.createElement("button");
+    button.type = "button";
+
+    // Exports removed from the history have lost their file too
+    if (!result.fileName) {
+      button.disabled = true;
+      button.textContent = "Export no longer stored";
+      return button;
+    }
+
+    const formatInfo = CONFIG.exportFormats[result.format];
+    const exportDate = result.exportDate ? ` (${new Date(result.exportDate).toLocaleDateString()})` : "";
+    button.textContent = `📥 Download ${formatInfo ? formatInfo.label : "export"}${exportDate}`;
+    button.title = result.fileName;
+    button.addEventListener("click", async () => {
+      button.disabled = true;
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: "downloadPDF",
+          exportId: result.exportId,
+        });
+        if (!response || !response.success) {
+          throw new Error((response && response.error) || "Download failed");
+        }
+      } catch (error) {
+        console.error("Download failed:", error);
+        this.setStatus(`Download failed: ${error.message}`, true);
+      } finally {
+        button.disabled = false;
+      }
+    });
+    return button;
+  }
+
+  formatDate(post) {
+    const date = post.dateTime ? new Date(post.dateTime) : null;
+    return date && !isNaN(date) ? date.toLocaleString([], { dateStyle: "medium", timeStyle: "short" }) : post.date;
+  }
+
+  setStatus(text, isError = false) {
+    this.status.textContent = text;
+    this.status.classList.toggle("error", isError);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  window.searchPage = new SearchPage();
+});